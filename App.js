@@ -18,148 +18,102 @@ import { Audio } from "expo-av";
 import * as Linking from "expo-linking";
 import * as Haptics from "expo-haptics";
 import { Ionicons } from "@expo/vector-icons";
+import { startAnalytics, setAnalyticsContext, logEvent, getSessionId } from "./lib/analytics";
+import { queueLibraryChange, scheduleLibrarySync } from "./lib/sync";
+import { loadAuth, login as authLogin, signup as authSignup, logout as authLogout, saveRemoteProfile, authFetch } from "./lib/auth";
+import { API_BASE, LIVE_SEARCH, PRELOAD_AHEAD, PRELOAD_BEHIND, PRELOAD_MAX_SOUNDS } from "./lib/config";
+import { trackKey, dedupeById, normalizeTrack } from "./lib/tracks";
+import {
+  loadPlaylists, savePlaylists, createPlaylist, renamePlaylist, deletePlaylist, movePlaylist,
+  addTrackToPlaylist, removeTrackFromPlaylist, moveTrackInPlaylist, playlistHasTrack, PLAYLIST_NAME_MAX,
+} from "./lib/playlists";
+import {
+  EXPORT_FORMATS, toM3U, toXSPF, toCSV, toBackupJSON, csvToRawTracks, trackIdFromStoreUrl,
+  parseBackup, mergeLibrary, shareExport, pickImportFile,
+} from "./lib/libraryIO";
+import { FEED_DEFAULTS, getFeedParams, initExperiments, tagFeedVersion } from "./lib/experiments";
+import {
+  cacheFeedPage, loadCachedFeed, localPreviewUri, configureOfflineCache, getOfflineCacheUsage, clearOfflineCache,
+} from "./lib/offlineCache";
+import { getCatalog, getCatalogProvider, providerForTrackId } from "./lib/catalog";
+import { buildMixLink, parseMixLink, MAX_MIX_TRACKS } from "./lib/mixLinks";
+import { parseTrackLink, resolveTrackLink, shareableTrackLink } from "./lib/trackLinks";
+import { createRadio, nextRadioPage } from "./lib/radio";
+import {
+  loadSettings, getSettings, updateSettings, CROSSFADE_CHOICES, DISLIKE_EXPIRY_CHOICES, OFFLINE_CACHE_MB_CHOICES,
+} from "./lib/settings";
+import {
+  DEFAULT_LISTENING_PREFS, CONTENT_FILTERS, ALL_FILTER_PATTERNS, COOLDOWN_CHOICES, GENRE_STRICTNESS,
+  loadListeningPrefs, saveListeningPrefs, addKeyword, removeKeyword, contentHidden, cooldownCutoffs,
+} from "./lib/listeningPrefs";
+import {
+  loadLikedSongs, saveLikedSongs, addLikedSong, removeLikedSong, loadLikedDates, putLikedDates, loadPlayedDates, putPlayedDates,
+  updateTracks, pruneCooldowns, loadProfileRow, saveProfileRow,
+} from "./lib/localDb";
+import { loadDislikes, saveDislikes, addDislike, removeDislikes, expiredDislikes, listDislikes } from "./lib/dislikes";
+import { loadFamilyMode, getFamilyMode, setFamilyPin, enableFamilyMode, disableFamilyMode, familyHides, isExplicit } from "./lib/familyMode";
+import { EMPTY_BLOCKS, loadBlocks, saveBlocks, blockArtist, blockGenre, unblock, blockedBy, mainArtist } from "./lib/blocks";
+import { gainFor, analyseLoudness, fadeTo } from "./lib/audioMix";
+import { createPreloadPool } from "./lib/preloadPool";
+import { getCachedSearch, rememberSearch, isRelevantHit, normalizeQuery, SEARCH_ENOUGH, SEARCH_MIN_CHARS, SEARCH_DEBOUNCE_MS } from "./lib/search";
+
+
+const catalog = getCatalog(); // iTunes / Deezer / bundled fixtures, per expo.extra.catalogProvider
+const PAGE = FEED_DEFAULTS.page; // search sizing; feed sizing comes from getFeedParams()
+const GENRE_FALLBACK = catalog.fallbackGenreId;
+const PROGRESS_CHUNK_MS = 5000; // play_progress granularity
+const LEVEL_CORRECTION_MS = 800; // volume glide once a preview's loudness has been measured
+const RANKED_FEED_TIMEOUT_MS = 6000;
 
-
-const BACKEND = "https://tuneflip-spotify-proxy.vercel.app";
-const PAGE = 20;
-const GENRE_FALLBACK = 21; // Rock
-const ARTIST_COOLDOWN = 3;
-const PER_ARTIST_CAP = 2;
-
-const TUNEFLIP_UNIVERSAL_BASE = "https://tuneflip.app/track"; // placeholder
 const TUNEFLIP_APPSTORE_URL   = "https://apps.apple.com/app/id0000000000"; // placeholder
 
-// Cooldowns
-const LIKE_COOLDOWN_DAYS = 60;
-const PLAY_COOLDOWN_DAYS = 60;
-
-const KARAOKE_PATTERNS = [
-  /karaoke/i, /instrumental(?: version)?/i, /tribute/i, /backing track/i,
-  /as made famous by/i, /originally performed/i
-];
-
 const screen = Dimensions.get("window");
 const CARD_VERTICAL_OFFSET = -Math.round(screen.height * 0.06);
 const CARD_HEIGHT = screen.height;
+const RADIO_PREFETCH = 4; // radio appends its next page when this few cards are left
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const UNDO_LIMIT = 50;        // like / dislike decisions that can be undone, per session
+const UNDO_TOAST_MS = 5000;
 const makeSeed = () => (Date.now() ^ Math.floor(Math.random() * 1e9)) >>> 0;
 
-const DEFAULT_GENRES = [
-  { id: 14,   name: "Pop" },
-  { id: 18,   name: "Hip-Hop/Rap" },
-  { id: 21,   name: "Rock" },
-  { id: 1153, name: "Metal" },           // ← added (iTunes subgenre)
-  { id: 20,   name: "Alternative" },
-  { id: 6,    name: "Country" },
-  { id: 15,   name: "R&B/Soul" },
-  { id: 17,   name: "Dance" },
-  { id: 7,    name: "Electronic" },
-  { id: 24,   name: "Latin" },
-  { id: 11,   name: "Jazz" },
-  { id: 2,    name: "Blues" },
-  { id: 5,    name: "Classical" },
-];
-const OMIT_GENRE_IDS = new Set([16, 1310, 1259]); // Reggae, K-Pop, Afrobeats
-
-const trackKey = (t) => (t?.id || `${t?.title}|${t?.artist}|${t?.album}`);
+const DEFAULT_GENRES = catalog.defaultGenres;
 
 function rng(seed) { let t = seed % 2147483647; if (t <= 0) t += 2147483646; return () => (t = (t * 48271) % 2147483647) / 2147483647; }
 function shuffleInPlace(arr, seed) { const rand = rng(seed); for (let i = arr.length - 1; i > 0; i--) { const j = Math.floor(rand() * (i + 1)); [arr[i], arr[j]] = [arr[j], arr[i]]; } return arr; }
 
-function upscaleArtwork(url) {
-  if (!url || typeof url !== "string") return url || "";
-  const replacedApple = url.replace(/\/(\d{2,4})x\1([a-z]*\.(?:jpg|jpeg|png))/i, "/600x600$2");
-  if (replacedApple !== url) return replacedApple;
-  return url.replace(/(\d{2,4})x\1/i, "600x600");
-}
-function normalizeTrack(t) {
-  const title = t.title ?? t.trackName ?? t.name ?? "Unknown title";
-  const artist = t.artist ?? t.artistName ?? "Unknown artist";
-  const album = t.album ?? t.collectionName ?? "Unknown album";
-  const artworkCandidate = t.artworkUrl100 || t.albumArtUrl || t.artwork || "";
-  return {
-    id: t.trackId ?? t.id ?? `${artist}-${title}-${album}`,
-    title, artist, album,
-    artwork: upscaleArtwork(artworkCandidate),
-    previewUrl: t.previewUrl || "",
-    storeUrl: t.storeUrl || t.trackViewUrl || t.collectionViewUrl || t.url || "",
-    genreName: t.primaryGenreName || t.genre || t.primaryGenre || t.genreName || ""
-  };
-}
-function diversify(tracks) {
+function diversify(tracks, { perArtistCap, artistCooldown } = getFeedParams()) {
   const out = [], recent = [], counts = {};
   for (const t of tracks) {
     const a = (t.artist || "").trim();
-    if ((counts[a] || 0) >= PER_ARTIST_CAP) continue;
-    if (recent.slice(-ARTIST_COOLDOWN).includes(a)) continue;
+    if ((counts[a] || 0) >= perArtistCap) continue;
+    if (recent.slice(-artistCooldown).includes(a)) continue;
     out.push(t); counts[a] = (counts[a] || 0) + 1; recent.push(a);
   }
   return out;
 }
 
 async function fetchGenres() {
-  const url = `${BACKEND}/api/itunes-genres?t=${Date.now()}`;
   try {
-    const res = await fetch(url, { cache: "no-store" });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    let arr = await res.json();
-    if (!Array.isArray(arr)) arr = [];
-    // remove omitted
-    arr = arr.filter(g => !OMIT_GENRE_IDS.has(Number(g?.id)));
-
-    // If server gave us nothing, use the full default set (already includes Metal)
-    if (arr.length === 0) return DEFAULT_GENRES;
-
-    // Merge server + defaults, ensure Metal exists, de-dupe by id
-    const POPULAR_ORDER = [
-      /pop/i, /hip.?hop|rap/i, /rock/i, /metal/i, /indie/i, /alternative/i,
-      /electronic|dance/i, /r&b|soul/i, /latin/i, /country/i, /jazz/i, /blues/i, /soundtrack/i
-    ];
-    const score = (name) => {
-      const n = String(name || "");
-      for (let i = 0; i < POPULAR_ORDER.length; i++) if (POPULAR_ORDER[i].test(n)) return i;
-      return POPULAR_ORDER.length + 1;
-    };
-
-    const map = new Map(DEFAULT_GENRES.map(g => [String(g.id), g]));
-    for (const g of arr) map.set(String(g.id), g);
-
-    // Ensure Metal present
-    const hasMetal = Array.from(map.values()).some(g => /metal/i.test(String(g?.name)));
-    if (!hasMetal) map.set(String(1153), { id: 1153, name: "Metal" });
-
-    const merged = Array.from(map.values());
-    merged.sort((a, b) => score(a?.name) - score(b?.name));
-    return merged;
+    const gs = await catalog.fetchGenres();
+    return gs && gs.length ? gs : DEFAULT_GENRES;
   } catch {
     return DEFAULT_GENRES;
   }
 }
 
-async function fetchTracks(genreId, seed) {
+// opts: { params, provider } — a shared mix link pins both; otherwise this session's
+async function fetchTracks(genreId, seed, { params = getFeedParams(), provider = catalog } = {}) {
   const useSeed = seed ?? makeSeed();
-  const url = `${BACKEND}/api/itunes-search?genreId=${genreId}&limit=${PAGE * 3}&seed=${useSeed}&t=${Date.now()}`;
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`HTTP ${res.status} ${res.statusText} — ${text.slice(0, 200)}`);
-  }
-  const data = await res.json();
-  const list = Array.isArray(data?.results)
-    ? data.results
-    : Array.isArray(data?.items)
-    ? data.items
-    : Array.isArray(data)
-    ? data
-    : [];
-  const cleaned = diversify(list.map(normalizeTrack).filter((t) => t.title && t.artist));
+  const list = await provider.fetchGenreTracks(genreId, { limit: params.page * 3, seed: useSeed });
+  const cleaned = diversify(list.map(normalizeTrack).filter((t) => t.title && t.artist), params);
   return shuffleInPlace(cleaned, useSeed);
 }
 
 // Fetch tracks for multiple genres and interleave them (hoisted function decl)
-async function fetchTracksForGenres(genreIds, seed) {
+async function fetchTracksForGenres(genreIds, seed, opts = {}) {
+  const fallbackId = opts.provider?.fallbackGenreId ?? GENRE_FALLBACK;
   const ids = (genreIds || []).filter((x) => x !== undefined && x !== null);
-  if (ids.length === 0) return fetchTracks(GENRE_FALLBACK, seed);
+  if (ids.length === 0) return fetchTracks(fallbackId, seed, opts);
 
   const perSeed = seed ?? makeSeed();
 
@@ -168,7 +122,7 @@ async function fetchTracksForGenres(genreIds, seed) {
       try {
         const n = Number(id);
         if (Number.isFinite(n) && n >= 0) {
-          return await fetchTracks(n, (perSeed ^ n ^ (i * 2654435761)) >>> 0);
+          return await fetchTracks(n, (perSeed ^ n ^ (i * 2654435761)) >>> 0, opts);
         }
         return [];
       } catch {
@@ -178,7 +132,7 @@ async function fetchTracksForGenres(genreIds, seed) {
   );
 
   const nonEmpty = buckets.filter((b) => b && b.length);
-  if (!nonEmpty.length) return fetchTracks(GENRE_FALLBACK, seed);
+  if (!nonEmpty.length) return fetchTracks(fallbackId, seed, opts);
 
   // round-robin interleave the buckets
   const maxLen = Math.max(...nonEmpty.map((arr) => arr.length));
@@ -201,6 +155,42 @@ async function fetchTracksForGenres(genreIds, seed) {
   return out;
 }
 
+// ===== Ranked feed (/api/feed) with the client mix as fallback =====
+async function fetchRankedFeed(genreIds, seed) {
+  const sessionId = await getSessionId();
+  const fp = getFeedParams();
+  const qs = `session_id=${encodeURIComponent(sessionId)}&genre_ids=${genreIds.join(",")}&limit=${fp.page * 2}&seed=${seed}`
+    + `&per_artist_cap=${fp.perArtistCap}&artist_cooldown=${fp.artistCooldown}`;
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), RANKED_FEED_TIMEOUT_MS);
+  try {
+    const init = { cache: "no-store", signal: ctrl.signal };
+    const res = (await loadAuth())
+      ? await authFetch(`/api/feed?${qs}`, init)     // account history counts toward affinity
+      : await fetch(`${API_BASE}/api/feed?${qs}`, init);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    const tracks = (Array.isArray(data?.tracks) ? data.tracks : []).map(normalizeTrack).filter((t) => t.title && t.artist);
+    if (!tracks.length) throw new Error("Empty ranked feed");
+    return { tracks, feedVersion: tagFeedVersion(String(data.feed_version || "")) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchDiscoveryFeed(genreIds, seed) {
+  const ids = (genreIds && genreIds.length ? genreIds : [GENRE_FALLBACK]).filter((x) => x !== undefined && x !== null);
+  try {
+    if (!catalog.rankedFeed) throw new Error("Ranked feed only covers the iTunes catalog");
+    return await fetchRankedFeed(ids, seed);
+  } catch {
+    return { tracks: await fetchTracksForGenres(ids, seed), feedVersion: tagFeedVersion(`client.${seed.toString(36)}`), seeded: true };
+  }
+}
+
+// Downloaded preview (offline cache) when we have one, else the stream
+const audioUri = (t) => localPreviewUri(t) || t?.previewUrl || "";
+
 // ===== Search (relevance across title/artist/album, no shuffle) =====
 function scoreTrackRelevance(t, term) {
   const q = (term || "").toLowerCase().trim();
@@ -229,52 +219,68 @@ function scoreTrackRelevance(t, term) {
   if (t.storeUrl)   s += 1;
   return s;
 }
-async function fetchSearchTracks(term) {
-  const enc = encodeURIComponent;
-  const base = `limit=${PAGE * 6}&country=US&t=${Date.now()}`;
-
-  const proxyTries = [
-    `${BACKEND}/api/itunes-search?term=${enc(term)}&media=music&entity=musicTrack&${base}`,
-    `${BACKEND}/api/itunes-search?term=${enc(term)}&${base}`,
-    `${BACKEND}/api/itunes-search?term=${enc(term)}&entity=musicTrack&attribute=songTerm&${base}`,
-    `${BACKEND}/api/itunes-search?term=${enc(term)}&entity=musicTrack&attribute=artistTerm&${base}`,
-    `${BACKEND}/api/itunes-search?term=${enc(term)}&entity=musicTrack&attribute=albumTerm&${base}`,
-  ];
-  const appleTries = [
-    `https://itunes.apple.com/search?term=${enc(term)}&media=music&entity=musicTrack&limit=${PAGE * 6}`,
-    `https://itunes.apple.com/search?term=${enc(term)}&entity=musicTrack&limit=${PAGE * 6}`,
-  ];
-
-  const pull = async (u) => {
-    try {
-      const r = await fetch(u, { cache: "no-store" });
-      if (!r.ok) return [];
-      const j = await r.json();
-      if (Array.isArray(j?.results)) return j.results;
-      if (Array.isArray(j?.items)) return j.items;
-      if (Array.isArray(j)) return j;
-      return [];
-    } catch { return []; }
-  };
-
-  let merged = [];
-  for (const u of [...proxyTries, ...appleTries]) {
-    const chunk = await pull(u);
-    if (chunk?.length) merged = merged.concat(chunk);
-  }
+// Cached per query; `signal` cancels a superseded search (its results are neither returned nor cached).
+// `hide` drops results after the cache (content filters and block lists are personal and change).
+async function fetchSearchTracks(term, { signal, hide } = {}) {
+  const cached = getCachedSearch(term);
+  if (cached) return (hide ? cached.filter((t) => !hide(t)) : cached).slice(0, 60);
+  const merged = await catalog.search(term, {
+    limit: PAGE * 6,
+    signal,
+    enough: (raw) => raw.filter((r) => isRelevantHit(r, term)).length >= SEARCH_ENOUGH,
+  });
+  if (signal?.aborted) throw new Error("aborted");
 
   const normalized = (merged || []).map(normalizeTrack).filter((t) => t.title && t.artist);
   const seen = new Set(), out = [];
   for (const t of normalized) { const k = trackKey(t); if (!seen.has(k)) { seen.add(k); out.push(t); } }
 
-  const filtered = out.filter((t) => !KARAOKE_PATTERNS.some((re) => re.test(`${t.title} ${t.album} ${t.artist}`)));
-  filtered.sort((a, b) => scoreTrackRelevance(b, term) - scoreTrackRelevance(a, term));
+  out.sort((a, b) => scoreTrackRelevance(b, term) - scoreTrackRelevance(a, term));
 
-  return diversify(filtered).slice(0, 60);
+  const results = diversify(out);
+  if (results.length) rememberSearch(term, results);
+  return (hide ? results.filter((t) => !hide(t)) : results).slice(0, 60);
+}
+
+// Opening a song the block list hides (deep links): ask before overriding it
+const confirmBlockedOpen = (t, block) => new Promise((resolve) => Alert.alert(
+  "Hidden by your block list",
+  `${block.kind === "artists" ? `You blocked ${block.name}` : `You hid ${block.name}`}. Play “${t.title}” anyway?`,
+  [
+    { text: "Cancel", style: "cancel", onPress: () => resolve(false) },
+    { text: "Play anyway", onPress: () => resolve(true) },
+  ],
+  { cancelable: true, onDismiss: () => resolve(false) },
+));
+
+// CSV rows carry no preview URL: re-resolve them by track id (id column, "dz:" = Deezer, or
+// ?i= in an Apple storeUrl), falling back to a title + artist search; misses are kept as-is
+async function resolveImportedRows(rows) {
+  const idOf = (r) => (typeof r.id === "number" || /^dz:\d+$/.test(r.id || "") ? r.id : trackIdFromStoreUrl(r.storeUrl));
+  const ids = Array.from(new Set(rows.map(idOf).filter(Boolean)));
+  const deezerIds = ids.filter((id) => String(id).startsWith("dz:"));
+  const itunesIds = ids.filter((id) => !String(id).startsWith("dz:"));
+  const looked = [
+    ...(itunesIds.length ? await getCatalogProvider("itunes").lookup(itunesIds).catch(() => []) : []),
+    ...(deezerIds.length ? await getCatalogProvider("deezer").lookup(deezerIds).catch(() => []) : []),
+  ];
+  const found = new Map(looked.map(normalizeTrack).map((t) => [String(t.id), t]));
+  const out = [];
+  for (const r of rows) {
+    const id = idOf(r);
+    let t = id ? found.get(String(id)) : null;
+    if (!t) {
+      const hits = (await catalog.search(`${r.title} ${r.artist}`, { limit: 10 }).catch(() => [])).map(normalizeTrack);
+      t = hits.find((h) => h.title.toLowerCase() === r.title.toLowerCase() && h.artist.toLowerCase() === r.artist.toLowerCase());
+    }
+    out.push(t || normalizeTrack(id ? { ...r, trackId: id } : r));
+  }
+  return out;
 }
 
 function openInService(track, service) {
   if (!track) return;
+  logEvent("open_in", { track_id: String(trackKey(track)), service });
   const q = encodeURIComponent(`${track.title} ${track.artist}`);
   if (service === "itunes")  return Linking.openURL(track.storeUrl || `https://music.apple.com/search?term=${q}`);
   if (service === "spotify") return Linking.openURL(`https://open.spotify.com/search/${q}`);
@@ -283,76 +289,132 @@ function openInService(track, service) {
   if (service === "deezer")  return Linking.openURL(`https://www.deezer.com/search/${q}`);
 }
 function openStore(track) { if (track?.storeUrl) Linking.openURL(track.storeUrl); }
-function buildTuneFlipLink(track) {
-  const params = new URLSearchParams({
-    id: String(track.id || ""), title: track.title || "", artist: track.artist || "",
-    album: track.album || "", artwork: encodeURIComponent(track.artwork || ""),
-    previewUrl: encodeURIComponent(track.previewUrl || ""), storeUrl: encodeURIComponent(track.storeUrl || "")
-  });
-  return `${TUNEFLIP_UNIVERSAL_BASE}?${params.toString()}`;
-}
 async function shareTrack(track) {
   if (!track) return;
-  const tfLink = buildTuneFlipLink(track);
+  const tfLink = await shareableTrackLink(track);
+  logEvent("share", { track_id: String(trackKey(track)) });
   const message = `${track.title} — ${track.artist}\n${tfLink}\n\nDon’t have TuneFlip yet? ${TUNEFLIP_APPSTORE_URL}`;
   try { await Share.share({ message }); }
   catch (e) { Alert.alert("Share failed", e?.message || "Please try again."); }
 }
 
+// The seeded genre mix behind a feed (what "Share this mix" sends). A ranked feed is
+// personal, so the link carries the seeded genre mix, which is the same on every device.
+// `shown`: the page on screen, carried in the link when the seed alone can't rebuild it
+function mixFor(genreIds, seed, feed, shown) {
+  const { page, perArtistCap, artistCooldown } = getFeedParams();
+  const ids = (genreIds && genreIds.length ? genreIds : [GENRE_FALLBACK]).map(Number);
+  const mix = { genreIds: ids, seed, params: { page, perArtistCap, artistCooldown }, provider: catalog.id };
+  return feed.seeded ? mix : { ...mix, trackIds: shown.slice(0, MAX_MIX_TRACKS).map((t) => String(t.id)) };
+}
+// Tracks of a shared page, in its order (ids the catalogs no longer know are skipped)
+async function lookupInOrder(ids) {
+  const byProvider = new Map();
+  for (const id of ids) {
+    const p = providerForTrackId(id);
+    byProvider.set(p, [...(byProvider.get(p) || []), id]);
+  }
+  const raw = (await Promise.all(Array.from(byProvider, ([p, list]) => p.lookup(list)))).flat();
+  const found = new Map(raw.map(normalizeTrack).map((t) => [String(t.id), t]));
+  return ids.map((id) => found.get(String(id))).filter(Boolean);
+}
+async function shareMix(mix) {
+  if (!mix) return;
+  const message = `Swipe through this TuneFlip mix with me:\n${buildMixLink(mix)}\n\nDon’t have TuneFlip yet? ${TUNEFLIP_APPSTORE_URL}`;
+  try { await Share.share({ message }); }
+  catch (e) { Alert.alert("Share failed", e?.message || "Please try again."); }
+}
+
 // ===== Storage keys & helpers =====
-const PROFILE_KEY = "tuneflip_profile_v1";
-const LIKED_SONGS_KEY = "tuneflip_liked_v1";
-const LIKED_DATES_KEY = "tuneflip_liked_dates_v1";
-const DISLIKED_SONGS_KEY = "tuneflip_disliked_v1";
-const PLAYED_DATES_KEY = "tuneflip_played_dates_v1";
-const USERS_DB_KEY = "tuneflip_users_db_v1";
+// Profiles, liked songs, dislikes and cooldown dates live in lib/localDb (SQLite)
 const CURRENT_USER_KEY = "tuneflip_current_user_v1";
 
-const loadUsersDb = async () => JSON.parse((await AsyncStorage.getItem(USERS_DB_KEY)) || "{}");
-const saveUsersDb = (db) => AsyncStorage.setItem(USERS_DB_KEY, JSON.stringify(db));
 const getCurrentUser = async () => JSON.parse((await AsyncStorage.getItem(CURRENT_USER_KEY)) || "null");
 const setCurrentUser = (u) => AsyncStorage.setItem(CURRENT_USER_KEY, JSON.stringify(u));
 const clearCurrentUser = () => AsyncStorage.removeItem(CURRENT_USER_KEY);
 
 // Scoped Likes (persist only when logged in)
-const loadProfile = async () => {
+const loadProfile = async () => loadProfileRow((await getCurrentUser()) || "").catch(() => null);
+const saveProfile = async ({ password, ...p }) => {
   const user = await getCurrentUser();
-  if (user) {
-    const db = await loadUsersDb();
-    return db[user] || null;
+  if (user) await saveProfileRow(user, { ...((await loadProfileRow(user)) || {}), ...p, username: user });
+  await saveProfileRow("", p);
+};
+
+// ===== Accounts (server-side; local profile rows are only a cache now) =====
+const profilePayload = (p) => ({
+  name: p.name || "", age: Number(p.age) || null, gender: p.gender || "",
+  email: p.email || "", favoriteGenreIds: Array.isArray(p.favoriteGenreIds) ? p.favoriteGenreIds : [],
+});
+const profileFromServerUser = (u) => ({
+  username: u.username, name: u.name || u.username, age: u.age ?? null,
+  gender: u.gender || "Prefer not to say", email: u.email || "",
+  favoriteGenreIds: Array.isArray(u.favorite_genre_ids) ? u.favorite_genre_ids : [],
+  savedAt: Date.now(),
+});
+const scrubLocalPassword = async (username) => {
+  const rec = await loadProfileRow(username);
+  if (rec && "password" in rec) {
+    delete rec.password;
+    await saveProfileRow(username, rec);
   }
-  return JSON.parse((await AsyncStorage.getItem(PROFILE_KEY)) || "null");
 };
-const saveProfile = async (p) => {
-  const user = await getCurrentUser();
-  if (user) {
-    const db = await loadUsersDb();
-    db[user] = { ...(db[user] || {}), ...p, username: user };
-    await saveUsersDb(db);
+// Pre-server accounts kept a plaintext password on the device. The first time such a
+// user logs in, create the server account from that record and drop the password.
+const migrateLocalAccount = async (username, password) => {
+  const rec = await loadProfileRow(username);
+  if (!rec || rec.password == null || String(rec.password) !== String(password)) return null;
+  try {
+    return await authSignup(username, password, profilePayload(rec));
+  } catch (e) {
+    if (e?.code === "username_taken") return null; // someone else owns that name server-side
+    throw e;
   }
-  await AsyncStorage.setItem(PROFILE_KEY, JSON.stringify(p));
 };
 
 const loadLiked = async () => {
   const u = await getCurrentUser();
   if (!u) return [];
-  return JSON.parse((await AsyncStorage.getItem(`${LIKED_SONGS_KEY}:${u}`)) || "[]");
+  return loadLikedSongs(u).catch(() => []);
 };
 const saveLiked = async (l) => {
   const u = await getCurrentUser();
   if (!u) return; // no-op when logged out
-  return AsyncStorage.setItem(`${LIKED_SONGS_KEY}:${u}`, JSON.stringify(l));
+  return saveLikedSongs(u, l);
+};
+// One song in / out of the account's Liked Songs; saveLiked() is for whole-list rewrites
+const saveLikedSong = async (t) => {
+  const u = await getCurrentUser();
+  if (u) await addLikedSong(u, t);
+};
+const dropLikedSong = async (k) => {
+  const u = await getCurrentUser();
+  if (u) await removeLikedSong(u, k);
 };
 
-// Global cooldown & dislike stores (not gated)
-const loadLikedDates  = async () => JSON.parse((await AsyncStorage.getItem(LIKED_DATES_KEY)) || "{}");
-const saveLikedDates  = (m) => AsyncStorage.setItem(LIKED_DATES_KEY, JSON.stringify(m));
-const loadDisliked    = async () => JSON.parse((await AsyncStorage.getItem(DISLIKED_SONGS_KEY)) || "[]");
-const saveDisliked    = (arr) => AsyncStorage.setItem(DISLIKED_SONGS_KEY, JSON.stringify(arr));
-const loadPlayedDates = async () => JSON.parse((await AsyncStorage.getItem(PLAYED_DATES_KEY)) || "{}");
-const savePlayedDates = (m) => AsyncStorage.setItem(PLAYED_DATES_KEY, JSON.stringify(m));
+// Undo helper: put a track back at its old position `at` in a list (at < 0 = not in it)
+function restoreAt(list, t, at) {
+  const k = trackKey(t);
+  const rest = list.filter((x) => trackKey(x) !== k);
+  if (at < 0) return rest;
+  return [...rest.slice(0, at), list.find((x) => trackKey(x) === k) || t, ...rest.slice(at)];
+}
 
-const dedupeById = (list) => { const seen=new Set(), out=[]; for (const t of list) { const k=trackKey(t); if(seen.has(k)) continue; seen.add(k); out.push(t);} return out; };
+// Everything this device knows, in sync-entry form (first sync of an account on a device)
+const buildLibrarySnapshot = async () => {
+  const [liked, disliked, likedDates, playedDates] = await Promise.all([loadLiked(), loadDislikes(), loadLikedDates(), loadPlayedDates()]);
+  const m = new Map();
+  const at = (k) => m.get(k) || { track_key: k, liked: null, disliked: null, track: null, updated_at: 0, liked_at: null, played_at: null };
+  // 1 = "older than anything synced", so remote decisions win over these
+  for (const [k, d] of Object.entries(disliked)) m.set(k, { ...at(k), liked: false, disliked: true, track: d.track, updated_at: 1 });
+  for (const t of liked || []) {
+    const k = String(trackKey(t));
+    m.set(k, { ...at(k), liked: true, disliked: false, track: t, updated_at: likedDates?.[k] || 1 });
+  }
+  for (const [k, ts] of Object.entries(likedDates || {})) m.set(k, { ...at(k), liked_at: ts });
+  for (const [k, ts] of Object.entries(playedDates || {})) m.set(k, { ...at(k), played_at: ts });
+  return Array.from(m.values());
+};
 
 // ===== Edge-swipe wrapper =====
 function EdgeBackWrapper({ onBack, children }) {
@@ -383,13 +445,13 @@ function GenreBubbles({ allGenres, selected, onToggle }) {
   );
 }
 
-function ProfileScreen({ onDone, onOpenLiked, onCancel, onGenresFetched }) {
+function ProfileScreen({ onDone, onOpenLiked, onOpenDisliked, onOpenBlocks, onOpenSettings, onOpenPlaylists, onBackupLibrary, onImportLibrary, onCancel, onGenresFetched, family, onFamilyChange }) {
   const [loadingGenres, setLoadingGenres] = useState(true);
   const [genres, setGenres] = useState([]);
 
   // Auth + profile fields
   const [username, setUsername] = useState("");
-  const [password, setPassword] = useState(""); // demo only
+  const [password, setPassword] = useState(""); // sent to /api/auth only, never stored
   const [name, setName] = useState("");
   const [age, setAge] = useState("");
   const [gender, setGender] = useState("Prefer not to say");
@@ -409,7 +471,6 @@ function ProfileScreen({ onDone, onOpenLiked, onCancel, onGenresFetched }) {
         setAge(String(p.age || ""));
         setGender(p.gender || "Prefer not to say");
         setEmail(p.email || "");
-        setPassword(p.password || "");
         setFavoriteGenreIds(Array.isArray(p.favoriteGenreIds) ? p.favoriteGenreIds : []);
       }
       const gs = await fetchGenres();
@@ -428,77 +489,84 @@ function ProfileScreen({ onDone, onOpenLiked, onCancel, onGenresFetched }) {
     if (email && !/^\S+@\S+\.\S+$/.test(email)) return Alert.alert("Profile", "Please enter a valid email.");
     setSaving(true);
     try {
-      await saveProfile({
+      const p = {
         username: username.trim(),
         name: name.trim(),
         age: Number(age) || null,
         gender,
         email: email.trim(),
-        password,
         favoriteGenreIds,
         savedAt: Date.now()
-      });
+      };
+      await saveProfile(p);
+      if (await loadAuth()) {
+        try { await saveRemoteProfile(profilePayload(p)); }
+        catch { Alert.alert("Profile", "Saved on this device. It will sync to your account next time you save online."); }
+      }
       onDone?.();
     } catch (e) { Alert.alert("Save failed", e?.message || "Please try again."); }
     finally { setSaving(false); }
-  }, [username, name, age, gender, email, password, favoriteGenreIds, onDone]);
+  }, [username, name, age, gender, email, favoriteGenreIds, onDone]);
+
+  const applySession = useCallback(async (session) => {
+    const p = profileFromServerUser(session.user);
+    await setCurrentUser(p.username);
+    await saveProfile(p);
+    await scrubLocalPassword(p.username);
+    setAnalyticsContext({ user_id: session.user.id });
+    setUsername(p.username);
+    setPassword("");
+    setName(p.name);
+    setAge(String(p.age || ""));
+    setGender(p.gender);
+    setEmail(p.email);
+    setFavoriteGenreIds(p.favoriteGenreIds);
+  }, []);
 
   const handleLogin = useCallback(async () => {
     if (!username.trim() || !password) return Alert.alert("Log In", "Username and password are required.");
     setAuthWorking(true);
     try {
-      const db = await loadUsersDb();
-      const rec = db[username.trim()];
-      if (!rec) return Alert.alert("Log In", "User not found.");
-      if (String(rec.password) !== String(password)) return Alert.alert("Log In", "Incorrect password.");
-      await setCurrentUser(username.trim());
-      // hydrate fields
-      setName(rec.name || "");
-      setAge(String(rec.age || ""));
-      setGender(rec.gender || "Prefer not to say");
-      setEmail(rec.email || "");
-      setFavoriteGenreIds(Array.isArray(rec.favoriteGenreIds) ? rec.favoriteGenreIds : []);
+      let session;
+      try {
+        session = await authLogin(username.trim(), password);
+      } catch (e) {
+        if (e?.code !== "invalid_credentials") throw e;
+        session = await migrateLocalAccount(username.trim(), password);
+        if (!session) return Alert.alert("Log In", "Incorrect username or password.");
+      }
+      await applySession(session);
       onDone?.();
     } catch (e) {
       Alert.alert("Log In", e?.message || "Could not log in.");
     } finally {
       setAuthWorking(false);
     }
-  }, [username, password, onDone]);
+  }, [username, password, applySession, onDone]);
 
   const handleSignIn = useCallback(async () => {
     if (!username.trim()) return Alert.alert("Sign In", "Please choose a username.");
     if (!password || password.length < 6) return Alert.alert("Sign In", "Password must be at least 6 characters.");
     setAuthWorking(true);
     try {
-      const db = await loadUsersDb();
-      if (db[username.trim()]) return Alert.alert("Sign In", "Username already exists. Pick another.");
-      const rec = {
-        username: username.trim(),
-        name: name.trim() || username.trim(),
-        age: Number(age) || null,
-        gender,
-        email: email.trim(),
-        password,
-        favoriteGenreIds,
-        createdAt: Date.now(),
-        savedAt: Date.now(),
-      };
-      db[username.trim()] = rec;
-      await saveUsersDb(db);
-      await setCurrentUser(username.trim());
-      await saveProfile(rec);
+      const session = await authSignup(username.trim(), password, profilePayload({
+        name: name.trim() || username.trim(), age, gender, email: email.trim(), favoriteGenreIds,
+      }));
+      await applySession(session);
       onDone?.();
     } catch (e) {
+      if (e?.code === "username_taken") return Alert.alert("Sign In", "Username already exists. Pick another.");
       Alert.alert("Sign In", e?.message || "Could not create account.");
     } finally {
       setAuthWorking(false);
     }
-  }, [username, password, name, age, gender, email, favoriteGenreIds, onDone]);
+  }, [username, password, name, age, gender, email, favoriteGenreIds, applySession, onDone]);
 
   const handleLogout = useCallback(async () => {
     try {
+      await authLogout();
       await clearCurrentUser();
+      setAnalyticsContext({ user_id: null });
       Alert.alert("Logged out", "You’ve been signed out on this device.");
       onDone?.(); // refresh feed & liked state
     } catch (e) {
@@ -565,6 +633,28 @@ function ProfileScreen({ onDone, onOpenLiked, onCancel, onGenresFetched }) {
             <TouchableOpacity onPress={onOpenLiked} style={[styles.secondaryBtn, { marginTop: 8 }]}>
               <Text style={styles.secondaryBtnText}>Liked Songs</Text>
             </TouchableOpacity>
+            <TouchableOpacity onPress={onOpenPlaylists} style={[styles.secondaryBtn, { marginTop: 8 }]}>
+              <Text style={styles.secondaryBtnText}>Playlists</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onOpenDisliked} style={[styles.secondaryBtn, { marginTop: 8 }]}>
+              <Text style={styles.secondaryBtnText}>Disliked Songs</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onOpenBlocks} style={[styles.secondaryBtn, { marginTop: 8 }]}>
+              <Text style={styles.secondaryBtnText}>Blocked Artists & Genres</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onOpenSettings} style={[styles.secondaryBtn, { marginTop: 8 }]}>
+              <Text style={styles.secondaryBtnText}>Settings</Text>
+            </TouchableOpacity>
+            <View style={{ flexDirection: "row", gap: 8, marginTop: 8 }}>
+              <TouchableOpacity onPress={onBackupLibrary} style={[styles.secondaryBtn, { flex: 1 }]}>
+                <Text style={styles.secondaryBtnText}>Back Up Library</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={onImportLibrary} style={[styles.secondaryBtn, { flex: 1 }]}>
+                <Text style={styles.secondaryBtnText}>Import…</Text>
+              </TouchableOpacity>
+            </View>
+
+            <FamilyModeSection family={family} onChange={onFamilyChange} />
 
             <View style={{ height: 24 }} />
             <TouchableOpacity onPress={handleLogout} style={[styles.dangerBtn]}>
@@ -577,13 +667,21 @@ function ProfileScreen({ onDone, onOpenLiked, onCancel, onGenresFetched }) {
   );
 }
 
-function LikedSongsScreen({ liked, onClose, onOpenInFeed, title = "Liked Songs" }) {
+function LikedSongsScreen({ liked, onClose, onOpenInFeed, onAddToPlaylist, onOpenPlaylists, onExport, onStartRadio, title = "Liked Songs" }) {
   return (
     <EdgeBackWrapper onBack={onClose}>
       <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0b0c" }}>
         <View style={styles.topBar}>
           <Text style={styles.brand}>{title}</Text>
-          <TouchableOpacity onPress={onClose} style={styles.topBtn}><Text style={styles.topBtnText}>Close</Text></TouchableOpacity>
+          <View style={{ flexDirection: "row", gap: 8 }}>
+            {!!onExport && liked.length > 0 && (
+              <TouchableOpacity onPress={onExport} style={styles.topBtn}><Text style={styles.topBtnText}>Export</Text></TouchableOpacity>
+            )}
+            {!!onOpenPlaylists && (
+              <TouchableOpacity onPress={onOpenPlaylists} style={styles.topBtn}><Text style={styles.topBtnText}>Playlists</Text></TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={onClose} style={styles.topBtn}><Text style={styles.topBtnText}>Close</Text></TouchableOpacity>
+          </View>
         </View>
         {liked.length === 0 ? (
           <View style={{ flex: 1, alignItems: "center", justifyContent: "center" }}>
@@ -602,6 +700,16 @@ function LikedSongsScreen({ liked, onClose, onOpenInFeed, title = "Liked Songs"
                   <Text style={styles.meta} numberOfLines={1}>{item.artist}</Text>
                   <Text style={styles.metaDim} numberOfLines={1}>{item.album}</Text>
                 </View>
+                {!!onStartRadio && (
+                  <TouchableOpacity style={[styles.actionBtn, { marginRight: 6 }]} onPress={() => onStartRadio(item)} accessibilityLabel="Start radio">
+                    <Ionicons name="radio" size={18} color="white" />
+                  </TouchableOpacity>
+                )}
+                {!!onAddToPlaylist && (
+                  <TouchableOpacity style={[styles.actionBtn, { marginRight: 6 }]} onPress={() => onAddToPlaylist(item)}>
+                    <Ionicons name="add" size={18} color="white" />
+                  </TouchableOpacity>
+                )}
                 <TouchableOpacity style={styles.actionBtn} onPress={() => onOpenInFeed(item)}>
                   <Text style={styles.actionBtnText}>Go</Text>
                 </TouchableOpacity>
@@ -614,6 +722,700 @@ function LikedSongsScreen({ liked, onClose, onOpenInFeed, title = "Liked Songs"
   );
 }
 
+// Disliked songs: newest first, searchable; restoring lets a song back into feeds
+function DislikedSongsScreen({ dislikes, onClose, onRestore, expiryDays, onChangeExpiry }) {
+  const [query, setQuery] = useState("");
+  const all = listDislikes(dislikes);
+  const q = normalizeQuery(query);
+  const shown = q
+    ? all.filter(({ track: t }) => normalizeQuery(`${t?.title || ""} ${t?.artist || ""} ${t?.album || ""}`).includes(q))
+    : all;
+
+  const confirmClear = () => Alert.alert("Clear dislikes", `Restore all ${all.length} disliked songs? They can show up in your feed again.`, [
+    { text: "Cancel", style: "cancel" },
+    { text: "Restore all", style: "destructive", onPress: () => onRestore(all.map((d) => d.key)) },
+  ]);
+
+  return (
+    <EdgeBackWrapper onBack={onClose}>
+      <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0b0c" }}>
+        <View style={styles.topBar}>
+          <Text style={styles.brand}>Disliked Songs</Text>
+          <View style={{ flexDirection: "row", gap: 8 }}>
+            {all.length > 0 && (
+              <TouchableOpacity onPress={confirmClear} style={styles.topBtn}><Text style={styles.topBtnText}>Clear all</Text></TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={onClose} style={styles.topBtn}><Text style={styles.topBtnText}>Close</Text></TouchableOpacity>
+          </View>
+        </View>
+        <View style={{ paddingHorizontal: 12, gap: 8 }}>
+          <Text style={styles.label}>Bring disliked songs back after</Text>
+          <View style={styles.segmentWrap}>
+            {DISLIKE_EXPIRY_CHOICES.map((d) => (
+              <Pressable key={d} onPress={() => onChangeExpiry(d)} style={[styles.segment, expiryDays === d && styles.segmentOn]}>
+                <Text style={[styles.segmentText, expiryDays === d && styles.segmentTextOn]}>{d ? `${d} days` : "Never"}</Text>
+              </Pressable>
+            ))}
+          </View>
+          {all.length > 0 && (
+            <TextInput placeholder="Search disliked songs" placeholderTextColor="#888" style={styles.input} value={query} onChangeText={setQuery} autoCapitalize="none" />
+          )}
+        </View>
+        {shown.length === 0 ? (
+          <View style={{ flex: 1, alignItems: "center", justifyContent: "center" }}>
+            <Text style={{ color: "#aaa" }}>{all.length ? "No matches." : "No disliked songs."}</Text>
+          </View>
+        ) : (
+          <FlatList
+            data={shown}
+            keyExtractor={(d) => d.key}
+            contentContainerStyle={{ padding: 12, gap: 8 }}
+            keyboardShouldPersistTaps="handled"
+            renderItem={({ item: { key, track: t, dislikedAt } }) => (
+              <View style={styles.likedRow}>
+                <Image source={{ uri: t?.artwork }} style={styles.likedArt} />
+                <View style={{ flex: 1, marginHorizontal: 12 }}>
+                  <Text style={styles.title} numberOfLines={1}>{t?.title || "Unknown song"}</Text>
+                  <Text style={styles.meta} numberOfLines={1}>{t ? t.artist : key}</Text>
+                  <Text style={styles.metaDim} numberOfLines={1}>Disliked {new Date(dislikedAt).toLocaleDateString()}</Text>
+                </View>
+                <TouchableOpacity style={styles.actionBtn} onPress={() => onRestore([key])}>
+                  <Text style={styles.actionBtnText}>Restore</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          />
+        )}
+      </SafeAreaView>
+    </EdgeBackWrapper>
+  );
+}
+
+// Blocked artists & genres (lib/blocks); unblocking lets them back into feeds and search
+function BlockListScreen({ blocks, onClose, onUnblock }) {
+  const sections = [
+    { kind: "artists", title: "Artists", empty: "No blocked artists. Long-press Nope on a card to block one." },
+    { kind: "genres", title: "Genres", empty: "No hidden genres." },
+  ];
+  return (
+    <EdgeBackWrapper onBack={onClose}>
+      <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0b0c" }}>
+        <View style={styles.topBar}>
+          <Text style={styles.brand}>Blocked</Text>
+          <TouchableOpacity onPress={onClose} style={styles.topBtn}><Text style={styles.topBtnText}>Close</Text></TouchableOpacity>
+        </View>
+        <ScrollView contentContainerStyle={{ padding: 12, gap: 8 }}>
+          {sections.map(({ kind, title, empty }) => (
+            <View key={kind} style={{ gap: 8, marginBottom: 8 }}>
+              <Text style={styles.label}>{title}</Text>
+              {blocks[kind].length === 0 ? <Text style={styles.metaDim}>{empty}</Text> : blocks[kind].map((b) => (
+                <View key={b.key} style={styles.likedRow}>
+                  <Ionicons name={kind === "artists" ? "person" : "musical-notes"} size={20} color="#aaa" style={{ marginHorizontal: 8 }} />
+                  <View style={{ flex: 1, marginHorizontal: 8 }}>
+                    <Text style={styles.title} numberOfLines={1}>{b.name}</Text>
+                    <Text style={styles.metaDim} numberOfLines={1}>Since {new Date(b.at).toLocaleDateString()}</Text>
+                  </View>
+                  <TouchableOpacity style={styles.actionBtn} onPress={() => onUnblock(kind, b.key)}>
+                    <Text style={styles.actionBtnText}>Unblock</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </View>
+          ))}
+        </ScrollView>
+      </SafeAreaView>
+    </EdgeBackWrapper>
+  );
+}
+
+// ===== Settings =====
+// Device playback (lib/settings) + this user's listening prefs (lib/listeningPrefs); both apply live
+function SegmentPicker({ choices, value, onPick, labelFor }) {
+  return (
+    <View style={styles.segmentWrap}>
+      {choices.map((c) => (
+        <Pressable key={String(c)} onPress={() => onPick(c)} style={[styles.segment, value === c && styles.segmentOn]}>
+          <Text style={[styles.segmentText, value === c && styles.segmentTextOn]}>{labelFor(c)}</Text>
+        </Pressable>
+      ))}
+    </View>
+  );
+}
+
+function SettingToggle({ title, hint, on, onToggle }) {
+  return (
+    <Pressable onPress={onToggle} style={styles.settingRow}>
+      <View style={{ flex: 1 }}>
+        <Text style={styles.settingTitle}>{title}</Text>
+        {!!hint && <Text style={styles.settingHint}>{hint}</Text>}
+      </View>
+      <Ionicons name={on ? "checkbox" : "square-outline"} size={22} color={on ? "#2e5cff" : "#888"} />
+    </Pressable>
+  );
+}
+
+// "E" next to a title for songs the catalog marks explicit
+function ExplicitBadge({ track }) {
+  if (!isExplicit(track)) return null;
+  return <View style={styles.explicitBadge}><Text style={styles.explicitBadgeText}>E</Text></View>;
+}
+
+// Family mode (lib/familyMode): device-wide, off only with the PIN
+function FamilyModeSection({ family, onChange }) {
+  const [pin, setPin] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const [working, setWorking] = useState(false);
+
+  const run = async (action) => {
+    if (working) return;
+    setWorking(true);
+    try {
+      onChange(await action());
+      setPin(""); setNewPin("");
+    } catch (e) {
+      Alert.alert("Family mode", e?.message || "Please try again.");
+    } finally {
+      setWorking(false);
+    }
+  };
+  const toggle = () => run(() => (family.enabled ? disableFamilyMode(pin) : enableFamilyMode()));
+  const savePin = () => run(async () => {
+    const next = await setFamilyPin(newPin, pin);
+    Alert.alert("Family mode", "PIN saved.");
+    return next;
+  });
+
+  return (
+    <View style={{ marginTop: 16 }}>
+      <Text style={styles.sectionTitle}>Family mode</Text>
+      <SettingToggle
+        title="Hide explicit songs"
+        hint={family.enabled ? "On for this device. Enter the PIN below to turn it off." : "Explicit songs are left out of the feed, search and shared links."}
+        on={family.enabled}
+        onToggle={toggle}
+      />
+      {(family.enabled || family.hasPin) && (
+        <TextInput placeholder="Current PIN" placeholderTextColor="#888" keyboardType="number-pad" secureTextEntry maxLength={8} style={styles.input} value={pin} onChangeText={setPin} />
+      )}
+      <View style={{ flexDirection: "row", gap: 8 }}>
+        <TextInput placeholder={family.hasPin ? "New PIN" : "Choose a PIN (4–8 digits)"} placeholderTextColor="#888" keyboardType="number-pad" secureTextEntry maxLength={8} style={[styles.input, { flex: 1 }]} value={newPin} onChangeText={setNewPin} />
+        <TouchableOpacity onPress={savePin} style={[styles.secondaryBtn, { paddingHorizontal: 16, alignSelf: "flex-start" }]} disabled={working}>
+          <Text style={styles.secondaryBtnText}>{family.hasPin ? "Change PIN" : "Set PIN"}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const GENRE_STRICTNESS_LABELS = { off: "Off", loose: "When possible", strict: "Always" };
+const daysLabel = (d) => (d ? `${d} days` : "Off");
+
+const MB = 1024 * 1024;
+
+// Offline listening (lib/offlineCache): what is on disk, its budget and a way to free it
+function OfflineCacheSection({ limitMb, onChangeLimit }) {
+  const [usage, setUsage] = useState(null);
+  const refresh = useCallback(() => { getOfflineCacheUsage().then(setUsage).catch(() => {}); }, []);
+  useEffect(refresh, [refresh, limitMb]);
+
+  const clear = () => Alert.alert("Offline listening", "Delete all downloaded previews from this device?", [
+    { text: "Cancel", style: "cancel" },
+    { text: "Delete", style: "destructive", onPress: () => clearOfflineCache().catch(() => {}).then(refresh) },
+  ]);
+
+  return (
+    <>
+      <Text style={[styles.sectionTitle, { marginTop: 24 }]}>Offline listening</Text>
+      <Text style={styles.settingHint}>
+        {usage
+          ? `${usage.tracks} songs from ${usage.pages} recent feed pages · ${(usage.bytes / MB).toFixed(1)} MB`
+          : "Recent feed pages are kept for when you’re offline."}
+      </Text>
+      <Text style={styles.label}>Storage for offline previews</Text>
+      <SegmentPicker choices={OFFLINE_CACHE_MB_CHOICES} value={limitMb} onPick={onChangeLimit} labelFor={(mb) => `${mb} MB`} />
+      <TouchableOpacity onPress={clear} disabled={!usage?.tracks} style={[styles.secondaryBtn, { marginTop: 12 }]}>
+        <Text style={styles.secondaryBtnText}>Clear Offline Songs</Text>
+      </TouchableOpacity>
+    </>
+  );
+}
+
+function SettingsScreen({ settings, onChangeSettings, listening, onChangeListening, user, onClose }) {
+  const [keyword, setKeyword] = useState("");
+  const addTypedKeyword = async () => {
+    if (await onChangeListening((p) => addKeyword(p, keyword))) setKeyword("");
+  };
+
+  return (
+    <EdgeBackWrapper onBack={onClose}>
+      <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0b0c" }}>
+        <View style={styles.topBar}>
+          <Text style={styles.brand}>Settings</Text>
+          <TouchableOpacity onPress={onClose} style={styles.topBtn}><Text style={styles.topBtnText}>Close</Text></TouchableOpacity>
+        </View>
+        <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : undefined} style={{ flex: 1 }}>
+          <ScrollView contentContainerStyle={{ padding: 16, paddingBottom: 40 }} keyboardShouldPersistTaps="handled">
+            <Text style={styles.sectionTitle}>Playback</Text>
+            <SettingToggle
+              title="Auto-advance" hint="Move to the next card when a preview ends"
+              on={settings.autoAdvance} onToggle={() => onChangeSettings({ autoAdvance: !settings.autoAdvance })}
+            />
+            <SettingToggle
+              title="Level volume" hint="Play quiet and loud previews at a similar loudness"
+              on={settings.levelVolume} onToggle={() => onChangeSettings({ levelVolume: !settings.levelVolume })}
+            />
+            <Text style={styles.label}>Crossfade between previews</Text>
+            <SegmentPicker choices={CROSSFADE_CHOICES} value={settings.crossfadeMs} onPick={(ms) => onChangeSettings({ crossfadeMs: ms })} labelFor={(ms) => (ms ? `${ms / 1000}s` : "Off")} />
+
+            <Text style={[styles.sectionTitle, { marginTop: 24 }]}>Listening</Text>
+            <Text style={styles.settingHint}>{user ? `Saved for ${user} on this device.` : "Saved on this device until you log in."}</Text>
+
+            <Text style={styles.label}>Skip songs I liked for</Text>
+            <SegmentPicker choices={COOLDOWN_CHOICES} value={listening.likeCooldownDays} onPick={(d) => onChangeListening((p) => ({ ...p, likeCooldownDays: d }))} labelFor={daysLabel} />
+            <Text style={styles.label}>Skip songs I played for</Text>
+            <SegmentPicker choices={COOLDOWN_CHOICES} value={listening.playCooldownDays} onPick={(d) => onChangeListening((p) => ({ ...p, playCooldownDays: d }))} labelFor={daysLabel} />
+
+            <Text style={styles.label}>Stick to the chosen genres</Text>
+            <SegmentPicker choices={GENRE_STRICTNESS} value={listening.genreStrictness} onPick={(g) => onChangeListening((p) => ({ ...p, genreStrictness: g }))} labelFor={(g) => GENRE_STRICTNESS_LABELS[g]} />
+            <Text style={styles.settingHint}>“When possible” lets other genres in when too few songs match.</Text>
+
+            <Text style={styles.label}>Hide</Text>
+            {CONTENT_FILTERS.map((f) => (
+              <SettingToggle
+                key={f.id} title={f.label} on={!!listening.filters[f.id]}
+                onToggle={() => onChangeListening((p) => ({ ...p, filters: { ...p.filters, [f.id]: !p.filters[f.id] } }))}
+              />
+            ))}
+
+            <Text style={styles.label}>Also hide songs mentioning</Text>
+            <View style={{ flexDirection: "row", gap: 8 }}>
+              <TextInput
+                placeholder="e.g., remix, live, sped up" placeholderTextColor="#888" autoCapitalize="none"
+                style={[styles.input, { flex: 1 }]} value={keyword} onChangeText={setKeyword}
+                onSubmitEditing={addTypedKeyword} returnKeyType="done"
+              />
+              <TouchableOpacity onPress={addTypedKeyword} style={[styles.secondaryBtn, { paddingHorizontal: 16 }]}><Text style={styles.secondaryBtnText}>Add</Text></TouchableOpacity>
+            </View>
+            <View style={{ flexDirection: "row", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+              {listening.keywords.map((k) => (
+                <Pressable key={k} onPress={() => onChangeListening((p) => removeKeyword(p, k))} style={[styles.segment, styles.segmentOn]} accessibilityLabel={`Stop hiding “${k}”`}>
+                  <Text style={[styles.segmentText, styles.segmentTextOn]}>{k} ✕</Text>
+                </Pressable>
+              ))}
+            </View>
+
+            <OfflineCacheSection limitMb={settings.offlineCacheMb} onChangeLimit={(mb) => onChangeSettings({ offlineCacheMb: mb })} />
+          </ScrollView>
+        </KeyboardAvoidingView>
+      </SafeAreaView>
+    </EdgeBackWrapper>
+  );
+}
+
+// ===== Playlists =====
+function PlaylistsScreen({ playlists, loggedIn, onClose, onOpen, onCreate, onRename, onDelete, onMove }) {
+  const [newName, setNewName] = useState("");
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState("");
+
+  const create = () => { if (onCreate?.(newName)) setNewName(""); };
+  const commitRename = () => { if (onRename?.(renamingId, renameText)) setRenamingId(null); };
+  const confirmDelete = (p) => Alert.alert("Delete playlist", `Delete “${p.name}”? Songs stay in your likes.`, [
+    { text: "Cancel", style: "cancel" },
+    { text: "Delete", style: "destructive", onPress: () => onDelete?.(p.id) },
+  ]);
+
+  return (
+    <EdgeBackWrapper onBack={onClose}>
+      <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0b0c" }}>
+        <View style={styles.topBar}>
+          <Text style={styles.brand}>Playlists</Text>
+          <TouchableOpacity onPress={onClose} style={styles.topBtn}><Text style={styles.topBtnText}>Close</Text></TouchableOpacity>
+        </View>
+        {!loggedIn ? (
+          <View style={{ flex: 1, alignItems: "center", justifyContent: "center", paddingHorizontal: 24 }}>
+            <Text style={{ color: "#aaa", textAlign: "center" }}>Log in from your profile to create playlists.</Text>
+          </View>
+        ) : (
+          <>
+            <View style={{ flexDirection: "row", gap: 8, paddingHorizontal: 12 }}>
+              <TextInput
+                placeholder="New playlist name" placeholderTextColor="#888" style={[styles.input, { flex: 1 }]}
+                value={newName} onChangeText={setNewName} maxLength={PLAYLIST_NAME_MAX} returnKeyType="done" onSubmitEditing={create}
+              />
+              <TouchableOpacity onPress={create} style={[styles.primaryBtn, { paddingHorizontal: 16 }]}>
+                <Text style={styles.primaryBtnText}>Create</Text>
+              </TouchableOpacity>
+            </View>
+            <FlatList
+              data={playlists}
+              keyExtractor={(p) => p.id}
+              contentContainerStyle={{ padding: 12, gap: 8 }}
+              keyboardShouldPersistTaps="handled"
+              ListEmptyComponent={<Text style={{ color: "#aaa", textAlign: "center", marginTop: 24 }}>No playlists yet.</Text>}
+              renderItem={({ item: p, index }) => (
+                <Pressable style={styles.likedRow} onPress={() => renamingId !== p.id && onOpen?.(p.id)}>
+                  <View style={{ flex: 1, marginHorizontal: 8 }}>
+                    {renamingId === p.id ? (
+                      <TextInput
+                        autoFocus style={styles.input} value={renameText} onChangeText={setRenameText}
+                        maxLength={PLAYLIST_NAME_MAX} returnKeyType="done" onSubmitEditing={commitRename} onBlur={() => setRenamingId(null)}
+                      />
+                    ) : (
+                      <>
+                        <Text style={styles.title} numberOfLines={1}>{p.name}</Text>
+                        <Text style={styles.metaDim}>{p.tracks.length} {p.tracks.length === 1 ? "song" : "songs"}</Text>
+                      </>
+                    )}
+                  </View>
+                  <TouchableOpacity style={styles.iconBtn} disabled={index === 0} onPress={() => onMove?.(p.id, -1)}>
+                    <Ionicons name="chevron-up" size={18} color={index === 0 ? "#555" : "white"} />
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.iconBtn} disabled={index === playlists.length - 1} onPress={() => onMove?.(p.id, 1)}>
+                    <Ionicons name="chevron-down" size={18} color={index === playlists.length - 1 ? "#555" : "white"} />
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.iconBtn} onPress={() => { setRenamingId(p.id); setRenameText(p.name); }}>
+                    <Ionicons name="pencil" size={16} color="white" />
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.iconBtn} onPress={() => confirmDelete(p)}>
+                    <Ionicons name="trash" size={16} color="#ff8a8a" />
+                  </TouchableOpacity>
+                </Pressable>
+              )}
+            />
+          </>
+        )}
+      </SafeAreaView>
+    </EdgeBackWrapper>
+  );
+}
+
+function PlaylistScreen({ playlist, onClose, onOpenInFeed, onRemoveTrack, onMoveTrack, onExport }) {
+  const tracks = playlist?.tracks || [];
+  return (
+    <EdgeBackWrapper onBack={onClose}>
+      <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0b0c" }}>
+        <View style={styles.topBar}>
+          <Text style={styles.brand} numberOfLines={1}>{playlist?.name || "Playlist"}</Text>
+          <View style={{ flexDirection: "row", gap: 8 }}>
+            {!!onExport && tracks.length > 0 && (
+              <TouchableOpacity onPress={onExport} style={styles.topBtn}><Text style={styles.topBtnText}>Export</Text></TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={onClose} style={styles.topBtn}><Text style={styles.topBtnText}>Back</Text></TouchableOpacity>
+          </View>
+        </View>
+        {tracks.length === 0 ? (
+          <View style={{ flex: 1, alignItems: "center", justifyContent: "center", paddingHorizontal: 24 }}>
+            <Text style={{ color: "#aaa", textAlign: "center" }}>No songs yet. Add them with + on a card or in Liked Songs.</Text>
+          </View>
+        ) : (
+          <FlatList
+            data={tracks}
+            keyExtractor={(item) => trackKey(item).toString()}
+            contentContainerStyle={{ padding: 12, gap: 8 }}
+            renderItem={({ item, index }) => (
+              <View style={styles.likedRow}>
+                <Image source={{ uri: item.artwork }} style={styles.likedArt} />
+                <View style={{ flex: 1, marginHorizontal: 12 }}>
+                  <Text style={styles.title} numberOfLines={1}>{item.title}</Text>
+                  <Text style={styles.meta} numberOfLines={1}>{item.artist}</Text>
+                </View>
+                <TouchableOpacity style={styles.iconBtn} disabled={index === 0} onPress={() => onMoveTrack?.(trackKey(item), -1)}>
+                  <Ionicons name="chevron-up" size={18} color={index === 0 ? "#555" : "white"} />
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.iconBtn} disabled={index === tracks.length - 1} onPress={() => onMoveTrack?.(trackKey(item), 1)}>
+                  <Ionicons name="chevron-down" size={18} color={index === tracks.length - 1 ? "#555" : "white"} />
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.iconBtn} onPress={() => onRemoveTrack?.(trackKey(item))}>
+                  <Ionicons name="close" size={18} color="#ff8a8a" />
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.actionBtn, { marginLeft: 4 }]} onPress={() => onOpenInFeed(item)}>
+                  <Text style={styles.actionBtnText}>Go</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          />
+        )}
+      </SafeAreaView>
+    </EdgeBackWrapper>
+  );
+}
+
+// ===== Artist & album =====
+// Catalog that can open artist / album pages for a track (or { artistId } / { albumId }); null if none
+function detailsProvider(ref) {
+  const p = providerForTrackId(ref?.id ?? ref?.albumId ?? ref?.artistId);
+  return p.artistPage && p.albumPage ? p : null;
+}
+
+// One preview at a time inside a detail screen; onStart stops the feed's audio first
+function usePreviewPlayer(onStart) {
+  const soundRef = useRef(null);
+  const keyRef = useRef(null);   // track of the loaded preview
+  const tokenRef = useRef(0);    // bumps on every stop, so a slow load can tell it was superseded
+  const [playingKey, setPlayingKey] = useState(null);
+
+  const stop = useCallback(async () => {
+    tokenRef.current += 1;
+    const s = soundRef.current;
+    soundRef.current = null;
+    keyRef.current = null;
+    setPlayingKey(null);
+    try { if (s) { s.setOnPlaybackStatusUpdate(null); await s.unloadAsync(); } } catch {}
+  }, []);
+
+  const toggle = useCallback(async (t) => {
+    const key = trackKey(t);
+    const wasPlaying = keyRef.current === key;
+    await stop();
+    if (wasPlaying || !t?.previewUrl || familyHides(t)) return;
+    const token = tokenRef.current;
+    await onStart?.();
+    try {
+      const { sound } = await Audio.Sound.createAsync({ uri: t.previewUrl }, { shouldPlay: true, volume: gainFor(t, { level: getSettings().levelVolume }) });
+      if (token !== tokenRef.current) { sound.unloadAsync().catch(() => {}); return; } // superseded meanwhile
+      soundRef.current = sound;
+      keyRef.current = key;
+      setPlayingKey(key);
+      sound.setOnPlaybackStatusUpdate((st) => { if (st.didJustFinish && soundRef.current === sound) stop(); });
+    } catch {}
+  }, [onStart, stop]);
+
+  useEffect(() => () => { stop(); }, [stop]);
+  return { playingKey, toggle, stop };
+}
+
+// Loads provider.artistPage / albumPage for ref; `reload` retries after an error
+function useCatalogPage(kind, ref) {
+  const [state, setState] = useState({ loading: true, data: null, error: null });
+  const [attempt, setAttempt] = useState(0);
+  useEffect(() => {
+    let live = true;
+    setState({ loading: true, data: null, error: null });
+    (async () => {
+      try {
+        const provider = detailsProvider(ref);
+        if (!provider) throw new Error("Not available for this catalog.");
+        const page = await (kind === "artist" ? provider.artistPage(ref) : provider.albumPage(ref));
+        const tracks = dedupeById((kind === "artist" ? page.topTracks : page.tracks).map(normalizeTrack).filter((t) => t.title && t.artist && !familyHides(t)));
+        if (live) setState({ loading: false, data: { ...page, tracks }, error: null });
+      } catch (e) {
+        if (live) setState({ loading: false, data: null, error: String(e?.message || e) });
+      }
+    })();
+    return () => { live = false; };
+  }, [kind, ref, attempt]);
+  return { ...state, reload: () => setAttempt((n) => n + 1) };
+}
+
+function DetailTrackRow({ track, leading, playing, onPreview, onOpenInFeed }) {
+  return (
+    <View style={styles.likedRow}>
+      {leading}
+      <View style={{ flex: 1, marginHorizontal: 12 }}>
+        <View style={styles.titleRow}>
+          <Text style={[styles.title, { flexShrink: 1 }]} numberOfLines={1}>{track.title}</Text>
+          <ExplicitBadge track={track} />
+        </View>
+        <Text style={styles.metaDim} numberOfLines={1}>{track.artist}</Text>
+      </View>
+      <TouchableOpacity style={styles.iconBtn} disabled={!track.previewUrl} onPress={() => onPreview(track)}>
+        <Ionicons name={playing ? "pause" : "play"} size={18} color={track.previewUrl ? "white" : "#555"} />
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.actionBtn, { marginLeft: 4 }]} onPress={() => onOpenInFeed(track)}>
+        <Text style={styles.actionBtnText}>Go</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+function DetailBody({ loading, error, onRetry, children }) {
+  if (loading) return <View style={{ flex: 1, alignItems: "center", justifyContent: "center" }}><ActivityIndicator /></View>;
+  if (error) {
+    return (
+      <View style={{ flex: 1, alignItems: "center", justifyContent: "center", gap: 12, paddingHorizontal: 24 }}>
+        <Text style={{ color: "#aaa", textAlign: "center" }}>{error}</Text>
+        <TouchableOpacity style={styles.primaryBtn} onPress={onRetry}><Text style={[styles.primaryBtnText, { paddingHorizontal: 16 }]}>Retry</Text></TouchableOpacity>
+      </View>
+    );
+  }
+  return children;
+}
+
+// artistRef: a track or { artistId, artist }
+function ArtistScreen({ artistRef, onClose, onOpenAlbum, onPlayAll, onOpenInFeed, onPreviewStart }) {
+  const { loading, data, error, reload } = useCatalogPage("artist", artistRef);
+  const preview = usePreviewPlayer(onPreviewStart);
+  const name = data?.artist?.name || artistRef?.artist || "Artist";
+  const go = (fn) => async (...args) => { await preview.stop(); fn?.(...args); };
+
+  return (
+    <EdgeBackWrapper onBack={onClose}>
+      <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0b0c" }}>
+        <View style={styles.topBar}>
+          <Text style={styles.brand} numberOfLines={1}>{name}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.topBtn}><Text style={styles.topBtnText}>Back</Text></TouchableOpacity>
+        </View>
+        <DetailBody loading={loading} error={error} onRetry={reload}>
+          <ScrollView contentContainerStyle={{ padding: 12, gap: 8 }}>
+            {!!data?.artist?.genreName && <Text style={styles.metaDim}>{data.artist.genreName}</Text>}
+            {data?.tracks?.length > 0 && (
+              <TouchableOpacity style={[styles.primaryBtn, { marginVertical: 4 }]} onPress={go(() => onPlayAll?.(data.tracks, `artist.${data.artist.id}`))}>
+                <Text style={styles.primaryBtnText}>Play All in Feed</Text>
+              </TouchableOpacity>
+            )}
+            <Text style={styles.label}>Top Songs</Text>
+            {!data?.tracks?.length && <Text style={styles.metaDim}>No songs found.</Text>}
+            {data?.tracks?.map((t) => (
+              <DetailTrackRow
+                key={trackKey(t)} track={t} playing={preview.playingKey === trackKey(t)}
+                leading={<Image source={{ uri: t.artwork }} style={styles.likedArt} />}
+                onPreview={preview.toggle} onOpenInFeed={go(onOpenInFeed)}
+              />
+            ))}
+            {data?.albums?.length > 0 && <Text style={styles.label}>Albums</Text>}
+            {data?.albums?.map((a) => (
+              <Pressable key={String(a.id)} style={styles.likedRow} onPress={go(() => onOpenAlbum?.({ albumId: a.id, album: a.title, artist: a.artist }))}>
+                <Image source={{ uri: a.artwork }} style={styles.likedArt} />
+                <View style={{ flex: 1, marginHorizontal: 12 }}>
+                  <Text style={styles.title} numberOfLines={1}>{a.title}</Text>
+                  <Text style={styles.metaDim} numberOfLines={1}>{[a.year, a.trackCount ? `${a.trackCount} songs` : ""].filter(Boolean).join(" · ")}</Text>
+                </View>
+                <Ionicons name="chevron-forward" size={18} color="#888" />
+              </Pressable>
+            ))}
+          </ScrollView>
+        </DetailBody>
+      </SafeAreaView>
+    </EdgeBackWrapper>
+  );
+}
+
+// albumRef: a track or { albumId, album, artist }
+function AlbumScreen({ albumRef, onClose, onOpenArtist, onPlayAll, onOpenInFeed, onPreviewStart }) {
+  const { loading, data, error, reload } = useCatalogPage("album", albumRef);
+  const preview = usePreviewPlayer(onPreviewStart);
+  const album = data?.album;
+  const go = (fn) => async (...args) => { await preview.stop(); fn?.(...args); };
+
+  return (
+    <EdgeBackWrapper onBack={onClose}>
+      <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0b0c" }}>
+        <View style={styles.topBar}>
+          <Text style={styles.brand} numberOfLines={1}>{album?.title || albumRef?.album || "Album"}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.topBtn}><Text style={styles.topBtnText}>Back</Text></TouchableOpacity>
+        </View>
+        <DetailBody loading={loading} error={error} onRetry={reload}>
+          <ScrollView contentContainerStyle={{ padding: 12, gap: 8 }}>
+            <View style={{ flexDirection: "row", gap: 12, alignItems: "center", marginBottom: 4 }}>
+              <Image source={{ uri: album?.artwork }} style={{ width: 96, height: 96, borderRadius: 10, backgroundColor: "#222" }} />
+              <View style={{ flex: 1 }}>
+                <Text style={styles.meta} numberOfLines={1} onPress={album?.artistId ? go(() => onOpenArtist?.({ artistId: album.artistId, artist: album.artist })) : undefined}>
+                  {album?.artist}{album?.artistId ? "  ›" : ""}
+                </Text>
+                <Text style={styles.metaDim}>{[album?.year, data?.tracks?.length ? `${data.tracks.length} songs` : ""].filter(Boolean).join(" · ")}</Text>
+              </View>
+            </View>
+            {data?.tracks?.length > 0 && (
+              <TouchableOpacity style={[styles.primaryBtn, { marginVertical: 4 }]} onPress={go(() => onPlayAll?.(data.tracks, `album.${album.id}`))}>
+                <Text style={styles.primaryBtnText}>Play All in Feed</Text>
+              </TouchableOpacity>
+            )}
+            {data?.tracks?.map((t, i) => (
+              <DetailTrackRow
+                key={trackKey(t)} track={t} playing={preview.playingKey === trackKey(t)}
+                leading={<Text style={[styles.metaDim, { width: 24, textAlign: "right" }]}>{i + 1}</Text>}
+                onPreview={preview.toggle} onOpenInFeed={go(onOpenInFeed)}
+              />
+            ))}
+          </ScrollView>
+        </DetailBody>
+      </SafeAreaView>
+    </EdgeBackWrapper>
+  );
+}
+
+function AddToPlaylistModal({ track, playlists, onClose, onPick, onCreateAndAdd }) {
+  const [newName, setNewName] = useState("");
+  const create = () => { if (onCreateAndAdd?.(newName)) setNewName(""); };
+  return (
+    <Modal visible={!!track} transparent animationType="fade" onRequestClose={onClose}>
+      <Pressable style={styles.modalBackdrop} onPress={onClose}>
+        <Pressable style={styles.modalCard} onPress={() => {}}>
+          <Text style={styles.modalTitle} numberOfLines={1}>Add “{track?.title}” to…</Text>
+          <ScrollView style={{ maxHeight: Math.floor(screen.height * 0.4) }} keyboardShouldPersistTaps="handled">
+            {playlists.map((p) => {
+              const has = playlistHasTrack(p, track);
+              return (
+                <Pressable key={p.id} style={[styles.modalItem, { flexDirection: "row", justifyContent: "space-between" }]} disabled={has} onPress={() => onPick?.(p.id)}>
+                  <Text style={[styles.modalItemText, has && { color: "#777" }]} numberOfLines={1}>{p.name}</Text>
+                  {has && <Ionicons name="checkmark" size={16} color="#3ee37a" />}
+                </Pressable>
+              );
+            })}
+          </ScrollView>
+          <View style={{ flexDirection: "row", gap: 8, marginTop: 10 }}>
+            <TextInput
+              placeholder="New playlist" placeholderTextColor="#888" style={[styles.input, { flex: 1 }]}
+              value={newName} onChangeText={setNewName} maxLength={PLAYLIST_NAME_MAX} returnKeyType="done" onSubmitEditing={create}
+            />
+            <TouchableOpacity onPress={create} style={[styles.primaryBtn, { paddingHorizontal: 16 }]}>
+              <Text style={styles.primaryBtnText}>Create</Text>
+            </TouchableOpacity>
+          </View>
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+// error: { url, code, message } from a track link that could not be resolved
+function TrackLinkErrorCard({ error, onClose, onRetry }) {
+  return (
+    <Modal visible={!!error} transparent animationType="fade" onRequestClose={onClose}>
+      <Pressable style={styles.modalBackdrop} onPress={onClose}>
+        <Pressable style={styles.modalCard} onPress={() => {}}>
+          <View style={{ flexDirection: "row", alignItems: "center", gap: 8, marginBottom: 6 }}>
+            <Ionicons name="alert-circle-outline" size={20} color="#ff6b6b" />
+            <Text style={[styles.modalTitle, { marginBottom: 0 }]}>Couldn’t open this song</Text>
+          </View>
+          <Text style={styles.metaDim}>{error?.message}</Text>
+          <View style={{ flexDirection: "row", gap: 8, marginTop: 14 }}>
+            {error?.code === "unreachable" && (
+              <TouchableOpacity onPress={onRetry} style={[styles.primaryBtn, { flex: 1 }]}>
+                <Text style={styles.primaryBtnText}>Try Again</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={onClose} style={[styles.primaryBtn, { flex: 1, backgroundColor: "#2b2b31" }]}>
+              <Text style={styles.primaryBtnText}>Dismiss</Text>
+            </TouchableOpacity>
+          </View>
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+// request: { title, tracks, fileName, backup? } — `backup` adds the full-library JSON option
+function ExportModal({ request, onClose, onPick }) {
+  const formats = ["m3u", "xspf", "csv", ...(request?.backup ? ["json"] : [])];
+  return (
+    <Modal visible={!!request} transparent animationType="fade" onRequestClose={onClose}>
+      <Pressable style={styles.modalBackdrop} onPress={onClose}>
+        <View style={styles.modalCard}>
+          <Text style={styles.modalTitle} numberOfLines={1}>Export {request?.title}</Text>
+          <Text style={styles.metaDim}>{request?.tracks?.length || 0} {request?.tracks?.length === 1 ? "song" : "songs"}</Text>
+          {formats.map((f) => (
+            <Pressable key={f} style={styles.modalItem} onPress={() => onPick?.(f)}>
+              <Text style={styles.modalItemText}>{EXPORT_FORMATS[f].label}</Text>
+            </Pressable>
+          ))}
+        </View>
+      </Pressable>
+    </Modal>
+  );
+}
+
 function GenresQuickScreen({ initialSelected = [], savedProfileGenreIds = [], onApply, onClose, onGenresFetched }) {
   const [loading, setLoading] = useState(true);
   const [genres, setGenres] = useState([]);
@@ -664,16 +1466,100 @@ function GenresQuickScreen({ initialSelected = [], savedProfileGenreIds = [], on
             </>
           )}
         </View>
-      </SafeAreaView>
-    </EdgeBackWrapper>
+      </SafeAreaView>
+    </EdgeBackWrapper>
+  );
+}
+
+// ===== Playback status (feed card controls) =====
+// Status updates arrive a few times a second; listeners are keyed by track, so only the
+// loaded track's card and progress bar re-render with them (plus the previous track's, once,
+// when playback moves on).
+const playbackStatus = { key: null, positionMs: 0, durationMs: 0, isPlaying: false };
+const playbackListeners = new Map(); // track key → Set of listeners
+function publishPlayback(patch) {
+  const prevKey = playbackStatus.key;
+  Object.assign(playbackStatus, patch);
+  const keys = new Set([prevKey, playbackStatus.key]);
+  keys.forEach((k) => playbackListeners.get(k)?.forEach((fn) => fn()));
+}
+// Status of `key` when it is the loaded track, else null
+function usePlaybackStatus(key) {
+  const [, setTick] = useState(0);
+  const k = key == null ? null : String(key);
+  useEffect(() => {
+    if (k == null) return;
+    const fn = () => setTick((n) => n + 1);
+    if (!playbackListeners.has(k)) playbackListeners.set(k, new Set());
+    playbackListeners.get(k).add(fn);
+    return () => {
+      const set = playbackListeners.get(k);
+      set?.delete(fn);
+      if (!set?.size) playbackListeners.delete(k);
+    };
+  }, [k]);
+  return k != null && playbackStatus.key === k ? { ...playbackStatus } : null;
+}
+const fmtTime = (ms) => {
+  const s = Math.max(0, Math.round((ms || 0) / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+// Progress with scrubbing, elapsed / remaining time and the auto-advance toggle
+function PlaybackBar({ trackId, onSeek, autoAdvance, onToggleAutoAdvance }) {
+  const st = usePlaybackStatus(trackId);
+  const [scrub, setScrub] = useState(null); // 0..1 while dragging
+  const widthRef = useRef(1);
+  const grantXRef = useRef(0);
+  const durationRef = useRef(0);
+  const onSeekRef = useRef(onSeek);
+  durationRef.current = st?.durationMs || 0;
+  onSeekRef.current = onSeek;
+
+  const ratioAt = (x) => Math.min(1, Math.max(0, x / widthRef.current));
+  const pan = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => durationRef.current > 0,
+    onMoveShouldSetPanResponder: () => durationRef.current > 0,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: (e) => { grantXRef.current = e.nativeEvent.locationX; setScrub(ratioAt(grantXRef.current)); },
+    onPanResponderMove: (_, g) => setScrub(ratioAt(grantXRef.current + g.dx)),
+    onPanResponderRelease: (_, g) => {
+      onSeekRef.current?.(ratioAt(grantXRef.current + g.dx) * durationRef.current);
+      setScrub(null);
+    },
+    onPanResponderTerminate: () => setScrub(null),
+  })).current;
+
+  const duration = st?.durationMs || 0;
+  const position = scrub != null ? scrub * duration : st?.positionMs || 0;
+  const ratio = duration ? Math.min(1, position / duration) : 0;
+
+  return (
+    <View style={styles.progressWrap}>
+      <View {...pan.panHandlers} style={styles.progressHit} onLayout={(e) => { widthRef.current = e.nativeEvent.layout.width || 1; }}>
+        <View pointerEvents="none" style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${ratio * 100}%` }]} />
+        </View>
+        <View pointerEvents="none" style={[styles.progressKnob, { left: `${ratio * 100}%` }, scrub != null && styles.progressKnobActive]} />
+      </View>
+      <View style={styles.progressTimes}>
+        <Text style={styles.progressTime}>{fmtTime(position)}</Text>
+        <TouchableOpacity onPress={onToggleAutoAdvance} style={styles.iconBtn} accessibilityLabel={`Auto-advance ${autoAdvance ? "on" : "off"}`}>
+          <Ionicons name="play-skip-forward" size={14} color={autoAdvance ? "#3ee37a" : "#666"} />
+        </TouchableOpacity>
+        <Text style={styles.progressTime}>-{fmtTime(duration - position)}</Text>
+      </View>
+    </View>
   );
 }
 
 // ===== Card =====
 function TrackCard({
-  item, isLiked, isDisliked, onSwipeDecision, onOpenPressed, onSharePressed,
-  onToggleLike, onToggleDislike, onOpenSessionLikes, onOpenGenres, onOpenProfile
+  item, isLiked, isDisliked, onSwipeDecision, onOpenPressed, onSharePressed, onAddToPlaylist,
+  onToggleLike, onToggleDislike, onNopeOptions, onOpenSessionLikes, onOpenGenres, onOpenProfile, onOpenArtist, onOpenAlbum, onStartRadio,
+  onTogglePlay, onSeek, autoAdvance, onToggleAutoAdvance
 }) {
+  const playing = usePlaybackStatus(trackKey(item));
   const translate = useRef(new Animated.Value(0)).current;
   const likePulse = useRef(new Animated.Value(1)).current;
   const nopePulse = useRef(new Animated.Value(1)).current;
@@ -752,22 +1638,34 @@ function TrackCard({
         </Animated.View>
 
         {/* remove the old negative marginTop */}
-        <Image
-          source={{ uri: item.artwork }}
-          style={{ width: screen.width * 0.86, height: screen.width * 0.86, resizeMode: "contain", zIndex: 1 }}
-        />
+        <Pressable onPress={() => onTogglePlay?.(item)} accessibilityLabel={playing?.isPlaying ? "Pause" : "Play"}>
+          <Image
+            source={{ uri: item.artwork }}
+            style={{ width: screen.width * 0.86, height: screen.width * 0.86, resizeMode: "contain", zIndex: 1 }}
+          />
+          {!!playing && !playing.isPlaying && (
+            <View pointerEvents="none" style={styles.pausedBadge}><Ionicons name="play" size={48} color="white" /></View>
+          )}
+        </Pressable>
         <View style={{ marginTop: 16, alignItems: "center", paddingHorizontal: 8 }}>
-          <Text style={styles.title} numberOfLines={1}>{item.title}</Text>
-          <Text style={styles.meta} numberOfLines={1}>{item.artist}</Text>
-          <Text style={styles.metaDim} numberOfLines={1}>{item.album}</Text>
+          <View style={styles.titleRow}>
+            <Text style={[styles.title, { flexShrink: 1 }]} numberOfLines={1}>{item.title}</Text>
+            <ExplicitBadge track={item} />
+          </View>
+          <Text style={styles.meta} numberOfLines={1} onPress={() => onOpenArtist?.(item)}>{item.artist}</Text>
+          <Text style={styles.metaDim} numberOfLines={1} onPress={() => onOpenAlbum?.(item)}>{item.album}</Text>
         </View>
       </Animated.View>
 
+      <PlaybackBar trackId={String(trackKey(item))} onSeek={(ms) => onSeek?.(item, ms)} autoAdvance={autoAdvance} onToggleAutoAdvance={onToggleAutoAdvance} />
+
       {/* actions row — stays centered under the cover */}
       <View style={[styles.rowButtons, { justifyContent: "center", marginTop: 12 }]}>
         <TouchableOpacity
           style={[styles.actionBtn, styles.nope, isDisliked && styles.nopeActive]}
           onPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium); onToggleDislike?.(item, isDisliked); }}
+          onLongPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy); onNopeOptions?.(item); }}
+          accessibilityHint="Long-press to block this artist or genre"
         >
           <Ionicons name="thumbs-down" size={18} color="white" />
           <Text style={[styles.actionBtnText, { marginLeft: 6 }]}>Nope</Text>
@@ -786,6 +1684,12 @@ function TrackCard({
         <TouchableOpacity style={styles.actionBtn} onPress={() => onSharePressed?.(item)}>
           <Text style={styles.actionBtnText}>Share</Text>
         </TouchableOpacity>
+        <TouchableOpacity style={styles.actionBtn} onPress={() => onAddToPlaylist?.(item)}>
+          <Ionicons name="add" size={18} color="white" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionBtn} onPress={() => onStartRadio?.(item)} accessibilityLabel="Start radio">
+          <Ionicons name="radio" size={18} color="white" />
+        </TouchableOpacity>
       </View>
     </View>
   </View>
@@ -796,6 +1700,7 @@ export default function App() {
   const [profile, setProfile] = useState(null);
   const [showProfile, setShowProfile] = useState(false);
   const [showLikedPersistent, setShowLikedPersistent] = useState(false);
+  const [showDisliked, setShowDisliked] = useState(false);
   const [showLikedSession, setShowLikedSession] = useState(false);
   const [showGenresQuick, setShowGenresQuick] = useState(false);
 
@@ -803,6 +1708,10 @@ export default function App() {
   const [loading, setLoading] = useState(true);
   const [activeIndex, setActiveIndex] = useState(0);
   const [feedVersion, setFeedVersion] = useState(0);
+  const [offline, setOffline] = useState(false); // feed is being served from lib/offlineCache
+  const [radio, setRadio] = useState(null); // { title, artist } of the seed while radio mode is on
+  const [settings, setSettings] = useState(getSettings()); // lib/settings (device preferences)
+  const settingsRef = useRef(settings);
 
   const [openModal, setOpenModal] = useState(false);
   const [openForTrack, setOpenForTrack] = useState(null);
@@ -811,20 +1720,42 @@ export default function App() {
   const [likedPersistent, setLikedPersistent] = useState([]);
   const [likedSession, setLikedSession] = useState([]);
   const [opinionTick, setOpinionTick] = useState(0);
+  const [undoDepth, setUndoDepth] = useState(0);   // decisions in the session's undo history
+  const [undoToast, setUndoToast] = useState(null); // label of the decision the snackbar offers to undo
 
   const [sessionGenreIds, setSessionGenreIds] = useState(null);
 
+  const [sessionUser, setSessionUser] = useState(null); // logged-in username (scopes liked & playlists)
+  const [blocks, setBlocks] = useState(EMPTY_BLOCKS); // lib/blocks: blocked artists & genres of this user
+  const blocksRef = useRef(blocks);
+  const [showBlocks, setShowBlocks] = useState(false);
+  const [listening, setListening] = useState(DEFAULT_LISTENING_PREFS); // lib/listeningPrefs of this user
+  const listeningRef = useRef(listening);
+  const [showSettings, setShowSettings] = useState(false);
+  const [family, setFamily] = useState(getFamilyMode); // lib/familyMode, device-wide
+  const feedSourceRef = useRef(null); // { tracks, ids } behind a discovery feed, before filtering
+  const [playlists, setPlaylists] = useState([]);
+  const [showPlaylists, setShowPlaylists] = useState(false);
+  const [openPlaylistId, setOpenPlaylistId] = useState(null);
+  const [addToPlaylistTrack, setAddToPlaylistTrack] = useState(null);
+  const playlistsRef = useRef([]);
+  const [exportRequest, setExportRequest] = useState(null); // { title, tracks, fileName, backup? }
+  const [linkError, setLinkError] = useState(null); // { url, code, message } — unresolvable track link
+  const [detailStack, setDetailStack] = useState([]); // [{ kind: "artist" | "album", ref }], top = shown
+
   const [searchQuery, setSearchQuery] = useState("");
   const [searchResults, setSearchResults] = useState([]);
   const [searchLoading, setSearchLoading] = useState(false);
   const [showSearchList, setShowSearchList] = useState(false);
-  const [searchRequested, setSearchRequested] = useState(false);
+  const searchRef = useRef(null); // { q, ctrl } of the search in flight
 
   const soundRef = useRef(null);
   const playTokenRef = useRef(0);
 
-  const preloadedRef = useRef(new Map());
-  const preloadingSetRef = useRef(new Set());
+  const preloadPool = useRef(createPreloadPool({ maxLoaded: PRELOAD_MAX_SOUNDS })).current;
+  const fadeTokenRef = useRef(0);            // bumps whenever the current sound changes; older fades give up
+  const fadingOutRef = useRef(new Set());    // previews still fading out under the next one
+  const stopAnalysisRef = useRef(() => {});  // cancels the current preview's loudness analysis
 
   const listRef = useRef(null);
   const likeSet = useRef(new Set());
@@ -832,22 +1763,33 @@ export default function App() {
 
   const likedDatesRef = useRef({});
   const playedDatesRef = useRef({});
-  const cutoffRef = useRef(0);
 
   const tracksRef = useRef(tracks);
   useEffect(() => { tracksRef.current = tracks; }, [tracks]);
+  const activeIndexRef = useRef(activeIndex);
+  useEffect(() => { activeIndexRef.current = activeIndex; }, [activeIndex]);
 
-  const dislikedPersistentRef = useRef(new Set());
+  const [dislikes, setDislikes] = useState({}); // lib/dislikes store: trackKey → { track, dislikedAt }
+  const dislikesRef = useRef(dislikes);
+  const dislikedPersistentRef = useRef(new Set()); // keys of `dislikes` (strings: look up String(trackKey(t))), what the feed filters on
   const likedPersistentSetRef = useRef(new Set());
+  const likedListsRef = useRef({ persistent: [], session: [] }); // latest lists, for undo snapshots
   useEffect(() => {
     likedPersistentSetRef.current = new Set((likedPersistent || []).map((t) => trackKey(t)));
+    likedListsRef.current.persistent = likedPersistent || [];
   }, [likedPersistent]);
+  useEffect(() => { likedListsRef.current.session = likedSession; }, [likedSession]);
+  const undoStackRef = useRef([]);
+  const undoTimerRef = useRef(null);
 
   const genreNameByIdRef = useRef(new Map(DEFAULT_GENRES.map(g => [String(g.id), g.name])));
 
   // === Go lock (prevents skipping on swipe; refreshes on vertical leave)
   const goLockIdRef = useRef(null);
   const goLockIndexRef = useRef(-1);
+  const mixRef = useRef(null); // mixFor() of the feed on screen; `shared` when it came from a mix link
+  const radioRef = useRef(null); // lib/radio session behind the feed while radio mode is on
+  const radioLoadingRef = useRef(false);
   const [goLockTick, setGoLockTick] = useState(0);
 
   const onViewableItemsChanged = useRef(({ viewableItems }) => {
@@ -855,6 +1797,17 @@ export default function App() {
     if (vi?.index != null) {
       setActiveIndex(vi.index);
 
+      const shown = tracksRef.current[vi.index];
+      if (shown) {
+        logEvent("impression", {
+          track_id: String(trackKey(shown)),
+          artist: shown.artist,
+          genre: shown.genreName,
+          position: vi.index,
+          surface: goLockIdRef.current ? "go" : radioRef.current ? "radio" : "discovery",
+        });
+      }
+
       // If a Go lock is set and we've left that card vertically, clear + refresh
       if (goLockIdRef.current) {
         const cur = tracksRef.current[vi.index];
@@ -875,42 +1828,70 @@ export default function App() {
   const lastIndexBeforeOverlayRef = useRef(0);
   const needRestoreScrollRef = useRef(false);
 
-  const stopAudio = useCallback(async () => {
-    try {
-      if (soundRef.current) {
-        soundRef.current.setOnPlaybackStatusUpdate(null);
-        await soundRef.current.stopAsync();
-        await soundRef.current.unloadAsync();
-        soundRef.current = null;
-      }
-    } catch {}
+  // Telemetry: what is playing and how much of it has been reported
+  const playbackRef = useRef(null); // { trackId, artist, genre, reportedMs, positionMs }
+  const reportPlayProgress = useCallback(() => {
+    const pb = playbackRef.current;
+    if (!pb) return;
+    const chunk = pb.positionMs - pb.reportedMs;
+    if (chunk <= 0) return;
+    logEvent("play_progress", { track_id: pb.trackId, artist: pb.artist, genre: pb.genre, ms_played_chunk: chunk });
+    pb.reportedMs = pb.positionMs;
   }, []);
-  useEffect(() => () => { stopAudio(); cleanupPreloadedExcept(); }, [stopAudio]);
-
-  const cleanupPreloadedExcept = useCallback((keepIdx = null) => {
-    try {
-      for (const [k, entry] of preloadedRef.current.entries()) {
-        if (keepIdx !== k) {
-          entry?.sound?.unloadAsync?.().catch(()=>{});
-          preloadedRef.current.delete(k);
-        }
-      }
-    } catch {}
+  // preload: "hit" | "miss" — whether the preview was already loaded (preload window tuning)
+  const beginPlaybackTracking = useCallback((t, { preload } = {}) => {
+    playbackRef.current = { trackId: String(trackKey(t)), artist: t.artist, genre: t.genreName, reportedMs: 0, positionMs: 0 };
+    logEvent("play_start", { track_id: playbackRef.current.trackId, artist: t.artist, genre: t.genreName, ms_position: 0, preload });
   }, []);
 
-  const isKaraoke = (t) => {
-    const blob = `${t.title || ""} ${t.album || ""} ${t.artist || ""}`;
-    return KARAOKE_PATTERNS.some((re) => re.test(blob));
-  };
-  const tooRecentlyLiked = (t) => {
+  // Let go of the current preview: a hard stop, or with fadeMs a fade-out that unloads it in
+  // the background (crossfade). Returns true when a playing preview is being faded out.
+  const releaseCurrent = useCallback(async (fadeMs = 0) => {
+    reportPlayProgress();
+    playbackRef.current = null;
+    publishPlayback({ key: null, positionMs: 0, durationMs: 0, isPlaying: false });
+    stopAnalysisRef.current();
+    stopAnalysisRef.current = () => {};
+    fadeTokenRef.current += 1;
+    const s = soundRef.current;
+    soundRef.current = null;
+    if (!fadeMs) {
+      for (const f of fadingOutRef.current) f.unloadAsync().catch(() => {});
+      fadingOutRef.current.clear();
+    }
+    if (!s) return false;
+    try { s.setOnPlaybackStatusUpdate(null); } catch {}
+    if (fadeMs > 0) {
+      try {
+        const st = await s.getStatusAsync();
+        if (st?.isLoaded && st.isPlaying) {
+          fadingOutRef.current.add(s);
+          fadeTo(s, st.volume ?? 1, 0, fadeMs).finally(() => {
+            fadingOutRef.current.delete(s);
+            s.unloadAsync().catch(() => {});
+          });
+          return true;
+        }
+      } catch {}
+    }
+    try { await s.stopAsync(); await s.unloadAsync(); } catch {}
+    return false;
+  }, [reportPlayProgress]);
+  const stopAudio = useCallback(() => releaseCurrent(0), [releaseCurrent]);
+  const clearPreloaded = useCallback(() => preloadPool.clear(), [preloadPool]);
+  useEffect(() => () => { stopAudio(); clearPreloaded(); }, [stopAudio, clearPreloaded]);
+
+  // Family mode, content filters + block lists: hard rules, never relaxed to fill a page
+  const isHiddenForUser = useCallback((t) => familyHides(t) || contentHidden(listeningRef.current, t) || !!blockedBy(blocksRef.current, t), []);
+  const tooRecentlyLiked = (t, cutoffs) => {
     const id = trackKey(t);
     const last = likedDatesRef.current?.[id];
-    return last && last > cutoffRef.current;
+    return last && last > cutoffs.liked;
   };
-  const tooRecentlyPlayed = (t) => {
+  const tooRecentlyPlayed = (t, cutoffs) => {
     const id = trackKey(t);
     const last = playedDatesRef.current?.[id];
-    return last && last > cutoffRef.current;
+    return last && last > cutoffs.played;
   };
 
   const matchesSelectedGenres = useCallback((t, ids) => {
@@ -922,25 +1903,56 @@ export default function App() {
     return names.some((n) => gn.includes(n));
   }, []);
 
+  // Thresholds come from the session's experiment variant (lib/experiments); cooldowns and genre
+  // strictness from the user's listening prefs (lib/listeningPrefs)
   const applyGlobalFilters = useCallback((arr, idsForTighten = []) => {
     if (!Array.isArray(arr)) return [];
-    let list = arr.filter((t) => !isKaraoke(t));
+    const fp = getFeedParams();
+    const prefs = listeningRef.current;
+    const cutoffs = cooldownCutoffs(prefs);
+    const minKeep = Math.min(fp.minKeep, fp.page / 2);
+    let list = arr.filter((t) => !isHiddenForUser(t));
 
-    const withoutDisliked = list.filter((t) => !dislikedPersistentRef.current.has(trackKey(t)));
-    list = withoutDisliked.length >= 5 ? withoutDisliked : list;
+    const withoutDisliked = list.filter((t) => !dislikedPersistentRef.current.has(String(trackKey(t))));
+    list = withoutDisliked.length >= fp.minNonDisliked ? withoutDisliked : list;
 
-    let cooled = list.filter((t) => !tooRecentlyLiked(t));
-    if (cooled.length < PAGE * 0.6) cooled = list;
+    let cooled = list.filter((t) => !tooRecentlyLiked(t, cutoffs));
+    if (cooled.length < fp.page * fp.minCooledShare) cooled = list;
 
-    let notPlayed = cooled.filter((t) => !tooRecentlyPlayed(t));
-    if (notPlayed.length >= Math.min(10, PAGE / 2)) cooled = notPlayed;
+    let notPlayed = cooled.filter((t) => !tooRecentlyPlayed(t, cutoffs));
+    if (notPlayed.length >= minKeep) cooled = notPlayed;
 
-    if (idsForTighten && idsForTighten.length) {
+    if (idsForTighten && idsForTighten.length && prefs.genreStrictness !== "off") {
       const tightened = cooled.filter((t) => matchesSelectedGenres(t, idsForTighten));
-      if (tightened.length >= Math.min(10, PAGE / 2)) cooled = tightened;
+      if (tightened.length >= (prefs.genreStrictness === "strict" ? 1 : minKeep)) cooled = tightened;
     }
     return cooled;
-  }, [matchesSelectedGenres]);
+  }, [matchesSelectedGenres, isHiddenForUser]);
+
+  // Disliked and cooldown tracks are never cached or served offline
+  const isCacheExcluded = useCallback((t) => {
+    const k = trackKey(t);
+    const cutoffs = cooldownCutoffs(listeningRef.current);
+    return dislikedPersistentRef.current.has(String(k)) || likedDatesRef.current?.[k] > cutoffs.liked || playedDatesRef.current?.[k] > cutoffs.played;
+  }, []);
+
+  // Network feed (remembered for offline use), or the offline cache when the network fails
+  const loadFeed = useCallback(async (ids, seed) => {
+    try {
+      const feed = await fetchDiscoveryFeed(ids, seed);
+      if (!feed.tracks.length) throw new Error("No tracks returned");
+      setOffline(false);
+      return feed;
+    } catch (e) {
+      const cached = await loadCachedFeed({ isExcluded: isCacheExcluded });
+      if (!cached.length) throw e;
+      setOffline(true);
+      return { tracks: cached, feedVersion: tagFeedVersion("offline"), offline: true };
+    }
+  }, [isCacheExcluded]);
+  const rememberFeed = useCallback((feed, shown) => {
+    if (!feed.offline) cacheFeedPage(shown, feed.feedVersion, { isExcluded: isCacheExcluded });
+  }, [isCacheExcluded]);
 
   const refreshDiscoveryFeed = useCallback(
     async (explicitGenreIds = null) => {
@@ -952,19 +1964,22 @@ export default function App() {
         setGoLockTick((t) => t + 1);
 
         await stopAudio();
-        cleanupPreloadedExcept();
+        clearPreloaded();
 
         const seed = makeSeed();
         const ids = (explicitGenreIds && explicitGenreIds.length
           ? explicitGenreIds
           : (sessionGenreIds && sessionGenreIds.length ? sessionGenreIds : (profile?.favoriteGenreIds || [])));
 
-        let res = (ids && ids.length)
-          ? await fetchTracksForGenres(ids, seed)
-          : await fetchTracks(GENRE_FALLBACK, seed);
-
-        res = applyGlobalFilters(res, ids);
+        const feed = await loadFeed(ids, seed);
+        const res = applyGlobalFilters(feed.tracks, ids);
+        rememberFeed(feed, res);
+        feedSourceRef.current = { tracks: feed.tracks, ids };
+        mixRef.current = mixFor(ids, seed, feed, res);
+        radioRef.current = null;
+        setRadio(null);
 
+        setAnalyticsContext({ feed_version: feed.feedVersion });
         setFeedVersion((v) => v + 1);
         setTracks(res);
         setActiveIndex(0);
@@ -981,15 +1996,27 @@ export default function App() {
         setLoading(false);
       }
     },
-    [sessionGenreIds, profile, stopAudio, cleanupPreloadedExcept, applyGlobalFilters]
+    [sessionGenreIds, profile, stopAudio, clearPreloaded, applyGlobalFilters, loadFeed, rememberFeed]
   );
 
+  // Artist / album screens stack (artist → album → artist…); closing pops one, the last restores the feed
+  const closeDetail = useCallback(() => {
+    if (detailStack.length <= 1) {
+      needRestoreScrollRef.current = true;
+      suppressNextAutoplayRef.current = true;
+    }
+    setDetailStack((st) => st.slice(0, -1));
+  }, [detailStack.length]);
+
   // Back handler: close overlays only
   useEffect(() => {
     const onBack = () => {
       if (openModal) { setOpenModal(false); return true; }
+      if (addToPlaylistTrack) { setAddToPlaylistTrack(null); return true; }
+      if (detailStack.length) { closeDetail(); return true; }
       if (showSearchList) { setShowSearchList(false); return true; }
-      if (showGenresQuick || showLikedSession || showLikedPersistent || showProfile) {
+      if (openPlaylistId) { setOpenPlaylistId(null); return true; }
+      if (showGenresQuick || showLikedSession || showLikedPersistent || showDisliked || showBlocks || showSettings || showProfile || showPlaylists) {
         closeOverlaysNoRefresh();
         return true;
       }
@@ -997,20 +2024,24 @@ export default function App() {
     };
     const sub = BackHandler.addEventListener("hardwareBackPress", onBack);
     return () => sub.remove();
-  }, [openModal, showSearchList, showGenresQuick, showLikedSession, showLikedPersistent, showProfile]);
+  }, [openModal, addToPlaylistTrack, detailStack.length, closeDetail, showSearchList, openPlaylistId, showGenresQuick, showLikedSession, showLikedPersistent, showDisliked, showBlocks, showSettings, showProfile, showPlaylists]);
 
   // Restore scroll after overlays without touching audio
   useEffect(() => {
-    const overlaysOpen = showGenresQuick || showLikedSession || showLikedPersistent || showProfile;
+    const overlaysOpen = showGenresQuick || showLikedSession || showLikedPersistent || showDisliked || showBlocks || showSettings || showProfile || showPlaylists || !!openPlaylistId;
     if (!overlaysOpen && needRestoreScrollRef.current) {
       needRestoreScrollRef.current = false;
-      suppressNextAutoplayRef.current = true;
       const idx = lastIndexBeforeOverlayRef.current || 0;
+      // Only a scroll that changes the active card would restart audio; otherwise play / pause stays as it was
+      suppressNextAutoplayRef.current = idx !== activeIndexRef.current;
       requestAnimationFrame(() => {
         listRef.current?.scrollToOffset?.({ offset: idx * CARD_HEIGHT, animated: false });
       });
     }
-  }, [showGenresQuick, showLikedSession, showLikedPersistent, showProfile]);
+  }, [showGenresQuick, showLikedSession, showLikedPersistent, showDisliked, showBlocks, showSettings, showProfile, showPlaylists, openPlaylistId]);
+
+  // Telemetry: background flush loop
+  useEffect(() => startAnalytics(), []);
 
   // Initial load
   useEffect(() => {
@@ -1024,18 +2055,41 @@ export default function App() {
           playThroughEarpieceAndroid: false,
         });
 
-        const disliked = await loadDisliked();
-        dislikedPersistentRef.current = new Set((disliked || []).map(String));
+        settingsRef.current = await loadSettings();
+        if (live) setSettings(settingsRef.current);
+        configureOfflineCache({ maxBytes: settingsRef.current.offlineCacheMb * MB }).catch(() => {});
+        const fam = await loadFamilyMode();
+        if (live) setFamily(fam);
+
+        const disliked = await loadDislikes();
+        dislikesRef.current = disliked;
+        dislikedPersistentRef.current = new Set(Object.keys(disliked));
+        if (live) setDislikes(disliked);
 
+        await pruneCooldowns(Math.max(...COOLDOWN_CHOICES)).catch(() => {}); // no cooldown reaches further back
         likedDatesRef.current  = await loadLikedDates();
         playedDatesRef.current = await loadPlayedDates();
-        cutoffRef.current = Date.now() - Math.max(LIKE_COOLDOWN_DAYS, PLAY_COOLDOWN_DAYS) * 24 * 60 * 60 * 1000;
+
+        const auth = await loadAuth();
+        setAnalyticsContext({ user_id: auth?.user?.id ?? null });
 
         const p = await loadProfile();
         const liked = await loadLiked();              // ← loads only if logged in
+        const user = await getCurrentUser();
+        const lists = await loadPlaylists(user);
+        blocksRef.current = await loadBlocks(user); // both before the first feed is filtered
+        listeningRef.current = await loadListeningPrefs(user);
         if (!live) return;
         setProfile(p);
         setLikedPersistent(dedupeById(liked));
+        setSessionUser(user);
+        setBlocks(blocksRef.current);
+        setListening(listeningRef.current);
+        playlistsRef.current = lists;
+        setPlaylists(lists);
+        recordLibraryChange(null); // background sync once local stores are hydrated
+        fillDislikedTracks();
+        fillExplicitFlags(user, liked, lists);
 
         try {
           const serverGenres = await fetchGenres();
@@ -1044,11 +2098,16 @@ export default function App() {
           genreNameByIdRef.current = m;
         } catch {}
 
+        await initExperiments(); // variant params must be in place before the first feed
         const startSeed = makeSeed();
         const startIds = (p?.favoriteGenreIds && p.favoriteGenreIds.length) ? p.favoriteGenreIds : [GENRE_FALLBACK];
-        let initial = await fetchTracksForGenres(startIds, startSeed);
-        initial = applyGlobalFilters(initial, startIds);
-        if (live) {
+        const feed = await loadFeed(startIds, startSeed);
+        const initial = applyGlobalFilters(feed.tracks, startIds);
+        rememberFeed(feed, initial);
+        if (live && !mixRef.current?.shared && !radioRef.current) { // a mix link / radio opened meanwhile wins
+          mixRef.current = mixFor(startIds, startSeed, feed, initial);
+          feedSourceRef.current = { tracks: feed.tracks, ids: startIds };
+          setAnalyticsContext({ feed_version: feed.feedVersion });
           setTracks(initial);
           setActiveIndex(0);
           await sleep(80);
@@ -1061,32 +2120,35 @@ export default function App() {
       }
     })();
     return () => { live = false; };
-  }, [applyGlobalFilters]);
-
-  const preloadIndex = useCallback(async (idx) => {
-    if (idx == null || idx < 0 || idx >= tracksRef.current.length) return;
-    const uri = tracksRef.current[idx]?.previewUrl;
-    if (!uri) return;
-    if (preloadedRef.current.has(idx)) return;
-    if (preloadingSetRef.current.has(idx)) return;
+  }, [applyGlobalFilters, loadFeed, rememberFeed]);
 
-    preloadingSetRef.current.add(idx);
-    try {
-      const { sound } = await Audio.Sound.createAsync(
-        { uri },
-        { shouldPlay: false, volume: 1.0, isLooping: false }
-      );
-      preloadedRef.current.set(idx, { sound, uri });
-      cleanupPreloadedExcept(idx);
-    } catch {} finally {
-      preloadingSetRef.current.delete(idx);
+  // Keep the cards around idx loaded: the next one first, then the one behind, then further ahead
+  const preloadAround = useCallback((idx) => {
+    const list = tracksRef.current;
+    const order = [];
+    for (let i = 1; i <= Math.max(PRELOAD_AHEAD, PRELOAD_BEHIND); i++) {
+      if (i <= PRELOAD_AHEAD) order.push(idx + i);
+      if (i <= PRELOAD_BEHIND) order.push(idx - i);
     }
-  }, [cleanupPreloadedExcept]);
+    preloadPool.setWindow(order.filter((i) => i >= 0 && i < list.length).map((i) => audioUri(list[i])));
+  }, [preloadPool]);
 
   const attachFinishListener = useCallback(() => {
     if (!soundRef.current) return;
+    let advanced = false;
     soundRef.current.setOnPlaybackStatusUpdate((st) => {
-      if (st?.didJustFinish) {
+      const pb = playbackRef.current;
+      if (pb && st?.isLoaded) {
+        pb.positionMs = st.positionMillis || 0;
+        if (st.didJustFinish || pb.positionMs - pb.reportedMs >= PROGRESS_CHUNK_MS) reportPlayProgress();
+        publishPlayback({ key: pb.trackId, positionMs: pb.positionMs, durationMs: st.durationMillis || 0, isPlaying: !!st.isPlaying && !st.didJustFinish });
+      }
+      // With a crossfade the next card starts that long before this preview ends
+      const fadeMs = settingsRef.current.crossfadeMs;
+      const endingSoon = fadeMs > 0 && st?.isLoaded && st.isPlaying && st.durationMillis > fadeMs
+        && st.positionMillis >= st.durationMillis - fadeMs;
+      if ((st?.didJustFinish || endingSoon) && settingsRef.current.autoAdvance && !advanced) {
+        advanced = true;
         setActiveIndex((prev) => {
           const next = Math.min(prev + 1, tracksRef.current.length - 1);
           if (next !== prev) {
@@ -1096,22 +2158,112 @@ export default function App() {
         });
       }
     });
+  }, [reportPlayProgress]);
+
+  // === Dislikes (device-wide, lib/dislikes) ===
+  // Persist the store and keep the key index the feed filters on in step
+  const commitDislikes = useCallback(async (next) => {
+    const prev = dislikesRef.current;
+    dislikesRef.current = next;
+    dislikedPersistentRef.current = new Set(Object.keys(next));
+    setDislikes(next);
+    await saveDislikes(next, prev).catch(() => {});
+  }, []);
+
+  // Dislikes known only by key (the old key-only list, backups) get their metadata looked up;
+  // what the catalog can't be reached for now is tried again on the next launch
+  const fillDislikedTracks = useCallback(async () => {
+    const bare = Object.keys(dislikesRef.current).filter((k) => !dislikesRef.current[k].track && !k.includes("|"));
+    if (!bare.length) return;
+    const found = await lookupInOrder(bare).catch(() => []);
+    const fill = found.filter((t) => dislikesRef.current[String(trackKey(t))]?.track === null); // not removed meanwhile
+    if (fill.length) await commitDislikes(fill.reduce((m, t) => addDislike(m, trackKey(t), { track: t }), dislikesRef.current));
+  }, [commitDislikes]);
+
+  // Songs saved before tracks carried an explicit flag have none, so family mode would let them
+  // through: look the flag up for Liked Songs and playlists (what fails now is tried next launch)
+  const fillExplicitFlags = useCallback(async (user, liked, lists) => {
+    const unknown = (t) => t?.explicit === undefined && t.id && !String(trackKey(t)).includes("|");
+    const ids = Array.from(new Set([...liked, ...lists.flatMap((p) => p.tracks)].filter(unknown).map((t) => String(t.id))));
+    if (!user || !ids.length) return;
+    const found = await lookupInOrder(ids).catch(() => []);
+    const flags = new Map(found.filter((t) => typeof t.explicit === "boolean").map((t) => [String(t.id), t.explicit]));
+    if (!flags.size || (await getCurrentUser()) !== user) return;
+    const withFlag = (t) => (unknown(t) && flags.has(String(t.id)) ? { ...t, explicit: flags.get(String(t.id)) } : t);
+
+    setLikedPersistent((prev) => prev.map(withFlag));
+    updateTracks(liked.filter((t) => unknown(t) && flags.has(String(t.id))).map(withFlag)).catch(() => {});
+    const nextLists = playlistsRef.current.map((p) => ({ ...p, tracks: p.tracks.map(withFlag) }));
+    playlistsRef.current = nextLists;
+    setPlaylists(nextLists);
+    savePlaylists(user, nextLists).catch(() => {});
   }, []);
 
+  // === Cloud sync (only for accounts with a server session) ===
+  // Apply the server's merged view of tracks that changed on other devices
+  const applyRemoteLibrary = useCallback(async (entries) => {
+    const likedDates = { ...(likedDatesRef.current || {}) };
+    const playedDates = { ...(playedDatesRef.current || {}) };
+    const likedChanges = {}, playedChanges = {};
+    let dislikedNext = dislikesRef.current;
+    const addLiked = [];
+    const dropLiked = new Set();
+
+    for (const e of entries) {
+      const k = e.track_key;
+      if (e.liked_at && e.liked_at > (likedDates[k] || 0)) likedDates[k] = likedChanges[k] = e.liked_at;
+      if (e.played_at && e.played_at > (playedDates[k] || 0)) playedDates[k] = playedChanges[k] = e.played_at;
+      if (e.liked == null) continue; // cooldown-only entry
+
+      if (e.liked && e.track) addLiked.push(e.track);
+      else if (!e.liked) dropLiked.add(k);
+
+      if (e.disliked && !dislikedNext[k]) dislikedNext = addDislike(dislikedNext, k, { track: e.track });
+      if (!e.disliked && dislikedNext[k]) dislikedNext = removeDislikes(dislikedNext, [k]);
+    }
+
+    likedDatesRef.current = likedDates;
+    playedDatesRef.current = playedDates;
+    await Promise.all([putLikedDates(likedChanges), putPlayedDates(playedChanges)]).catch(() => {});
+    if (dislikedNext !== dislikesRef.current) await commitDislikes(dislikedNext);
+    if (addLiked.length || dropLiked.size) {
+      const added = addLiked.filter((t) => !likedPersistentSetRef.current.has(trackKey(t)));
+      setLikedPersistent((prev) => dedupeById([
+        ...added,
+        ...prev.filter((t) => !dropLiked.has(String(trackKey(t)))),
+      ]));
+      for (const k of dropLiked) await dropLikedSong(k).catch(() => {});
+      for (const t of [...added].reverse()) await saveLikedSong(t).catch(() => {}); // first ends up on top
+    }
+    setOpinionTick((x) => x + 1);
+  }, [commitDislikes]);
+  const syncHandlers = useRef({ snapshot: buildLibrarySnapshot, applyRemote: null }).current;
+  syncHandlers.applyRemote = applyRemoteLibrary;
+
+  // Queue a change for the current account; `sync` also schedules a background push/pull
+  const recordLibraryChange = useCallback(async (change, { sync = true } = {}) => {
+    const user = await getCurrentUser();
+    if (!user) return;
+    if (change) await queueLibraryChange(user, change).catch(() => {});
+    if (sync) scheduleLibrarySync(user, syncHandlers, change ? undefined : 0);
+  }, [syncHandlers]);
+
   const markLikedTimestamp = useCallback(async (t) => {
     const id = trackKey(t);
     const map = { ...(likedDatesRef.current || {}) };
     map[id] = Date.now();
     likedDatesRef.current = map;
-    try { await saveLikedDates(map); } catch {}
-  }, []);
+    try { await putLikedDates({ [id]: map[id] }); } catch {}
+    recordLibraryChange({ track_key: String(id), liked_at: map[id] }, { sync: false });
+  }, [recordLibraryChange]);
   const markPlayedTimestamp = useCallback(async (t) => {
     const id = trackKey(t);
     const map = { ...(playedDatesRef.current || {}) };
     map[id] = Date.now();
     playedDatesRef.current = map;
-    try { await savePlayedDates(map); } catch {}
-  }, []);
+    try { await putPlayedDates({ [id]: map[id] }); } catch {}
+    recordLibraryChange({ track_key: String(id), played_at: map[id] }, { sync: false });
+  }, [recordLibraryChange]);
 
   const stopAndPlay = useCallback(async (uri, index) => {
     await stopAudio();
@@ -1120,44 +2272,101 @@ export default function App() {
       { shouldPlay: true, volume: 1.0, isLooping: false }
     );
     soundRef.current = sound;
+    beginPlaybackTracking(tracksRef.current[index]);
     attachFinishListener();
     markPlayedTimestamp(tracksRef.current[index]);
-  }, [attachFinishListener, markPlayedTimestamp, stopAudio]);
+  }, [attachFinishListener, beginPlaybackTracking, markPlayedTimestamp, stopAudio]);
+
+  // Bring the new preview up to its levelled volume (faded in when crossfading), then correct
+  // the level once an unmeasured track has been analysed
+  const levelCurrent = useCallback((sound, track, volume, fadeMs) => {
+    const token = fadeTokenRef.current;
+    const superseded = () => token !== fadeTokenRef.current;
+    let fading = fadeMs > 0 ? fadeTo(sound, 0, volume, fadeMs, superseded) : Promise.resolve();
+    if (!settingsRef.current.levelVolume) return;
+    stopAnalysisRef.current = analyseLoudness(sound, track, {
+      onLevel: (levelled) => {
+        fading = fading.then(() => fadeTo(sound, volume, levelled, LEVEL_CORRECTION_MS, superseded));
+      },
+    });
+  }, []);
 
   const playPreview = useCallback(async (index) => {
     const list = tracksRef.current;
     if (suppressNextAutoplayRef.current) { suppressNextAutoplayRef.current = false; return; }
-    if (!list[index]?.previewUrl) { await stopAudio(); return; }
+    // Already loaded (playing or paused by the user): leave it as it is
+    if (soundRef.current && list[index] && playbackRef.current?.trackId === String(trackKey(list[index]))) return;
+    const uri = audioUri(list[index]);
+    if (!uri) { await stopAudio(); return; }
     const token = ++playTokenRef.current;
+    const { crossfadeMs, levelVolume } = settingsRef.current;
+    const volume = gainFor(list[index], { level: levelVolume });
 
-    const pre = preloadedRef.current.get(index);
     try {
-      await stopAudio();
-
-      if (pre && pre.uri === list[index].previewUrl) {
-        soundRef.current = pre.sound;
-        preloadedRef.current.delete(index);
-        await soundRef.current.setPositionAsync(0);
-        await soundRef.current.playAsync();
-        attachFinishListener();
+      const pre = await preloadPool.take(uri); // may wait for a load already in flight
+      if (playTokenRef.current !== token) { pre?.unloadAsync().catch(() => {}); return; }
+      const crossing = await releaseCurrent(crossfadeMs);
+      const fadeMs = crossing ? crossfadeMs : 0;
+      const startVolume = fadeMs ? 0 : volume;
+
+      if (pre) {
+        soundRef.current = pre;
+        await soundRef.current.setStatusAsync({ positionMillis: 0, volume: startVolume, shouldPlay: true });
       } else {
         const { sound } = await Audio.Sound.createAsync(
-          { uri: list[index].previewUrl },
-          { shouldPlay: true, volume: 1.0, isLooping: false }
+          { uri },
+          { shouldPlay: true, volume: startVolume, isLooping: false }
         );
         if (playTokenRef.current !== token) { await sound.unloadAsync(); return; }
         soundRef.current = sound;
-        attachFinishListener();
       }
+      beginPlaybackTracking(list[index], { preload: pre ? "hit" : "miss" });
+      attachFinishListener();
+      levelCurrent(soundRef.current, list[index], volume, fadeMs);
       markPlayedTimestamp(list[index]);
     } catch {}
 
-    const nextIdx = index + 1;
-    preloadIndex(nextIdx);
-  }, [stopAudio, preloadIndex, attachFinishListener, markPlayedTimestamp]);
+    preloadAround(index);
+  }, [stopAudio, releaseCurrent, levelCurrent, preloadPool, preloadAround, attachFinishListener, beginPlaybackTracking, markPlayedTimestamp]);
 
   useEffect(() => { (async () => { await playPreview(activeIndex); })(); }, [activeIndex, playPreview]);
 
+  // Card controls: tap the artwork to pause / resume, drag the progress bar to seek
+  const togglePlayPause = useCallback(async (t) => {
+    const s = soundRef.current;
+    if (!s || playbackRef.current?.trackId !== String(trackKey(t))) {
+      const idx = tracksRef.current.findIndex((x) => trackKey(x) === trackKey(t));
+      suppressNextAutoplayRef.current = false;
+      if (idx >= 0) await playPreview(idx);
+      return;
+    }
+    try {
+      const st = await s.getStatusAsync();
+      if (!st.isLoaded) return;
+      if (st.isPlaying) return void (await s.pauseAsync());
+      if (st.durationMillis && st.positionMillis >= st.durationMillis - 250) await s.setPositionAsync(0); // ended: play again
+      await s.playAsync();
+    } catch {}
+  }, [playPreview]);
+
+  const seekCurrent = useCallback(async (t, ms) => {
+    const pb = playbackRef.current;
+    if (!soundRef.current || pb?.trackId !== String(trackKey(t))) return;
+    reportPlayProgress(); // listening time up to here; the jump itself is not listening
+    pb.positionMs = pb.reportedMs = Math.max(0, Math.round(ms));
+    publishPlayback({ positionMs: pb.positionMs });
+    try { await soundRef.current.setPositionAsync(pb.positionMs); } catch {}
+  }, [reportPlayProgress]);
+
+  const changeSettings = useCallback(async (patch) => {
+    const next = await updateSettings(patch);
+    // A smaller budget evicts right away; done before the Settings usage line re-reads it
+    if ("offlineCacheMb" in patch) await configureOfflineCache({ maxBytes: next.offlineCacheMb * MB }).catch(() => {});
+    settingsRef.current = next;
+    setSettings(next);
+  }, []);
+  const toggleAutoAdvance = useCallback(() => changeSettings({ autoAdvance: !settingsRef.current.autoAdvance }), [changeSettings]);
+
   const handleOpenPressed = useCallback((track) => { setOpenForTrack(track); setOpenModal(true); }, []);
   const handleSharePressed = useCallback((track) => { shareTrack(track); }, []);
 
@@ -1175,12 +2384,9 @@ export default function App() {
 
     // Only persist when logged in
     if (user) {
-      setLikedPersistent((prev) => {
-        const updated = dedupeById([t, ...prev]);
-        likedPersistentSetRef.current.add(k);
-        saveLiked(updated).catch(()=>{});
-        return updated;
-      });
+      setLikedPersistent((prev) => dedupeById([t, ...prev]));
+      likedPersistentSetRef.current.add(k);
+      saveLikedSong(t).catch(()=>{});
     }
 
     await markLikedTimestamp(t);
@@ -1198,59 +2404,235 @@ export default function App() {
 
     if (user) {
       likedPersistentSetRef.current.delete(k);
+      setLikedPersistent((prev) => prev.filter((x) => trackKey(x) !== k));
+      dropLikedSong(k).catch(()=>{});
+    }
+  }, []);
+
+  // === Undo: every like / dislike decision snapshots the track's opinion state first ===
+  const showUndoToast = useCallback(() => {
+    const top = undoStackRef.current[undoStackRef.current.length - 1];
+    setUndoDepth(undoStackRef.current.length);
+    setUndoToast(top ? top.label : null);
+    clearTimeout(undoTimerRef.current);
+    if (top) undoTimerRef.current = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS);
+  }, []);
+  useEffect(() => () => clearTimeout(undoTimerRef.current), []);
+
+  const rememberForUndo = useCallback((t, label) => {
+    const k = trackKey(t);
+    const { persistent, session } = likedListsRef.current;
+    undoStackRef.current = [...undoStackRef.current, {
+      track: t,
+      label,
+      liked: likeSet.current.has(k),
+      likedSessionAt: session.findIndex((x) => trackKey(x) === k),
+      likedPersistentAt: persistent.findIndex((x) => trackKey(x) === k),
+      dislikedSession: dislikeSet.current.has(k),
+      dislikedPersistent: dislikesRef.current[k] || null, // lib/dislikes entry
+      likedAt: likedDatesRef.current?.[k],
+    }].slice(-UNDO_LIMIT);
+    showUndoToast();
+  }, [showUndoToast]);
+
+  const clearUndoHistory = useCallback(() => {
+    undoStackRef.current = [];
+    showUndoToast();
+  }, [showUndoToast]);
+
+  // Put the latest decision's track back exactly as it was: session + saved likes (at their old
+  // positions), session + saved dislikes and the like cooldown date
+  const undoLastDecision = useCallback(async () => {
+    const entry = undoStackRef.current.pop();
+    showUndoToast();
+    if (!entry) return;
+    const { track: t } = entry;
+    const k = trackKey(t);
+    const user = await getCurrentUser();
+
+    if (entry.liked && !likeSet.current.has(k)) { likeSet.current.add(k); setSessionLikes((n) => n + 1); }
+    if (!entry.liked && likeSet.current.has(k)) { likeSet.current.delete(k); setSessionLikes((n) => Math.max(0, n - 1)); }
+    setLikedSession((prev) => restoreAt(prev, t, entry.likedSessionAt));
+    if (user) {
+      if (entry.likedPersistentAt >= 0) likedPersistentSetRef.current.add(k); else likedPersistentSetRef.current.delete(k);
       setLikedPersistent((prev) => {
-        const updated = prev.filter((x) => trackKey(x) !== k);
+        const updated = restoreAt(prev, t, entry.likedPersistentAt);
         saveLiked(updated).catch(()=>{});
         return updated;
       });
     }
-  }, []);
 
-  const onLike = useCallback((t) => {
+    if (entry.dislikedSession) dislikeSet.current.add(k); else dislikeSet.current.delete(k);
+    if (entry.dislikedPersistent) {
+      const { track, dislikedAt } = entry.dislikedPersistent;
+      commitDislikes(addDislike(dislikesRef.current, k, { track, at: dislikedAt }));
+    } else if (dislikedPersistentRef.current.has(String(k))) {
+      commitDislikes(removeDislikes(dislikesRef.current, [k]));
+    }
+
+    // The like already queued its liked_at for sync; a reset keeps the pull from bringing it back
+    const likeDateChanged = likedDatesRef.current?.[k] !== entry.likedAt;
+    const dates = { ...(likedDatesRef.current || {}) };
+    if (entry.likedAt == null) delete dates[k]; else dates[k] = entry.likedAt;
+    likedDatesRef.current = dates;
+    putLikedDates({ [k]: entry.likedAt ?? null }).catch(()=>{});
+
+    recordLibraryChange({
+      track_key: String(k), liked: entry.likedPersistentAt >= 0 || entry.liked, disliked: !!entry.dislikedPersistent, track: t,
+      ...(likeDateChanged ? { liked_at: entry.likedAt ?? null, reset_liked_at: true } : {}),
+    });
+    setOpinionTick((x) => x + 1);
+  }, [showUndoToast, recordLibraryChange, commitDislikes]);
+
+  const onLike = useCallback((t, source = "button") => {
     const k = trackKey(t);
+    rememberForUndo(t, `Liked “${t.title}”`);
     if (dislikeSet.current.has(k)) dislikeSet.current.delete(k);
+    logEvent("like", { track_id: String(k), artist: t.artist, genre: t.genreName, source });
     persistAddLike(t);
+    recordLibraryChange({ track_key: String(k), liked: true, disliked: false, track: t });
     setOpinionTick((x) => x + 1);
-  }, [persistAddLike]);
+  }, [persistAddLike, recordLibraryChange, rememberForUndo]);
 
-  const onDislike = useCallback((t) => {
+  const onDislike = useCallback((t, source = "button") => {
     const k = trackKey(t);
+    rememberForUndo(t, `Disliked “${t.title}”`);
+    logEvent("dislike", { track_id: String(k), artist: t.artist, genre: t.genreName, source });
     removeFromLikesEverywhere(t);
     dislikeSet.current.add(k);
-    if (!dislikedPersistentRef.current.has(k)) {
-      dislikedPersistentRef.current.add(k);
-      saveDisliked(Array.from(dislikedPersistentRef.current)).catch(()=>{});
-    }
+    if (!dislikedPersistentRef.current.has(String(k))) commitDislikes(addDislike(dislikesRef.current, k, { track: t }));
+    recordLibraryChange({ track_key: String(k), liked: false, disliked: true, track: t });
     setOpinionTick((x) => x + 1);
-  }, [removeFromLikesEverywhere]);
+  }, [removeFromLikesEverywhere, recordLibraryChange, rememberForUndo, commitDislikes]);
 
   const onToggleLike = useCallback((t, currentlyLiked) => {
-    if (currentlyLiked) { removeFromLikesEverywhere(t); setOpinionTick((x) => x + 1); return; }
+    if (currentlyLiked) {
+      rememberForUndo(t, `Removed “${t.title}” from likes`);
+      removeFromLikesEverywhere(t);
+      recordLibraryChange({ track_key: String(trackKey(t)), liked: false, disliked: false, track: t });
+      setOpinionTick((x) => x + 1);
+      return;
+    }
     onLike(t);
-  }, [onLike, removeFromLikesEverywhere]);
+  }, [onLike, removeFromLikesEverywhere, recordLibraryChange, rememberForUndo]);
 
   const onToggleDislike = useCallback((t, currentlyDisliked) => {
     const k = trackKey(t);
     if (currentlyDisliked) {
+      rememberForUndo(t, `Cleared dislike on “${t.title}”`);
       dislikeSet.current.delete(k);
-      if (dislikedPersistentRef.current.has(k)) {
-        dislikedPersistentRef.current.delete(k);
-        saveDisliked(Array.from(dislikedPersistentRef.current)).catch(()=>{});
-      }
+      if (dislikedPersistentRef.current.has(String(k))) commitDislikes(removeDislikes(dislikesRef.current, [k]));
+      recordLibraryChange({ track_key: String(k), liked: false, disliked: false, track: t });
       setOpinionTick((x) => x + 1);
       return;
     }
     onDislike(t);
-  }, [onDislike]);
+  }, [onDislike, recordLibraryChange, rememberForUndo, commitDislikes]);
+
+  // Disliked screen: restore songs (back into the feed's pool, and un-disliked on other devices)
+  const restoreDisliked = useCallback(async (keys) => {
+    const entries = keys.map((k) => [String(k), dislikesRef.current[k]]);
+    await commitDislikes(removeDislikes(dislikesRef.current, keys));
+    for (const [k, d] of entries) {
+      dislikeSet.current.delete(k);
+      recordLibraryChange({ track_key: k, liked: false, disliked: false, track: d?.track });
+    }
+    setOpinionTick((x) => x + 1);
+  }, [commitDislikes, recordLibraryChange]);
+
+  // === Block lists (per user, lib/blocks) ===
+  const updateBlocks = useCallback(async (op) => {
+    const next = op(blocksRef.current);
+    if (next === blocksRef.current) return;
+    blocksRef.current = next;
+    setBlocks(next);
+    await saveBlocks(await getCurrentUser(), next).catch(() => {});
+  }, []);
+
+  // From the card's Nope menu: block, drop the blocked songs still ahead, move past this one
+  const blockFromCard = useCallback(async (kind, t) => {
+    await updateBlocks((b) => (kind === "artists" ? blockArtist(b, t) : blockGenre(b, t)));
+    const idx = activeIndexRef.current;
+    const rest = tracksRef.current.filter((x, i) => i <= idx || !blockedBy(blocksRef.current, x));
+    setTracks(rest);
+    if (trackKey(rest[idx]) === trackKey(t) && idx + 1 < rest.length) {
+      requestAnimationFrame(() => {
+        listRef.current?.scrollToOffset?.({ offset: (idx + 1) * CARD_HEIGHT, animated: true });
+      });
+    }
+  }, [updateBlocks]);
+
+  const showBlockOptions = useCallback((t) => {
+    const artist = mainArtist(t);
+    const buttons = [
+      ...(artist ? [{ text: `Never show ${artist}`, style: "destructive", onPress: () => blockFromCard("artists", t) }] : []),
+      ...(t.genreName ? [{ text: `Hide ${t.genreName}`, style: "destructive", onPress: () => blockFromCard("genres", t) }] : []),
+    ];
+    if (!buttons.length) return;
+    Alert.alert("Not for you?", `“${t.title}”`, [...buttons, { text: "Cancel", style: "cancel" }]);
+  }, [blockFromCard]);
+
+  // === Listening prefs (per user, lib/listeningPrefs), applied to the feed as they change ===
+  // Cards up to the current one stay; what follows is re-filtered from the unfiltered discovery
+  // feed, or (radio, play-all) just loses what the prefs now hide. Shared mixes stay as shared,
+  // except for family mode, which also takes out an explicit current card (its audio stops).
+  const reapplyListeningPrefs = useCallback(() => {
+    const idx = activeIndexRef.current;
+    const current = tracksRef.current[idx];
+    const dropCurrent = !!current && familyHides(current);
+    const kept = tracksRef.current.slice(0, dropCurrent ? idx : idx + 1);
+    const seen = new Set(kept.map((t) => String(trackKey(t))));
+    const src = mixRef.current?.shared ? null : feedSourceRef.current;
+    const hidden = mixRef.current?.shared ? familyHides : isHiddenForUser;
+    const upcoming = src
+      ? applyGlobalFilters(src.tracks, src.ids).filter((t) => !seen.has(String(trackKey(t))))
+      : tracksRef.current.slice(idx + 1).filter((t) => !hidden(t));
+    if (dropCurrent) stopAudio();
+    setTracks([...kept, ...upcoming]);
+  }, [applyGlobalFilters, isHiddenForUser, stopAudio]);
+
+  const changeFamily = useCallback((next) => {
+    setFamily(next);
+    reapplyListeningPrefs();
+  }, [reapplyListeningPrefs]);
+
+  const updateListening = useCallback(async (op) => {
+    let next;
+    try { next = op(listeningRef.current); }
+    catch (e) { Alert.alert("Settings", e?.message || "Please try again."); return false; }
+    if (next === listeningRef.current) return true;
+    listeningRef.current = next;
+    setListening(next);
+    reapplyListeningPrefs();
+    await saveListeningPrefs(await getCurrentUser(), next).catch(() => {});
+    return true;
+  }, [reapplyListeningPrefs]);
+
+  // Auto-expiry (settings.dislikeExpiryDays): old dislikes quietly return
+  useEffect(() => {
+    const expired = expiredDislikes(dislikes, settings.dislikeExpiryDays);
+    if (expired.length) restoreDisliked(expired);
+  }, [dislikes, settings.dislikeExpiryDays, restoreDisliked]);
 
   const refreshForProfile = useCallback(async () => {
     setShowProfile(false); setShowLikedPersistent(false); setShowGenresQuick(false);
     const p = await loadProfile();
     const liked = await loadLiked(); // ← rehydrate liked for current auth state
+    const user = await getCurrentUser();
+    const lists = await loadPlaylists(user);
+    blocksRef.current = await loadBlocks(user);
+    listeningRef.current = await loadListeningPrefs(user);
     setProfile(p);
     setLikedPersistent(dedupeById(liked));
+    setSessionUser(user);
+    setBlocks(blocksRef.current);
+    setListening(listeningRef.current);
+    clearUndoHistory(); // decisions belong to the account they were made under
+    playlistsRef.current = lists;
+    setPlaylists(lists);
+    recordLibraryChange(null); // pull the account's library right after logging in
     await refreshDiscoveryFeed(p?.favoriteGenreIds || []);
-  }, [refreshDiscoveryFeed]);
+  }, [refreshDiscoveryFeed, recordLibraryChange, clearUndoHistory]);
 
   const applySessionGenres = useCallback(async (ids) => {
     const selected = Array.isArray(ids) ? ids.filter(Boolean) : [];
@@ -1270,6 +2652,7 @@ export default function App() {
   }, []);
 
   const openLikedInFeed = useCallback(async (track) => {
+    if (familyHides(track)) return Alert.alert("Family mode", `“${track.title}” is marked explicit and can’t be played while family mode is on.`);
     const id = trackKey(track);
 
     // Prevent overlay auto-restore from hijacking our jump
@@ -1288,6 +2671,7 @@ export default function App() {
 
     // Close overlays explicitly (no restore)
     setShowLikedSession(false); setShowLikedPersistent(false); setShowGenresQuick(false); setShowProfile(false);
+    setShowPlaylists(false); setOpenPlaylistId(null); setAddToPlaylistTrack(null); setDetailStack([]);
     setShowSearchList(false);
 
     requestAnimationFrame(() => {
@@ -1307,27 +2691,178 @@ export default function App() {
     }
   }, [stopAudio, waitForIndexById, playPreview]);
 
-  // Deep links behave like Go
+  // Rebuild a shared mix exactly: the songs the link lists (ranked / offline feeds), else the
+  // same seed, genres, spread params and catalog. Personal dislike / cooldown filters are
+  // skipped so every device gets the same songs; family mode still takes out explicit ones.
+  const openSharedMix = useCallback(async (mix) => {
+    mixRef.current = { ...mix, shared: true };
+    feedSourceRef.current = null;
+    radioRef.current = null;
+    setRadio(null);
+    setLoading(true);
+    try {
+      goLockIdRef.current = null;
+      goLockIndexRef.current = -1;
+      setGoLockTick((t) => t + 1);
+      await stopAudio();
+      clearPreloaded();
+
+      const list = mix.trackIds
+        ? await lookupInOrder(mix.trackIds)
+        : await fetchTracksForGenres(mix.genreIds, mix.seed, { params: mix.params, provider: getCatalogProvider(mix.provider) });
+      const res = list.filter((t) => !familyHides(t) && !ALL_FILTER_PATTERNS.some((re) => re.test(`${t.title} ${t.album} ${t.artist}`)));
+      if (!res.length) throw new Error("This mix has no songs available right now.");
+
+      setShowLikedSession(false); setShowLikedPersistent(false); setShowGenresQuick(false); setShowProfile(false);
+      setShowPlaylists(false); setOpenPlaylistId(null); setAddToPlaylistTrack(null); setDetailStack([]);
+      setShowSearchList(false);
+
+      setAnalyticsContext({ feed_version: tagFeedVersion(`mix.${mix.seed.toString(36)}`) });
+      setFeedVersion((v) => v + 1);
+      setTracks(res);
+      setActiveIndex(0);
+      requestAnimationFrame(() => {
+        listRef.current?.scrollToOffset?.({ offset: 0, animated: false });
+      });
+      await sleep(80);
+      await playPreview(0);
+    } catch (e) {
+      Alert.alert("Shared mix", `Could not open this mix.\n${String(e?.message || e)}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [stopAudio, clearPreloaded, playPreview]);
+
+  // Artist / album "Play all": the list becomes the feed (minus disliked songs), like a shared mix
+  const playAllInFeed = useCallback(async (list, feedLabel) => {
+    const res = dedupeById(list).filter((t) => t.previewUrl && !familyHides(t) && !dislikeSet.current.has(trackKey(t)) && !dislikedPersistentRef.current.has(String(trackKey(t))));
+    if (!res.length) return Alert.alert("Play all", "None of these songs have a preview.");
+
+    goLockIdRef.current = null;
+    goLockIndexRef.current = -1;
+    setGoLockTick((t) => t + 1);
+    needRestoreScrollRef.current = false;
+    suppressNextAutoplayRef.current = false;
+    await stopAudio();
+    clearPreloaded();
+
+    setShowLikedSession(false); setShowLikedPersistent(false); setShowGenresQuick(false); setShowProfile(false);
+    setShowPlaylists(false); setOpenPlaylistId(null); setAddToPlaylistTrack(null); setDetailStack([]);
+    setShowSearchList(false);
+
+    mixRef.current = null; // not a seeded mix: nothing to share
+    feedSourceRef.current = null;
+    radioRef.current = null;
+    setRadio(null);
+    setAnalyticsContext({ feed_version: tagFeedVersion(feedLabel) });
+    setFeedVersion((v) => v + 1);
+    setTracks(res);
+    setActiveIndex(0);
+    requestAnimationFrame(() => {
+      listRef.current?.scrollToOffset?.({ offset: 0, animated: false });
+    });
+    await sleep(80);
+    await playPreview(0);
+  }, [stopAudio, clearPreloaded, playPreview]);
+
+  // Radio: an endless feed around one track (lib/radio), narrowed like any other feed
+  const radioSelect = useCallback((list) => applyGlobalFilters(diversify(list)), [applyGlobalFilters]);
+
+  const startRadio = useCallback(async (track) => {
+    if (!track) return;
+    setLoading(true);
+    try {
+      goLockIdRef.current = null;
+      goLockIndexRef.current = -1;
+      setGoLockTick((t) => t + 1);
+      needRestoreScrollRef.current = false;
+      suppressNextAutoplayRef.current = false;
+      await stopAudio();
+      clearPreloaded();
+
+      // genre names → ids only mean something for the catalog the genre list came from
+      const genres = providerForTrackId(track.id) === catalog
+        ? Array.from(genreNameByIdRef.current, ([id, name]) => ({ id: Number(id), name }))
+        : undefined;
+      const session = createRadio(track, { genres, playSeed: !familyHides(track) });
+      const res = await nextRadioPage(session, { page: getFeedParams().page, select: radioSelect });
+      if (res.length < 2) throw new Error("Not enough similar songs found.");
+
+      setShowLikedSession(false); setShowLikedPersistent(false); setShowGenresQuick(false); setShowProfile(false);
+      setShowPlaylists(false); setOpenPlaylistId(null); setAddToPlaylistTrack(null); setDetailStack([]);
+      setShowSearchList(false);
+
+      radioRef.current = session;
+      mixRef.current = null;
+      feedSourceRef.current = null;
+      setRadio({ title: track.title, artist: track.artist });
+      setAnalyticsContext({ feed_version: tagFeedVersion(`radio.${trackKey(track)}`) });
+      setFeedVersion((v) => v + 1);
+      setTracks(res);
+      setActiveIndex(0);
+      requestAnimationFrame(() => {
+        listRef.current?.scrollToOffset?.({ offset: 0, animated: false });
+      });
+      await sleep(80);
+      await playPreview(0);
+    } catch (e) {
+      Alert.alert("Radio", `Could not start radio.\n${String(e?.message || e)}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [stopAudio, clearPreloaded, radioSelect, playPreview]);
+
+  const exitRadio = useCallback(() => {
+    radioRef.current = null;
+    setRadio(null);
+    refreshDiscoveryFeed();
+  }, [refreshDiscoveryFeed]);
+
+  // Keep the radio going: append the next page as the end of the feed gets close
+  useEffect(() => {
+    const session = radioRef.current;
+    if (!radio || !session || session.exhausted || radioLoadingRef.current) return;
+    if (tracks.length - activeIndex > RADIO_PREFETCH) return;
+    radioLoadingRef.current = true;
+    (async () => {
+      try {
+        const more = await nextRadioPage(session, { page: getFeedParams().page, select: radioSelect });
+        if (radioRef.current !== session) return; // radio ended meanwhile
+        const have = new Set(tracksRef.current.map((t) => String(trackKey(t))));
+        const add = more.filter((t) => !have.has(String(trackKey(t))));
+        if (add.length) setTracks((prev) => [...prev, ...add]);
+      } catch {} finally {
+        radioLoadingRef.current = false;
+      }
+    })();
+  }, [radio, activeIndex, tracks.length, radioSelect]);
+
+  // Deep links behave like Go (the track is resolved by id first); mix links rebuild a whole feed
   const handleDeepLink = useCallback(async (url) => {
     try {
-      const parsed = Linking.parse(url);
-      const path = (parsed?.path || "").replace(/^\//, "");
-      if (path !== "track") return;
-
-      const q = parsed?.queryParams || {};
-      const track = {
-        id: q.id || undefined,
-        title: q.title || "",
-        artist: q.artist || "",
-        album: q.album || "",
-        artwork: q.artwork ? decodeURIComponent(q.artwork) : "",
-        previewUrl: q.previewUrl ? decodeURIComponent(q.previewUrl) : "",
-        storeUrl: q.storeUrl ? decodeURIComponent(q.storeUrl) : ""
-      };
+      const mix = parseMixLink(url);
+      if (mix) return await openSharedMix(mix);
 
+      const link = parseTrackLink(url);
+      if (!link) return;
+
+      setLinkError(null);
+      let track;
+      try {
+        track = await resolveTrackLink(link);
+      } catch (e) {
+        // Show the card over the feed, like a successful open would
+        setShowLikedSession(false); setShowLikedPersistent(false); setShowGenresQuick(false); setShowProfile(false);
+        setShowPlaylists(false); setOpenPlaylistId(null); setAddToPlaylistTrack(null); setDetailStack([]);
+        setShowSearchList(false);
+        return setLinkError({ url, code: e?.code || "unreachable", message: String(e?.message || e) });
+      }
+      if (familyHides(track)) return Alert.alert("Family mode", `“${track.title}” is marked explicit and can’t be opened while family mode is on.`);
+      const block = blockedBy(blocksRef.current, track);
+      if (block && !(await confirmBlockedOpen(track, block))) return;
       await openLikedInFeed(track);
     } catch {}
-  }, [openLikedInFeed]);
+  }, [openLikedInFeed, openSharedMix]);
 
   useEffect(() => {
     const sub = Linking.addEventListener("url", ({ url }) => handleDeepLink(url));
@@ -1346,36 +2881,44 @@ export default function App() {
     } catch {}
   }, []);
 
-  // --- Search (submit only) ---
-  const runSearch = useCallback(() => {
-    const q = (searchQuery || "").trim();
-    if (q.length < 2) {
+  // --- Search (submit, plus debounced as-you-type when LIVE_SEARCH) ---
+  // A newer query aborts the one in flight, so stale results never land in the panel.
+  const searchFor = useCallback(async (raw) => {
+    const q = (raw || "").trim();
+    if (searchRef.current && normalizeQuery(searchRef.current.q) === normalizeQuery(q)) return;
+    searchRef.current?.ctrl.abort();
+    searchRef.current = null;
+    if (q.length < SEARCH_MIN_CHARS) {
       setShowSearchList(false);
       setSearchResults([]);
       setSearchLoading(false);
       return;
     }
+    const ctrl = new AbortController();
+    searchRef.current = { q, ctrl };
     setShowSearchList(true);
     setSearchLoading(true);
-    setSearchRequested(true);
-  }, [searchQuery]);
-
-  useEffect(() => {
-    if (!searchRequested) return;
-    const q = (searchQuery || "").trim();
-    (async () => {
-      try {
-        const res = await fetchSearchTracks(q);
-        setSearchResults((res || []).slice(0, 60));
-      } catch {
-        setSearchResults([]);
-      } finally {
+    try {
+      const res = await fetchSearchTracks(q, { signal: ctrl.signal, hide: isHiddenForUser });
+      if (!ctrl.signal.aborted) setSearchResults(res || []);
+    } catch {
+      if (!ctrl.signal.aborted) setSearchResults([]);
+    } finally {
+      if (searchRef.current?.ctrl === ctrl) {
+        searchRef.current = null;
         setSearchLoading(false);
-        setSearchRequested(false);
-        setShowSearchList(true);
       }
-    })();
-  }, [searchRequested, searchQuery]);
+    }
+  }, [isHiddenForUser]);
+  const runSearch = useCallback(() => searchFor(searchQuery), [searchFor, searchQuery]);
+
+  useEffect(() => {
+    if (!LIVE_SEARCH) return;
+    const q = searchQuery.trim();
+    if (q.length < SEARCH_MIN_CHARS) { searchFor(""); return; }
+    const timer = setTimeout(() => searchFor(q), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery, searchFor]);
 
   const selectSearchResult = useCallback(async (t) => {
     setShowSearchList(false);
@@ -1388,6 +2931,14 @@ export default function App() {
     lastIndexBeforeOverlayRef.current = activeIndex;
     needRestoreScrollRef.current = true;
   }, [activeIndex]);
+  const openDetail = useCallback((kind, ref) => {
+    if (!detailsProvider(ref)) return;
+    if (!detailStack.length) captureBeforeOverlay();
+    setShowSearchList(false);
+    setDetailStack((st) => [...st, { kind, ref }]);
+  }, [detailStack.length, captureBeforeOverlay]);
+  const openArtist = useCallback((ref) => openDetail("artist", ref), [openDetail]);
+  const openAlbum = useCallback((ref) => openDetail("album", ref), [openDetail]);
   const closeOverlaysNoRefresh = useCallback(() => {
     needRestoreScrollRef.current = true;
     suppressNextAutoplayRef.current = true;
@@ -1395,29 +2946,176 @@ export default function App() {
     setShowGenresQuick(false);
     setShowLikedSession(false);
     setShowLikedPersistent(false);
+    setShowDisliked(false);
+    setShowBlocks(false);
+    setShowSettings(false);
     setShowProfile(false);
+    setShowPlaylists(false);
+    setOpenPlaylistId(null);
+    setDetailStack([]);
+  }, []);
+
+  // === Playlists (per user, like liked songs) ===
+  // Run a pure op from lib/playlists, persist the result; returns false (after alerting) on bad input
+  const updatePlaylists = useCallback((op) => {
+    let next;
+    try { next = op(playlistsRef.current); }
+    catch (e) { Alert.alert("Playlists", e?.message || "Please try again."); return false; }
+    playlistsRef.current = next;
+    setPlaylists(next);
+    savePlaylists(sessionUser, next).catch(() => {});
+    return true;
+  }, [sessionUser]);
+
+  const openAddToPlaylist = useCallback((track) => {
+    if (!sessionUser) return Alert.alert("Playlists", "Log in from your profile to create playlists.");
+    setAddToPlaylistTrack(track);
+  }, [sessionUser]);
+  const addPickedToPlaylist = useCallback((id) => {
+    const track = addToPlaylistTrack;
+    if (track && updatePlaylists((ls) => addTrackToPlaylist(ls, id, track))) setAddToPlaylistTrack(null);
+  }, [addToPlaylistTrack, updatePlaylists]);
+  const createPlaylistWithPicked = useCallback((name) => {
+    const track = addToPlaylistTrack;
+    const ok = updatePlaylists((ls) => {
+      const { lists, playlist } = createPlaylist(ls, name);
+      return track ? addTrackToPlaylist(lists, playlist.id, track) : lists;
+    });
+    if (ok) setAddToPlaylistTrack(null);
+    return ok;
+  }, [addToPlaylistTrack, updatePlaylists]);
+
+  // === Export / import (lib/libraryIO) ===
+  const exportPicked = useCallback(async (format) => {
+    const req = exportRequest;
+    setExportRequest(null);
+    if (!req) return;
+    try {
+      let content;
+      if (format === "m3u") content = toM3U(req.tracks);
+      else if (format === "xspf") content = toXSPF(req.tracks, req.title);
+      else if (format === "csv") content = toCSV(req.tracks);
+      else {
+        content = toBackupJSON({
+          user: await getCurrentUser(),
+          liked: await loadLiked(),
+          disliked: Array.from(dislikedPersistentRef.current),
+          likedDates: likedDatesRef.current,
+          playedDates: playedDatesRef.current,
+          playlists: playlistsRef.current,
+        });
+      }
+      await shareExport(format, content, format === "json" ? "tuneflip-backup" : req.fileName);
+    } catch (e) {
+      Alert.alert("Export failed", e?.message || "Please try again.");
+    }
+  }, [exportRequest]);
+
+  const backupLibrary = useCallback(async () => {
+    if (!(await getCurrentUser())) return Alert.alert("Back up", "Log in from your profile to back up your library.");
+    setExportRequest({ title: "Liked Songs", tracks: await loadLiked(), fileName: "tuneflip-liked", backup: true });
   }, []);
 
+  // Merge a JSON backup or CSV into the library; existing decisions on this device win
+  const importLibrary = useCallback(async () => {
+    const user = await getCurrentUser();
+    if (!user) return Alert.alert("Import", "Log in from your profile to import a library.");
+    try {
+      const file = await pickImportFile();
+      if (!file) return;
+      const incoming = file.kind === "json"
+        ? parseBackup(file.text)
+        : { liked: await resolveImportedRows(csvToRawTracks(file.text)) };
+      const current = {
+        liked: await loadLiked(),
+        disliked: Array.from(dislikedPersistentRef.current),
+        likedDates: likedDatesRef.current,
+        playedDates: playedDatesRef.current,
+        playlists: playlistsRef.current,
+      };
+      const merged = mergeLibrary(current, incoming);
+
+      const hadLiked = new Set(current.liked.map((t) => String(trackKey(t))));
+      const addedLiked = merged.liked.filter((t) => !hadLiked.has(String(trackKey(t))));
+      const addedDisliked = merged.disliked.filter((k) => !dislikedPersistentRef.current.has(String(k)));
+
+      setLikedPersistent(merged.liked);
+      await saveLiked(merged.liked);
+      await commitDislikes(addedDisliked.reduce((m, k) => addDislike(m, k), dislikesRef.current));
+      likedDatesRef.current = merged.likedDates;
+      playedDatesRef.current = merged.playedDates;
+      await Promise.all([putLikedDates(merged.likedDates), putPlayedDates(merged.playedDates)]);
+      updatePlaylists(() => merged.playlists);
+      setOpinionTick((x) => x + 1);
+
+      const now = Date.now();
+      for (const t of addedLiked) {
+        const k = String(trackKey(t));
+        await recordLibraryChange({ track_key: k, liked: true, disliked: false, track: t, updated_at: now, liked_at: merged.likedDates[k], played_at: merged.playedDates[k] }, { sync: false });
+      }
+      for (const k of addedDisliked) {
+        await recordLibraryChange({ track_key: k, liked: false, disliked: true, updated_at: now, played_at: merged.playedDates[k] }, { sync: false });
+      }
+      recordLibraryChange(null);
+      fillDislikedTracks();
+      fillExplicitFlags(user, merged.liked, merged.playlists);
+
+      const n = addedLiked.length;
+      Alert.alert("Import complete", `${n} new liked ${n === 1 ? "song" : "songs"}${addedDisliked.length ? `, ${addedDisliked.length} dislikes` : ""} added.`);
+    } catch (e) {
+      Alert.alert("Import failed", e?.message || "Please try again.");
+    }
+  }, [recordLibraryChange, updatePlaylists, commitDislikes, fillDislikedTracks, fillExplicitFlags]);
+
   const openSessionLikesList = useCallback(() => { captureBeforeOverlay(); setShowProfile(false); setShowGenresQuick(false); setShowLikedPersistent(false); setShowLikedSession(true); }, [captureBeforeOverlay]);
   const openGenresQuickList = useCallback(() => { captureBeforeOverlay(); setShowProfile(false); setShowLikedSession(false); setShowLikedPersistent(false); setShowGenresQuick(true); }, [captureBeforeOverlay]);
   const openProfileFull = useCallback(() => { captureBeforeOverlay(); setShowLikedSession(false); setShowLikedPersistent(false); setShowGenresQuick(false); setShowProfile(true); }, [captureBeforeOverlay]);
 
   // When a card is swiped, commit opinion ONLY (no refresh here; no skip)
   const onCardSwiped = useCallback((idx, dir, item) => {
-    if (dir === "like") onLike(item); else onDislike(item);
+    if (dir === "like") onLike(item, "swipe"); else onDislike(item, "swipe");
   }, [onLike, onDislike]);
 
   // Screens
-  if (showProfile) {
+  const detail = detailStack[detailStack.length - 1];
+  if (detail?.kind === "artist") {
     return (
-      <ProfileScreen
-        onDone={refreshForProfile}
-        onOpenLiked={() => { setShowProfile(false); setShowLikedPersistent(true); }}
-        onCancel={closeOverlaysNoRefresh}
-        onGenresFetched={onGenresFetched}
+      <ArtistScreen
+        key={detailStack.length} artistRef={detail.ref} onClose={closeDetail} onOpenAlbum={openAlbum}
+        onPlayAll={playAllInFeed} onOpenInFeed={openLikedInFeed} onPreviewStart={stopAudio}
+      />
+    );
+  }
+  if (detail?.kind === "album") {
+    return (
+      <AlbumScreen
+        key={detailStack.length} albumRef={detail.ref} onClose={closeDetail} onOpenArtist={openArtist}
+        onPlayAll={playAllInFeed} onOpenInFeed={openLikedInFeed} onPreviewStart={stopAudio}
       />
     );
   }
+  const exportModal = <ExportModal request={exportRequest} onClose={() => setExportRequest(null)} onPick={exportPicked} />;
+  if (showProfile) {
+    return (
+      <>
+        <ProfileScreen
+          onDone={refreshForProfile}
+          onOpenLiked={() => { setShowProfile(false); setShowLikedPersistent(true); }}
+          onOpenDisliked={() => { setShowProfile(false); setShowDisliked(true); }}
+          onOpenBlocks={() => { setShowProfile(false); setShowBlocks(true); }}
+          onOpenSettings={() => { setShowProfile(false); setShowSettings(true); }}
+          family={family}
+          onFamilyChange={changeFamily}
+          onOpenPlaylists={() => { setShowProfile(false); setShowPlaylists(true); }}
+          onBackupLibrary={backupLibrary}
+          onImportLibrary={importLibrary}
+          onCancel={closeOverlaysNoRefresh}
+          onGenresFetched={onGenresFetched}
+        />
+        {exportModal}
+      </>
+    );
+  }
   if (showGenresQuick) {
     return (
       <GenresQuickScreen
@@ -1429,22 +3127,137 @@ export default function App() {
       />
     );
   }
-  if (showLikedPersistent) return <LikedSongsScreen title="Liked Songs (All)" liked={likedPersistent} onClose={closeOverlaysNoRefresh} onOpenInFeed={openLikedInFeed} />;
-  if (showLikedSession)    return <LikedSongsScreen title="Session Likes" liked={likedSession} onClose={closeOverlaysNoRefresh} onOpenInFeed={openLikedInFeed} />;
+
+  const addToPlaylistModal = (
+    <AddToPlaylistModal
+      track={addToPlaylistTrack}
+      playlists={playlists}
+      onClose={() => setAddToPlaylistTrack(null)}
+      onPick={addPickedToPlaylist}
+      onCreateAndAdd={createPlaylistWithPicked}
+    />
+  );
+  if (openPlaylistId) {
+    const pl = playlists.find((p) => p.id === openPlaylistId);
+    return (
+      <>
+        <PlaylistScreen
+          playlist={pl}
+          onClose={() => setOpenPlaylistId(null)}
+          onOpenInFeed={openLikedInFeed}
+          onRemoveTrack={(key) => updatePlaylists((ls) => removeTrackFromPlaylist(ls, openPlaylistId, key))}
+          onMoveTrack={(key, delta) => updatePlaylists((ls) => moveTrackInPlaylist(ls, openPlaylistId, key, delta))}
+          onExport={() => pl && setExportRequest({ title: pl.name, tracks: pl.tracks, fileName: `tuneflip-${pl.name}` })}
+        />
+        {exportModal}
+      </>
+    );
+  }
+  if (showPlaylists) {
+    return (
+      <PlaylistsScreen
+        playlists={playlists}
+        loggedIn={!!sessionUser}
+        onClose={closeOverlaysNoRefresh}
+        onOpen={setOpenPlaylistId}
+        onCreate={(name) => updatePlaylists((ls) => createPlaylist(ls, name).lists)}
+        onRename={(id, name) => updatePlaylists((ls) => renamePlaylist(ls, id, name))}
+        onDelete={(id) => updatePlaylists((ls) => deletePlaylist(ls, id))}
+        onMove={(id, delta) => updatePlaylists((ls) => movePlaylist(ls, id, delta))}
+      />
+    );
+  }
+  if (showLikedPersistent) {
+    return (
+      <>
+        <LikedSongsScreen
+          title="Liked Songs (All)" liked={likedPersistent} onClose={closeOverlaysNoRefresh} onOpenInFeed={openLikedInFeed}
+          onStartRadio={startRadio}
+          onAddToPlaylist={openAddToPlaylist}
+          onOpenPlaylists={() => { setShowLikedPersistent(false); setShowPlaylists(true); }}
+          onExport={() => setExportRequest({ title: "Liked Songs", tracks: likedPersistent, fileName: "tuneflip-liked", backup: !!sessionUser })}
+        />
+        {addToPlaylistModal}
+        {exportModal}
+      </>
+    );
+  }
+  if (showSettings) {
+    return (
+      <SettingsScreen
+        settings={settings}
+        onChangeSettings={changeSettings}
+        listening={listening}
+        onChangeListening={updateListening}
+        user={sessionUser}
+        onClose={closeOverlaysNoRefresh}
+      />
+    );
+  }
+  if (showBlocks) {
+    return (
+      <BlockListScreen
+        blocks={blocks}
+        onClose={closeOverlaysNoRefresh}
+        onUnblock={(kind, key) => updateBlocks((b) => unblock(b, kind, key))}
+      />
+    );
+  }
+  if (showDisliked) {
+    return (
+      <DislikedSongsScreen
+        dislikes={dislikes}
+        onClose={closeOverlaysNoRefresh}
+        onRestore={restoreDisliked}
+        expiryDays={settings.dislikeExpiryDays}
+        onChangeExpiry={(days) => changeSettings({ dislikeExpiryDays: days })}
+      />
+    );
+  }
+  if (showLikedSession) {
+    return (
+      <>
+        <LikedSongsScreen
+          title="Session Likes" liked={likedSession} onClose={closeOverlaysNoRefresh} onOpenInFeed={openLikedInFeed}
+          onStartRadio={startRadio}
+          onExport={() => setExportRequest({ title: "Session Likes", tracks: likedSession, fileName: "tuneflip-session" })}
+        />
+        {exportModal}
+      </>
+    );
+  }
 
   const renderEmpty = !loading && tracks.length === 0;
   const isLikedKey = (k) => likeSet.current.has(k) || likedPersistentSetRef.current.has(k);
-  const isDislikedKey = (k) => dislikeSet.current.has(k) || dislikedPersistentRef.current.has(k);
+  const isDislikedKey = (k) => dislikeSet.current.has(k) || dislikedPersistentRef.current.has(String(k));
 
   return (
     <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0b0c" }}>
       <View style={[styles.topBar, { height: 48 }]}>
         <Text style={styles.brand}>TuneFlip</Text>
         <View style={{ flexDirection: "row", gap: 8, alignItems: "center" }}>
+          {offline && <View style={styles.pill}><Text style={styles.pillText}>Offline</Text></View>}
+          {!!mixRef.current?.shared && <View style={styles.pill}><Text style={styles.pillText}>Shared mix</Text></View>}
           <View style={styles.pill}><Text style={styles.pillText}>Session Likes: {sessionLikes}</Text></View>
+          {undoDepth > 0 && (
+            <Pressable onPress={undoLastDecision} style={styles.iconBtn} accessibilityLabel="Undo last like or dislike">
+              <Ionicons name="arrow-undo" size={18} color="white" />
+            </Pressable>
+          )}
+          <Pressable onPress={() => shareMix(mixRef.current)} style={styles.iconBtn} accessibilityLabel="Share this mix">
+            <Ionicons name="share-social-outline" size={18} color="white" />
+          </Pressable>
         </View>
       </View>
 
+      {!!radio && (
+        <View style={styles.radioBanner}>
+          <Ionicons name="radio" size={16} color="white" />
+          <Text style={styles.radioBannerText} numberOfLines={1}>Radio: {radio.title} · {radio.artist}</Text>
+          <TouchableOpacity onPress={exitRadio} style={styles.topBtn}><Text style={styles.topBtnText}>Back to Discovery</Text></TouchableOpacity>
+        </View>
+      )}
+
       {/* Search row */}
       <View style={styles.searchRow}>
         <View style={styles.searchBox}>
@@ -1459,7 +3272,7 @@ export default function App() {
             onFocus={() => { if (searchResults.length) setShowSearchList(true); }}
           />
           {!!searchQuery && (
-            <Pressable onPress={() => { setSearchQuery(""); setShowSearchList(false); setSearchResults([]); }} style={{ padding: 6 }}>
+            <Pressable onPress={() => { setSearchQuery(""); searchFor(""); }} style={{ padding: 6 }}>
               <Ionicons name="close" size={16} color="#bbb" />
             </Pressable>
           )}
@@ -1483,8 +3296,13 @@ export default function App() {
                   <Pressable style={styles.searchItem} onPress={() => selectSearchResult(t)}>
                     <Image source={{ uri: t.artwork }} style={styles.searchArt} />
                     <View style={{ flex: 1 }}>
-                      <Text style={styles.title} numberOfLines={1}>{t.title}</Text>
-                      <Text style={styles.metaDim} numberOfLines={1}>{t.artist} · {t.album}</Text>
+                      <View style={styles.titleRow}>
+                        <Text style={[styles.title, { flexShrink: 1 }]} numberOfLines={1}>{t.title}</Text>
+                        <ExplicitBadge track={t} />
+                      </View>
+                      <Text style={styles.metaDim} numberOfLines={1}>
+                        <Text onPress={() => openArtist(t)}>{t.artist}</Text> · <Text onPress={() => openAlbum(t)}>{t.album}</Text>
+                      </Text>
                     </View>
                     <Ionicons name="play" size={16} color="#fff" />
                   </Pressable>
@@ -1526,11 +3344,20 @@ export default function App() {
                 onSwipeDecision={(dir) => onCardSwiped(index, dir, item)}
                 onOpenPressed={(t) => setOpenModal(true) || setOpenForTrack(t)}
                 onSharePressed={(t) => shareTrack(t)}
+                onAddToPlaylist={openAddToPlaylist}
                 onToggleLike={onToggleLike}
                 onToggleDislike={onToggleDislike}
+                onNopeOptions={showBlockOptions}
                 onOpenSessionLikes={openSessionLikesList}
                 onOpenGenres={openGenresQuickList}
                 onOpenProfile={openProfileFull}
+                onOpenArtist={openArtist}
+                onOpenAlbum={openAlbum}
+                onStartRadio={startRadio}
+                onTogglePlay={togglePlayPause}
+                onSeek={seekCurrent}
+                autoAdvance={settings.autoAdvance}
+                onToggleAutoAdvance={toggleAutoAdvance}
               />
             );
           }}
@@ -1544,12 +3371,21 @@ export default function App() {
           getItemLayout={(_, index) => ({ length: CARD_HEIGHT, offset: CARD_HEIGHT * index, index })}
           scrollEventThrottle={16}
           onMomentumScrollEnd={() => {
-            const idx = activeIndex + 1;
-            setTimeout(() => { preloadIndex(idx); }, 30);
+            const idx = activeIndex;
+            setTimeout(() => { preloadAround(idx); }, 30);
           }}
         />
       )}
 
+      {!!undoToast && (
+        <View style={styles.undoBar}>
+          <Text style={styles.undoBarText} numberOfLines={1}>{undoToast}</Text>
+          <TouchableOpacity onPress={undoLastDecision} style={styles.topBtn}>
+            <Text style={styles.topBtnText}>{undoDepth > 1 ? `Undo (${undoDepth})` : "Undo"}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       <Modal visible={openModal} transparent animationType="fade" onRequestClose={() => setOpenModal(false)}>
         <Pressable style={styles.modalBackdrop} onPress={() => setOpenModal(false)}>
           <View style={styles.modalCard}>
@@ -1572,17 +3408,26 @@ export default function App() {
           </View>
         </Pressable>
       </Modal>
+      {addToPlaylistModal}
+      <TrackLinkErrorCard error={linkError} onClose={() => setLinkError(null)} onRetry={() => handleDeepLink(linkError.url)} />
     </SafeAreaView>
   );
 }
 
 const styles = StyleSheet.create({
   topBar: { height: 52, paddingHorizontal: 12, flexDirection: "row", alignItems: "center", justifyContent: "space-between" },
-  brand: { color: "white", fontSize: 20, fontWeight: "700", letterSpacing: 0.3 },
+  brand: { color: "white", fontSize: 20, fontWeight: "700", letterSpacing: 0.3, flexShrink: 1 },
+  topBtn: { backgroundColor: "#1f1f23", paddingHorizontal: 12, paddingVertical: 8, borderRadius: 999 },
+  topBtnText: { color: "white", fontWeight: "700", fontSize: 13 },
 
   pill: { backgroundColor: "#2e5cff", paddingHorizontal: 10, paddingVertical: 6, borderRadius: 999 },
   pillText: { color: "white", fontWeight: "700", fontSize: 12 },
 
+  radioBanner: { marginHorizontal: 12, marginBottom: 6, paddingLeft: 12, paddingRight: 4, paddingVertical: 4, backgroundColor: "#1b2a5c", borderRadius: 999, flexDirection: "row", alignItems: "center", gap: 8 },
+  radioBannerText: { color: "white", fontWeight: "700", fontSize: 13, flex: 1 },
+  undoBar: { position: "absolute", left: 12, right: 12, bottom: 28, paddingLeft: 14, paddingRight: 4, paddingVertical: 4, backgroundColor: "#222226", borderRadius: 12, borderWidth: 1, borderColor: "#333", flexDirection: "row", alignItems: "center", gap: 8 },
+  undoBarText: { color: "white", fontSize: 13, flex: 1 },
+
   searchRow: { paddingHorizontal: 12, paddingBottom: 4 },
   searchBox: { backgroundColor: "#141418", borderWidth: 1, borderColor: "#2a2a31", borderRadius: 12, paddingHorizontal: 10, paddingVertical: Platform.OS === "ios" ? 8 : 6, flexDirection: "row", alignItems: "center", gap: 8 },
   searchInput: { color: "white", flex: 1, paddingVertical: 0 },
@@ -1595,6 +3440,9 @@ const styles = StyleSheet.create({
 
   title: { color: "white", fontSize: 18, fontWeight: "700" },
   meta: { color: "#e8e8ea", marginTop: 2, fontSize: 14 },
+  titleRow: { flexDirection: "row", alignItems: "center", gap: 6, maxWidth: "100%" },
+  explicitBadge: { backgroundColor: "#bbb", borderRadius: 3, paddingHorizontal: 4, paddingVertical: 1 },
+  explicitBadgeText: { color: "#111", fontSize: 10, fontWeight: "800" },
   metaDim: { color: "#aaa", marginTop: 2, fontSize: 13 },
 
   overlayWrap: { position: "absolute", top: 24, left: 0, right: 0, alignItems: "center", zIndex: 5 },
@@ -1609,6 +3457,17 @@ const styles = StyleSheet.create({
   nope: { backgroundColor: "#4d2222" },
   nopeActive: { backgroundColor: "#7a2f2f", borderColor: "#ff6b6b" },
   actionBtnText: { color: "white", fontWeight: "600" },
+  iconBtn: { padding: 6 },
+
+  pausedBadge: { position: "absolute", top: 0, left: 0, right: 0, bottom: 0, alignItems: "center", justifyContent: "center", zIndex: 2, backgroundColor: "rgba(0,0,0,0.25)" },
+  progressWrap: { width: screen.width * 0.86, marginTop: 10 },
+  progressHit: { paddingVertical: 10, justifyContent: "center" },
+  progressTrack: { height: 4, borderRadius: 2, backgroundColor: "#2a2a31", overflow: "hidden" },
+  progressFill: { height: 4, backgroundColor: "white" },
+  progressKnob: { position: "absolute", width: 12, height: 12, marginLeft: -6, borderRadius: 6, backgroundColor: "white" },
+  progressKnobActive: { transform: [{ scale: 1.4 }] },
+  progressTimes: { flexDirection: "row", justifyContent: "space-between", alignItems: "center", marginTop: -4 },
+  progressTime: { color: "#aaa", fontSize: 12, fontVariant: ["tabular-nums"] },
 
   iconBadge: { position: "absolute", top: 18, padding: 8, borderRadius: 999, backgroundColor: "rgba(0,0,0,0.22)", zIndex: 20, elevation: 20 },
   iconLeft: { left: 18 },
@@ -1617,7 +3476,11 @@ const styles = StyleSheet.create({
   h1: { color: "white", fontSize: 22, fontWeight: "800", marginBottom: 4 },
   subtle: { color: "#9aa", marginBottom: 16 },
   label: { color: "#d8d8da", marginTop: 12, marginBottom: 6, fontWeight: "600" },
+  sectionTitle: { color: "white", fontSize: 18, fontWeight: "800", marginBottom: 4 },
   input: { backgroundColor: "#151517", color: "white", borderRadius: 12, paddingHorizontal: 12, paddingVertical: Platform.OS === "ios" ? 12 : 10, borderWidth: 1, borderColor: "#222" },
+  settingRow: { flexDirection: "row", alignItems: "center", gap: 12, paddingVertical: 12 },
+  settingTitle: { color: "#fff", fontSize: 15, fontWeight: "600" },
+  settingHint: { color: "#aaa", fontSize: 12, marginTop: 2 },
   segmentWrap: { backgroundColor: "#151517", borderRadius: 12, flexDirection: "row", flexWrap: "wrap", gap: 6, padding: 6, borderWidth: 1, borderColor: "#222" },
   segment: { paddingHorizontal: 10, paddingVertical: 8, backgroundColor: "#1b1b1f", borderRadius: 10 },
   segmentOn: { backgroundColor: "#2e5cff" },
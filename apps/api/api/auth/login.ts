@@ -0,0 +1,30 @@
+// apps/api/api/auth/login.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { pool } from "../../lib/db";
+import { issueSession, publicUser, readCredentials, verifyPassword } from "../../lib/auth";
+
+/**
+ * POST /api/auth/login
+ * Body: {"username":"alex","password":"secret1"}
+ * 200: {"user": {...}, "tokens": {...}}
+ * 401: {"error":"invalid_credentials"} (unknown user and wrong password look the same)
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+  const creds = readCredentials(req.body);
+  if ("error" in creds) return res.status(400).json({ error: "bad_payload", detail: creds.error });
+
+  try {
+    const r = await pool.query(`select * from public.users where lower(username) = lower($1)`, [creds.username]);
+    const user = r.rows[0];
+    if (!user || !(await verifyPassword(creds.password, user.password_hash))) {
+      return res.status(401).json({ error: "invalid_credentials" });
+    }
+    const tokens = await issueSession(pool, user.id);
+    return res.status(200).json({ user: publicUser(user), tokens });
+  } catch (err: any) {
+    console.error("login error:", err?.message || err);
+    return res.status(500).json({ error: "login_failed" });
+  }
+}
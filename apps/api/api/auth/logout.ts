@@ -0,0 +1,23 @@
+// apps/api/api/auth/logout.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { bearerToken, revokeAccessToken } from "../../lib/auth";
+
+/**
+ * POST /api/auth/logout
+ * Header: Authorization: Bearer <access_token>
+ * 204 — the session (access + refresh token) is revoked. Idempotent.
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: "unauthorized" });
+
+  try {
+    await revokeAccessToken(token);
+    return res.status(204).end();
+  } catch (err: any) {
+    console.error("logout error:", err?.message || err);
+    return res.status(500).json({ error: "logout_failed" });
+  }
+}
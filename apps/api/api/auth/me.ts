@@ -0,0 +1,32 @@
+// apps/api/api/auth/me.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { pool } from "../../lib/db";
+import { getAuthUser, publicUser, readProfile } from "../../lib/auth";
+
+/**
+ * GET /api/auth/me  → {"user": {...}}
+ * PUT /api/auth/me  Body: {"profile": {"name","age","gender","email","favoriteGenreIds"}} → {"user": {...}}
+ * Header: Authorization: Bearer <access_token>
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "GET" && req.method !== "PUT") return res.status(405).json({ error: "method_not_allowed" });
+
+  try {
+    const user = await getAuthUser(req);
+    if (!user) return res.status(401).json({ error: "unauthorized" });
+    if (req.method === "GET") return res.status(200).json({ user: publicUser(user) });
+
+    const p = readProfile(req.body);
+    const r = await pool.query(
+      `update public.users
+       set name = $2, age = $3, gender = $4, email = $5, favorite_genre_ids = $6::jsonb, updated_at = now()
+       where id = $1
+       returning *`,
+      [user.id, p.name || user.username, p.age, p.gender, p.email, JSON.stringify(p.favorite_genre_ids)]
+    );
+    return res.status(200).json({ user: publicUser(r.rows[0]) });
+  } catch (err: any) {
+    console.error("me error:", err?.message || err);
+    return res.status(500).json({ error: "profile_failed" });
+  }
+}
@@ -0,0 +1,28 @@
+// apps/api/api/auth/refresh.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { withTransaction } from "../../lib/db";
+import { publicUser, rotateSession } from "../../lib/auth";
+
+/**
+ * POST /api/auth/refresh
+ * Body: {"refresh_token":"…"}
+ * 200: {"user": {...}, "tokens": {...}} — the old refresh token stops working.
+ * 401: refresh token unknown, revoked or expired (client must log in again)
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+  const refreshToken = req.body?.refresh_token;
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    return res.status(400).json({ error: "bad_payload", detail: "refresh_token: required string" });
+  }
+
+  try {
+    const out = await withTransaction((client) => rotateSession(client, refreshToken));
+    if (!out) return res.status(401).json({ error: "invalid_refresh_token" });
+    return res.status(200).json({ user: publicUser(out.user), tokens: out.tokens });
+  } catch (err: any) {
+    console.error("refresh error:", err?.message || err);
+    return res.status(500).json({ error: "refresh_failed" });
+  }
+}
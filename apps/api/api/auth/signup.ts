@@ -0,0 +1,39 @@
+// apps/api/api/auth/signup.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { withTransaction } from "../../lib/db";
+import { hashPassword, issueSession, publicUser, readCredentials, readProfile } from "../../lib/auth";
+
+/**
+ * POST /api/auth/signup
+ * Body: {"username":"alex","password":"secret1","profile":{"name":"Alex","age":36,"gender":"…","email":"…","favoriteGenreIds":[14,21]}}
+ * 201: {"user": {...}, "tokens": {"access_token","access_expires_at","refresh_token","refresh_expires_at"}}
+ * 409: username already taken
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+  const creds = readCredentials(req.body);
+  if ("error" in creds) return res.status(400).json({ error: "bad_payload", detail: creds.error });
+  const profile = readProfile(req.body);
+
+  try {
+    const passwordHash = await hashPassword(creds.password);
+    const out = await withTransaction(async (client) => {
+      const r = await client.query(
+        `insert into public.users (username, password_hash, name, age, gender, email, favorite_genre_ids)
+         values ($1, $2, $3, $4, $5, $6, $7::jsonb)
+         on conflict do nothing
+         returning *`,
+        [creds.username, passwordHash, profile.name || creds.username, profile.age, profile.gender, profile.email, JSON.stringify(profile.favorite_genre_ids)]
+      );
+      const user = r.rows[0];
+      if (!user) return null;
+      return { user: publicUser(user), tokens: await issueSession(client, user.id) };
+    });
+    if (!out) return res.status(409).json({ error: "username_taken" });
+    return res.status(201).json(out);
+  } catch (err: any) {
+    console.error("signup error:", err?.message || err);
+    return res.status(500).json({ error: "signup_failed" });
+  }
+}
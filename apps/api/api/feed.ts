@@ -0,0 +1,78 @@
+// apps/api/api/feed.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { pool } from "../lib/db";
+import { getAuthUser } from "../lib/auth";
+import { fetchGenreCandidates } from "../lib/catalog";
+import { buildAffinity, rankCandidates, RANKING_VERSION, SignalRow, PER_ARTIST_CAP, ARTIST_COOLDOWN } from "../lib/ranking";
+
+const HISTORY_DAYS = 90;
+const DEFAULT_LIMIT = 40;
+const MAX_LIMIT = 100;
+const MAX_GENRES = 8;
+const CANDIDATES_PER_GENRE = 60;
+const MAX_SPREAD = 10;
+
+/**
+ * GET /api/feed?session_id=uuid&genre_ids=14,21&limit=40&seed=123[&user_id=uuid][&per_artist_cap=2&artist_cooldown=3]
+ * Header (optional): Authorization: Bearer <access_token> — required when user_id is passed
+ * per_artist_cap / artist_cooldown carry the session's experiment variant (defaults 2 / 3).
+ *
+ * Scores catalog candidates for the requested genres by the caller's artist/genre affinity
+ * (from public.events, this session plus the account's history) and returns a ranked page:
+ * 200: {"feed_version":"rank-v1.3f9a","tracks":[{id,title,artist,album,artwork,previewUrl,storeUrl,genreName,score}]}
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+  const sessionId = typeof req.query.session_id === "string" ? req.query.session_id : "";
+  if (!sessionId) return res.status(400).json({ error: "bad_request", detail: "session_id: required" });
+
+  const genreIds = String(req.query.genre_ids || "")
+    .split(",")
+    .map(Number)
+    .filter((n) => Number.isInteger(n) && n >= 0)
+    .slice(0, MAX_GENRES);
+  if (!genreIds.length) return res.status(400).json({ error: "bad_request", detail: "genre_ids: at least one numeric id" });
+
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(req.query.limit) || DEFAULT_LIMIT));
+  const seed = (Number(req.query.seed) >>> 0) || ((Date.now() ^ Math.floor(Math.random() * 1e9)) >>> 0);
+  const spreadParam = (name: string, min: number, fallback: number) => {
+    const n = Number(req.query[name]);
+    return Number.isInteger(n) ? Math.min(MAX_SPREAD, Math.max(min, n)) : fallback;
+  };
+  const spread = {
+    perArtistCap: spreadParam("per_artist_cap", 1, PER_ARTIST_CAP),
+    artistCooldown: spreadParam("artist_cooldown", 0, ARTIST_COOLDOWN),
+  };
+
+  try {
+    // Account history is only read for the signed-in caller
+    const user = await getAuthUser(req);
+    const requestedUser = typeof req.query.user_id === "string" ? req.query.user_id : null;
+    if (requestedUser && requestedUser !== user?.id) return res.status(403).json({ error: "forbidden" });
+    const userId = user?.id ?? null;
+
+    const [signals, ...buckets] = await Promise.all([
+      pool.query(
+        `select type, track_id, payload->>'artist' as artist, payload->>'genre' as genre,
+                count(*)::int as n, coalesce(sum((payload->>'ms_played_chunk')::bigint), 0)::float8 as ms
+         from public.events
+         where (session_id = $1 or ($2::uuid is not null and user_id = $2::uuid))
+           and ts > $3
+           and type in ('like', 'dislike', 'play_progress', 'impression')
+         group by 1, 2, 3, 4`,
+        [sessionId, userId, Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000]
+      ),
+      ...genreIds.map((id, i) => fetchGenreCandidates(id, (seed ^ id ^ (i * 2654435761)) >>> 0, CANDIDATES_PER_GENRE)),
+    ]);
+
+    const candidates = buckets.flat();
+    if (!candidates.length) return res.status(502).json({ error: "catalog_unavailable" });
+
+    const tracks = rankCandidates(candidates, buildAffinity(signals.rows as SignalRow[]), seed, limit, spread);
+    return res.status(200).json({ feed_version: `${RANKING_VERSION}.${seed.toString(36)}`, tracks });
+  } catch (err: any) {
+    console.error("feed error:", err?.message || err);
+    return res.status(500).json({ error: "feed_failed" });
+  }
+}
@@ -0,0 +1,90 @@
+// apps/api/api/library/sync.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { withTransaction } from "../../lib/db";
+import { getAuthUser } from "../../lib/auth";
+import { LibraryChange, MAX_CHANGES, mergeChanges, readChange, rowToEntry } from "../../lib/library";
+
+const PULL_LIMIT = 1000;
+
+/**
+ * POST /api/library/sync — push local changes and pull remote ones in one round trip.
+ * Header: Authorization: Bearer <access_token>
+ * Body:
+ * {
+ *   "since": 0,   // cursor from the previous response (0 / null on first sync)
+ *   "changes": [
+ *     {"track_key":"123","liked":true,"disliked":false,"updated_at":1734032240000,"liked_at":1734032240000,"track":{...}},
+ *     {"track_key":"456","liked":false,"disliked":true,"updated_at":1734032241000},
+ *     {"track_key":"789","played_at":1734032242000},         // cooldown-only
+ *     {"track_key":"123","liked_at":null,"reset_liked_at":true} // undone like: replaces liked_at
+ *   ]
+ * }
+ * 200: {"entries": [...changed since `since`, merged server state...], "cursor": 42, "more": false}
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+  const since = Number(req.body?.since) || 0;
+  const rawChanges = req.body?.changes ?? [];
+  if (!Array.isArray(rawChanges)) return res.status(400).json({ error: "bad_payload", detail: "changes: expected array" });
+  if (rawChanges.length > MAX_CHANGES) {
+    return res.status(413).json({ error: "too_many_changes", detail: `at most ${MAX_CHANGES} changes per request` });
+  }
+
+  const byKey = new Map<string, LibraryChange>();
+  const errors: string[] = [];
+  rawChanges.forEach((raw: unknown, i: number) => {
+    const r = readChange(raw, i);
+    if ("error" in r) return void errors.push(r.error);
+    const prev = byKey.get(r.change.track_key);
+    byKey.set(r.change.track_key, prev ? mergeChanges(prev, r.change) : r.change);
+  });
+  if (errors.length) return res.status(400).json({ error: "invalid_changes", errors });
+
+  try {
+    const user = await getAuthUser(req);
+    if (!user) return res.status(401).json({ error: "unauthorized" });
+
+    const rows = await withTransaction(async (client) => {
+      if (byKey.size) {
+        await client.query(
+          `insert into public.library_entries as le (user_id, track_key, liked, disliked, track, updated_at, liked_at, played_at)
+           select $1, c.track_key, coalesce(c.liked, false), coalesce(c.disliked, false), c.track, c.updated_at, c.liked_at, c.played_at
+           from jsonb_to_recordset($2::jsonb)
+             as c(track_key text, liked boolean, disliked boolean, track jsonb, updated_at bigint, liked_at bigint, played_at bigint)
+           on conflict (user_id, track_key) do update set
+             liked      = case when excluded.updated_at > le.updated_at then excluded.liked else le.liked end,
+             disliked   = case when excluded.updated_at > le.updated_at then excluded.disliked else le.disliked end,
+             track      = case when excluded.updated_at > le.updated_at then coalesce(excluded.track, le.track)
+                               else coalesce(le.track, excluded.track) end,
+             updated_at = greatest(le.updated_at, excluded.updated_at),
+             liked_at   = greatest(le.liked_at, excluded.liked_at),
+             played_at  = greatest(le.played_at, excluded.played_at),
+             rev        = nextval('public.library_rev_seq')`,
+          [user.id, JSON.stringify(Array.from(byKey.values()))]
+        );
+        // Undone likes: their liked_at replaces the stored one instead of merging with greatest()
+        const resets = Array.from(byKey.values()).filter((c) => c.reset_liked_at);
+        if (resets.length) {
+          await client.query(
+            `update public.library_entries as le set liked_at = c.liked_at, rev = nextval('public.library_rev_seq')
+             from jsonb_to_recordset($2::jsonb) as c(track_key text, liked_at bigint)
+             where le.user_id = $1 and le.track_key = c.track_key`,
+            [user.id, JSON.stringify(resets)]
+          );
+        }
+      }
+      const r = await client.query(
+        `select * from public.library_entries where user_id = $1 and rev > $2 order by rev limit $3`,
+        [user.id, since, PULL_LIMIT]
+      );
+      return r.rows;
+    });
+
+    const cursor = rows.length ? Number(rows[rows.length - 1].rev) : since;
+    return res.status(200).json({ entries: rows.map(rowToEntry), cursor, more: rows.length === PULL_LIMIT });
+  } catch (err: any) {
+    console.error("library sync error:", err?.message || err);
+    return res.status(500).json({ error: "sync_failed" });
+  }
+}
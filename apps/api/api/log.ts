@@ -1,59 +1,98 @@
 // apps/api/api/log.ts
 import type { VercelRequest, VercelResponse } from "@vercel/node";
-import { sql } from "../lib/db";
+import { withTransaction } from "../lib/db";
+import { validateEvent, ValidEvent, EventError } from "../lib/events";
+
+const MAX_EVENTS = 500;
+const INSERT_CHUNK = 250; // rows per INSERT statement (keeps us far below pg's bind limit)
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i; // events.user_id is a uuid column
 
 /**
- * POST /api/log
+ * POST /api/log — the single ingest endpoint for client telemetry.
  * Body:
  * {
  *   "session_id": "uuid",
  *   "user_id": "optional-uuid-or-null",
- *   "device": {"os":"android","app_version":"1.7.2"},
+ *   "device": {"os":"android","os_version":"34","app_version":"1.7.2"},
  *   "events": [
- *     {"type":"impression","ts":1734032234123,"track_id":"t_123","position":1,"feed_version":"abc","surface":"discovery"},
- *     {"type":"play_start","ts":1734032235220,"track_id":"t_123","ms_position":0},
- *     {"type":"play_progress","ts":1734032239220,"track_id":"t_123","ms_played_chunk":1800},
- *     {"type":"like","ts":1734032240000,"track_id":"t_123"}
+ *     {"event_id":"e1","type":"impression","ts":1734032234123,"track_id":"t_123","position":1,"feed_version":"abc","surface":"discovery"},
+ *     {"event_id":"e2","type":"play_start","ts":1734032235220,"track_id":"t_123","ms_position":0},
+ *     {"event_id":"e3","type":"play_progress","ts":1734032239220,"track_id":"t_123","ms_played_chunk":1800},
+ *     {"event_id":"e4","type":"like","ts":1734032240000,"track_id":"t_123","source":"swipe"},
+ *     {"event_id":"e5","type":"dislike","ts":1734032241000,"track_id":"t_124","source":"button"},
+ *     {"event_id":"e6","type":"share","ts":1734032242000,"track_id":"t_123"},
+ *     {"event_id":"e7","type":"open_in","ts":1734032243000,"track_id":"t_123","service":"spotify"}
  *   ]
  * }
+ *
+ * event_id is chosen by the client; re-sending a batch is safe (duplicates are ignored).
+ * Response 200: {"inserted": n, "duplicates": n, "rejected": [{index, event_id, type, errors[]}]}
+ * Response 400 when the envelope is malformed or no event passes validation.
  */
 export default async function handler(req: VercelRequest, res: VercelResponse) {
-  if (req.method !== "POST") return res.status(405).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
 
-  // Optional shared key to prevent random writes
-  const wantAuth = !!process.env.INGEST_KEY;
-  const okAuth = !wantAuth || req.headers["x-ingest-key"] === process.env.INGEST_KEY;
-  if (!okAuth) return res.status(401).json({ error: "unauthorized" });
+  // Optional shared key to prevent random writes (header or Bearer token)
+  const key = process.env.INGEST_KEY;
+  const presented = req.headers["x-ingest-key"] || String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  if (key && presented !== key) return res.status(401).json({ error: "unauthorized" });
 
-  const { session_id, user_id = null, device = {}, events = [] } = req.body || {};
-  if (!session_id || !Array.isArray(events)) {
-    return res.status(400).json({ error: "bad payload" });
+  const body = req.body;
+  if (Array.isArray(body)) {
+    return res.status(400).json({
+      error: "bad_payload",
+      detail: "expected an envelope {session_id, user_id?, device?, events: [...]}, got a bare array",
+    });
+  }
+  const { session_id, user_id = null, device = null, events } = body || {};
+  if (typeof session_id !== "string" || !session_id) {
+    return res.status(400).json({ error: "bad_payload", detail: "session_id: required string" });
+  }
+  if (user_id !== null && (typeof user_id !== "string" || !UUID.test(user_id))) {
+    return res.status(400).json({ error: "bad_payload", detail: "user_id: uuid string or null" });
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    return res.status(400).json({ error: "bad_payload", detail: "events: required non-empty array" });
+  }
+  if (events.length > MAX_EVENTS) {
+    return res.status(413).json({ error: "too_many_events", detail: `at most ${MAX_EVENTS} events per request` });
   }
 
-  // Normalize & validate a bit
-  const rows = events
-    .filter((e: any) => e && e.type && e.ts)
-    .map((e: any) => ({
-      user_id,
-      session_id,
-      type: String(e.type),
-      track_id: e.track_id ? String(e.track_id) : null,
-      ts: Number(e.ts),
-      payload: e, // keep original event JSON
-    }));
+  const valid: ValidEvent[] = [];
+  const rejected: EventError[] = [];
+  const seen = new Set<string>();
+  events.forEach((raw: unknown, i: number) => {
+    const r = validateEvent(raw, i);
+    if ("error" in r) return void rejected.push(r.error);
+    if (seen.has(r.event.event_id)) return; // duplicated within the same batch
+    seen.add(r.event.event_id);
+    valid.push(r.event);
+  });
 
-  if (!rows.length) return res.status(400).json({ error: "no valid events" });
+  if (!valid.length) return res.status(400).json({ error: "no_valid_events", rejected });
 
   try {
-    await sql.begin(async (t) => {
-      for (const r of rows) {
-        await t`
-          insert into public.events (user_id, session_id, type, track_id, ts, payload)
-          values (${r.user_id}, ${r.session_id}, ${r.type}, ${r.track_id}, ${r.ts}, ${t.json(r.payload)})
-        `;
+    const inserted = await withTransaction(async (client) => {
+      let count = 0;
+      for (let start = 0; start < valid.length; start += INSERT_CHUNK) {
+        const chunk = valid.slice(start, start + INSERT_CHUNK);
+        const params: unknown[] = [];
+        const tuples = chunk.map((e) => {
+          const b = params.length;
+          params.push(e.event_id, user_id, session_id, e.type, e.track_id, e.ts, JSON.stringify(e.payload), device ? JSON.stringify(device) : null);
+          return `($${b + 1}, $${b + 2}, $${b + 3}, $${b + 4}, $${b + 5}, $${b + 6}, $${b + 7}::jsonb, $${b + 8}::jsonb)`;
+        });
+        const r = await client.query(
+          `insert into public.events (event_id, user_id, session_id, type, track_id, ts, payload, device)
+           values ${tuples.join(", ")}
+           on conflict (event_id) do nothing`,
+          params
+        );
+        count += r.rowCount || 0;
       }
+      return count;
     });
-    return res.status(204).end(); // success, no body
+    return res.status(200).json({ inserted, duplicates: valid.length - inserted, rejected });
   } catch (err: any) {
     console.error("log insert error:", err?.message || err);
     return res.status(500).json({ error: "insert_failed" });
@@ -0,0 +1,53 @@
+// apps/api/api/stats/breakdown.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { pool } from "../../lib/db";
+import {
+  checkStatsKey, readRange, readPage, nextCursor, metricsFromRow, DIMENSIONS, Dimension, EXPOSURES_CTE, EXPOSURE_METRICS, SKIP_MS,
+} from "../../lib/stats";
+
+/**
+ * GET /api/stats/breakdown?by=track|artist|genre|surface|feed_version&from=2025-01-01&to=2025-01-31&limit=50&cursor=...
+ * Header: Authorization: Bearer <STATS_KEY>  (or x-stats-key)
+ *
+ * One row per exposure (session × track) in [from, to), grouped by `by`:
+ *   like_rate  = exposures with a like / exposures
+ *   skip_rate  = played exposures with < 10s listened / played exposures
+ *   avg_ms_played = mean listening time of played exposures
+ * 200: {"by","from","to","total","items":[{key,exposures,impressions,plays,likes,dislikes,like_rate,skip_rate,avg_ms_played}],"next_cursor"}
+ * Items are ordered by exposures (desc); pass next_cursor back as `cursor` for the next page.
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+  const auth = checkStatsKey(req);
+  if (auth === "disabled") return res.status(503).json({ error: "stats_disabled" });
+  if (auth === "unauthorized") return res.status(401).json({ error: "unauthorized" });
+
+  const by = String(req.query.by || "") as Dimension;
+  if (!(by in DIMENSIONS)) {
+    return res.status(400).json({ error: "bad_request", detail: `by: expected one of ${Object.keys(DIMENSIONS).join(", ")}` });
+  }
+  const range = readRange(req.query);
+  if ("error" in range) return res.status(400).json({ error: "bad_request", detail: range.error });
+  const { limit, offset } = readPage(req.query);
+
+  try {
+    const r = await pool.query(
+      `with ${EXPOSURES_CTE}
+       select ${DIMENSIONS[by]} as key, ${EXPOSURE_METRICS}, count(*) over ()::int as total
+       from exposures
+       where ${DIMENSIONS[by]} is not null
+       group by 1
+       order by exposures desc, key
+       limit $4 offset $5`,
+      [range.from, range.to, SKIP_MS, limit, offset]
+    );
+
+    const total = r.rows[0]?.total ?? 0;
+    const items = r.rows.map((row) => ({ key: row.key, ...metricsFromRow(row) }));
+    return res.status(200).json({ by, from: range.from, to: range.to, total, items, next_cursor: nextCursor(offset, items.length, total) });
+  } catch (err: any) {
+    console.error("stats breakdown error:", err?.message || err);
+    return res.status(500).json({ error: "stats_failed" });
+  }
+}
@@ -0,0 +1,50 @@
+// apps/api/api/stats/experiments.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { pool } from "../../lib/db";
+import { checkStatsKey, readRange, metricsFromRow, EXPOSURES_CTE, EXPOSURE_METRICS, SKIP_MS } from "../../lib/stats";
+
+const EXPERIMENT_ID = /^[a-z0-9_]{1,64}$/;
+
+/**
+ * GET /api/stats/experiments?experiment=feed_tuning_v1&from=2025-01-01&to=2025-01-31
+ * Header: Authorization: Bearer <STATS_KEY>  (or x-stats-key)
+ *
+ * The app tags feed_version with its assignments ("rank-v1.3f9a|feed_tuning_v1=strict");
+ * exposures (session × track) are grouped by the variant found there. Same metrics as
+ * /api/stats/breakdown; exposures whose feed_version carries no tag for the experiment are left out.
+ * 200: {"experiment","from","to","variants":[{variant,sessions,exposures,...,like_rate,skip_rate,avg_ms_played}]}
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+  const auth = checkStatsKey(req);
+  if (auth === "disabled") return res.status(503).json({ error: "stats_disabled" });
+  if (auth === "unauthorized") return res.status(401).json({ error: "unauthorized" });
+
+  const experiment = String(req.query.experiment || "");
+  if (!EXPERIMENT_ID.test(experiment)) {
+    return res.status(400).json({ error: "bad_request", detail: "experiment: required id (a-z, 0-9, _)" });
+  }
+  const range = readRange(req.query);
+  if ("error" in range) return res.status(400).json({ error: "bad_request", detail: range.error });
+
+  try {
+    const r = await pool.query(
+      `with ${EXPOSURES_CTE},
+       tagged as (
+         select *, substring(feed_version from $4) as variant from exposures
+       )
+       select variant, count(distinct session_id)::int as sessions, ${EXPOSURE_METRICS}
+       from tagged
+       where variant is not null
+       group by variant
+       order by variant`,
+      [range.from, range.to, SKIP_MS, `(?:^|\\|)${experiment}=([A-Za-z0-9_-]+)`]
+    );
+    const variants = r.rows.map((row) => ({ variant: row.variant, sessions: row.sessions, ...metricsFromRow(row) }));
+    return res.status(200).json({ experiment, from: range.from, to: range.to, variants });
+  } catch (err: any) {
+    console.error("stats experiments error:", err?.message || err);
+    return res.status(500).json({ error: "stats_failed" });
+  }
+}
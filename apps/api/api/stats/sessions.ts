@@ -0,0 +1,47 @@
+// apps/api/api/stats/sessions.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { pool } from "../../lib/db";
+import { checkStatsKey, readRange, readPage, nextCursor } from "../../lib/stats";
+
+/**
+ * GET /api/stats/sessions?from=2025-01-01&to=2025-01-31&limit=50&cursor=...
+ * Header: Authorization: Bearer <STATS_KEY>  (or x-stats-key)
+ *
+ * Daily active sessions (UTC days, by event ts) in [from, to):
+ * 200: {"from","to","total","items":[{"day":"2025-01-01","sessions":n,"users":n,"events":n}],"next_cursor"}
+ * Days without any event are omitted; items are ordered by day (ascending).
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+  const auth = checkStatsKey(req);
+  if (auth === "disabled") return res.status(503).json({ error: "stats_disabled" });
+  if (auth === "unauthorized") return res.status(401).json({ error: "unauthorized" });
+
+  const range = readRange(req.query);
+  if ("error" in range) return res.status(400).json({ error: "bad_request", detail: range.error });
+  const { limit, offset } = readPage(req.query);
+
+  try {
+    const r = await pool.query(
+      `select to_char(to_timestamp(ts / 1000.0) at time zone 'UTC', 'YYYY-MM-DD') as day,
+              count(distinct session_id)::int as sessions,
+              count(distinct user_id)::int as users,
+              count(*)::int as events,
+              count(*) over ()::int as total
+       from public.events
+       where ts >= $1 and ts < $2
+       group by 1
+       order by 1
+       limit $3 offset $4`,
+      [range.from, range.to, limit, offset]
+    );
+
+    const total = r.rows[0]?.total ?? 0;
+    const items = r.rows.map(({ day, sessions, users, events }) => ({ day, sessions, users, events }));
+    return res.status(200).json({ from: range.from, to: range.to, total, items, next_cursor: nextCursor(offset, items.length, total) });
+  } catch (err: any) {
+    console.error("stats sessions error:", err?.message || err);
+    return res.status(500).json({ error: "stats_failed" });
+  }
+}
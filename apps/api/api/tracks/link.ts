@@ -0,0 +1,32 @@
+// apps/api/api/tracks/link.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { lookupTrack, TRACK_ID_PATTERN } from "../../lib/catalog";
+import { signTrackId } from "../../lib/links";
+
+const LINK_BASE = process.env.TRACK_LINK_BASE || "https://tuneflip.app/track";
+
+/**
+ * POST /api/tracks/link
+ * Body: {"id":"1440857781"}
+ *
+ * Issues a short share link for a track that exists in the catalog. The signature is only
+ * added when LINK_SECRET is configured; the app falls back to an unsigned link when offline.
+ * 200: {"id","sig","url":"https://tuneflip.app/track/1440857781?s=Ab3..."}
+ * 400 bad_request · 404 track_not_found
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+  const id = String(req.body?.id ?? "");
+  if (!TRACK_ID_PATTERN.test(id)) return res.status(400).json({ error: "bad_request", detail: "id: expected an iTunes or dz: track id" });
+
+  try {
+    if (!(await lookupTrack(id))) return res.status(404).json({ error: "track_not_found" });
+    const sig = signTrackId(id);
+    const url = `${LINK_BASE}/${encodeURIComponent(id)}${sig ? `?s=${sig}` : ""}`;
+    return res.status(200).json({ id, sig, url });
+  } catch (err: any) {
+    console.error("track link error:", err?.message || err);
+    return res.status(500).json({ error: "link_failed" });
+  }
+}
@@ -0,0 +1,31 @@
+// apps/api/api/tracks/lookup.ts
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { lookupTrack, TRACK_ID_PATTERN } from "../../lib/catalog";
+import { checkTrackSig } from "../../lib/links";
+
+/**
+ * GET /api/tracks/lookup?id=1440857781[&sig=Ab3...]
+ *
+ * Resolves a shared track link to canonical catalog metadata; the link itself only carries the id.
+ * When `sig` is present it must match the id (see lib/links.ts), so tampered links are refused.
+ * 200: {"track":{id,title,artist,album,artwork,previewUrl,storeUrl,genreName}}
+ * 400 bad_request · 403 bad_signature · 404 track_not_found · 500 lookup_failed (catalog unreachable)
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+  const id = typeof req.query.id === "string" ? req.query.id : "";
+  if (!TRACK_ID_PATTERN.test(id)) return res.status(400).json({ error: "bad_request", detail: "id: expected an iTunes or dz: track id" });
+  const sig = typeof req.query.sig === "string" && req.query.sig ? req.query.sig : null;
+  if (checkTrackSig(id, sig) === "bad") return res.status(403).json({ error: "bad_signature" });
+
+  try {
+    const track = await lookupTrack(id);
+    if (!track || !track.title) return res.status(404).json({ error: "track_not_found" });
+    res.setHeader("Cache-Control", "public, max-age=3600, s-maxage=86400");
+    return res.status(200).json({ track });
+  } catch (err: any) {
+    console.error("track lookup error:", err?.message || err);
+    return res.status(500).json({ error: "lookup_failed" });
+  }
+}
@@ -0,0 +1,143 @@
+// apps/api/lib/auth.ts
+// Password hashing (scrypt, per-user salt) and opaque expiring tokens.
+// Tokens are random bytes handed to the client; only their SHA-256 is stored.
+
+import { createHash, randomBytes, scrypt, timingSafeEqual } from "crypto";
+import type { VercelRequest } from "@vercel/node";
+import type { PoolClient } from "pg";
+import { pool } from "./db";
+
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LEN = 64;
+
+export const ACCESS_TTL_MS = 24 * 60 * 60 * 1000;        // 1 day
+export const REFRESH_TTL_MS = 60 * 24 * 60 * 60 * 1000;  // 60 days
+
+export type UserRow = {
+  id: string;
+  username: string;
+  password_hash: string;
+  name: string | null;
+  age: number | null;
+  gender: string | null;
+  email: string | null;
+  favorite_genre_ids: number[];
+  created_at: Date;
+  updated_at: Date;
+};
+
+export type PublicUser = Omit<UserRow, "password_hash">;
+
+export type SessionTokens = {
+  access_token: string;
+  access_expires_at: number;
+  refresh_token: string;
+  refresh_expires_at: number;
+};
+
+const scryptAsync = (password: string, salt: Buffer, keyLen: number, N: number, r: number, p: number) =>
+  new Promise<Buffer>((resolve, reject) =>
+    scrypt(password, salt, keyLen, { N, r, p, maxmem: 64 * 1024 * 1024 }, (err, key) => (err ? reject(err) : resolve(key)))
+  );
+
+export async function hashPassword(password: string): Promise<string> {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(password, salt, KEY_LEN, SCRYPT_N, SCRYPT_R, SCRYPT_P);
+  return ["scrypt", SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [algo, n, r, p, saltB64, keyB64] = String(stored || "").split("$");
+  if (algo !== "scrypt" || !saltB64 || !keyB64) return false;
+  const expected = Buffer.from(keyB64, "base64");
+  const actual = await scryptAsync(password, Buffer.from(saltB64, "base64"), expected.length, Number(n), Number(r), Number(p));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+const sha256 = (s: string) => createHash("sha256").update(s).digest("hex");
+const newToken = () => randomBytes(32).toString("base64url");
+
+export function publicUser(row: UserRow): PublicUser {
+  const out: Partial<UserRow> = { ...row };
+  delete out.password_hash;
+  return out as PublicUser;
+}
+
+// Create a fresh access/refresh pair for `userId`
+export async function issueSession(db: Pick<PoolClient, "query">, userId: string): Promise<SessionTokens> {
+  const now = Date.now();
+  const tokens: SessionTokens = {
+    access_token: newToken(),
+    access_expires_at: now + ACCESS_TTL_MS,
+    refresh_token: newToken(),
+    refresh_expires_at: now + REFRESH_TTL_MS,
+  };
+  await db.query(
+    `insert into public.auth_sessions (user_id, access_hash, access_expires_at, refresh_hash, refresh_expires_at)
+     values ($1, $2, to_timestamp($3 / 1000.0), $4, to_timestamp($5 / 1000.0))`,
+    [userId, sha256(tokens.access_token), tokens.access_expires_at, sha256(tokens.refresh_token), tokens.refresh_expires_at]
+  );
+  return tokens;
+}
+
+// Revoke the session behind `refreshToken` and hand out a new pair (rotation)
+export async function rotateSession(db: Pick<PoolClient, "query">, refreshToken: string): Promise<{ user: UserRow; tokens: SessionTokens } | null> {
+  const r = await db.query(
+    `update public.auth_sessions set revoked_at = now()
+     where refresh_hash = $1 and revoked_at is null and refresh_expires_at > now()
+     returning user_id`,
+    [sha256(refreshToken)]
+  );
+  const userId = r.rows[0]?.user_id;
+  if (!userId) return null;
+  const u = await db.query(`select * from public.users where id = $1`, [userId]);
+  if (!u.rows[0]) return null;
+  return { user: u.rows[0], tokens: await issueSession(db, userId) };
+}
+
+export async function revokeAccessToken(accessToken: string): Promise<void> {
+  await pool.query(`update public.auth_sessions set revoked_at = now() where access_hash = $1 and revoked_at is null`, [sha256(accessToken)]);
+}
+
+export function bearerToken(req: VercelRequest): string | null {
+  const m = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ""));
+  return m ? m[1].trim() : null;
+}
+
+// Resolve the signed-in user from `Authorization: Bearer <access_token>`, or null
+export async function getAuthUser(req: VercelRequest): Promise<UserRow | null> {
+  const token = bearerToken(req);
+  if (!token) return null;
+  const r = await pool.query(
+    `select u.* from public.auth_sessions s
+     join public.users u on u.id = s.user_id
+     where s.access_hash = $1 and s.revoked_at is null and s.access_expires_at > now()`,
+    [sha256(token)]
+  );
+  return r.rows[0] || null;
+}
+
+// Profile fields a client may set on signup or PUT /api/auth/me
+export function readProfile(body: any) {
+  const p = body?.profile && typeof body.profile === "object" ? body.profile : {};
+  const age = Number(p.age);
+  return {
+    name: typeof p.name === "string" ? p.name.trim().slice(0, 120) : null,
+    age: Number.isInteger(age) && age > 0 && age < 150 ? age : null,
+    gender: typeof p.gender === "string" ? p.gender.slice(0, 40) : null,
+    email: typeof p.email === "string" && /^\S+@\S+\.\S+$/.test(p.email.trim()) ? p.email.trim() : null,
+    favorite_genre_ids: Array.isArray(p.favoriteGenreIds)
+      ? p.favoriteGenreIds.map(Number).filter((n: number) => Number.isInteger(n)).slice(0, 64)
+      : [],
+  };
+}
+
+export function readCredentials(body: any): { username: string; password: string } | { error: string } {
+  const username = typeof body?.username === "string" ? body.username.trim() : "";
+  const password = typeof body?.password === "string" ? body.password : "";
+  if (!username || username.length > 64) return { error: "username: required, at most 64 chars" };
+  if (password.length < 6 || password.length > 256) return { error: "password: 6 to 256 chars" };
+  return { username, password };
+}
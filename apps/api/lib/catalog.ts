@@ -0,0 +1,116 @@
+// apps/api/lib/catalog.ts
+// Candidate tracks for server-side ranking, pulled from the same iTunes proxy the app uses.
+
+const CATALOG_BASE = process.env.CATALOG_BASE || "https://tuneflip-spotify-proxy.vercel.app";
+const FETCH_TIMEOUT_MS = 6000;
+
+export type CatalogTrack = {
+  id: string | number; // iTunes ids stay numeric so the app's trackKey() matches its own fetches
+  title: string;
+  artist: string;
+  album: string;
+  artwork: string;
+  previewUrl: string;
+  storeUrl: string;
+  genreName: string;
+  artistId?: number; // lets the app open artist / album screens without another lookup
+  albumId?: number;
+  explicit?: boolean; // "E" badge / family mode in the app; absent when the catalog doesn't say
+};
+
+function explicitOf(t: any): boolean | undefined {
+  if (typeof t.explicit === "boolean") return t.explicit;
+  if (t.trackExplicitness) return t.trackExplicitness === "explicit";
+  if (t.contentAdvisoryRating) return /explicit/i.test(t.contentAdvisoryRating);
+  return undefined;
+}
+
+export function normalizeCatalogTrack(t: any): CatalogTrack {
+  const title = t.title ?? t.trackName ?? t.name ?? "";
+  const artist = t.artist ?? t.artistName ?? "";
+  const album = t.album ?? t.collectionName ?? "";
+  return {
+    id: t.trackId ?? t.id ?? `${artist}-${title}-${album}`,
+    title,
+    artist,
+    album,
+    artwork: t.artworkUrl100 || t.albumArtUrl || t.artwork || "",
+    previewUrl: t.previewUrl || "",
+    storeUrl: t.storeUrl || t.trackViewUrl || t.collectionViewUrl || t.url || "",
+    genreName: t.primaryGenreName || t.genre || t.primaryGenre || t.genreName || "",
+    artistId: t.artistId ?? undefined,
+    albumId: t.albumId ?? t.collectionId ?? undefined,
+    explicit: explicitOf(t),
+  };
+}
+
+const listOf = (data: any): any[] =>
+  Array.isArray(data?.results) ? data.results : Array.isArray(data?.items) ? data.items : Array.isArray(data) ? data : [];
+
+export async function fetchGenreCandidates(genreId: number, seed: number, limit: number): Promise<CatalogTrack[]> {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const url = `${CATALOG_BASE}/api/itunes-search?genreId=${genreId}&limit=${limit}&seed=${seed}`;
+    const res = await fetch(url, { signal: ctrl.signal });
+    if (!res.ok) return [];
+    return listOf(await res.json())
+      .map(normalizeCatalogTrack)
+      .filter((t) => t.title && t.artist);
+  } catch {
+    return [];
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// null when the catalog answered with an error status; throws when it could not be reached
+async function getJson(url: string): Promise<any> {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: ctrl.signal });
+    return res.ok ? await res.json() : null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Track ids the app can hold: iTunes (numeric) and Deezer ("dz:<n>")
+export const TRACK_ID_PATTERN = /^(?:\d{1,20}|dz:\d{1,20})$/;
+
+// Canonical metadata for one track id, straight from the catalog (null when unknown; throws
+// when no catalog endpoint could be reached, so an outage is not reported as a missing song)
+export async function lookupTrack(id: string): Promise<CatalogTrack | null> {
+  if (!TRACK_ID_PATTERN.test(id)) return null;
+
+  if (id.startsWith("dz:")) {
+    const t = await getJson(`https://api.deezer.com/track/${id.slice(3)}`);
+    if (!t?.id || t.error) return null;
+    return {
+      id,
+      title: t.title || "",
+      artist: t.artist?.name || "",
+      album: t.album?.title || "",
+      artwork: t.album?.cover_big || "",
+      previewUrl: t.preview || "",
+      storeUrl: t.link || "",
+      genreName: "",
+      explicit: typeof t.explicit_lyrics === "boolean" ? t.explicit_lyrics : undefined,
+    };
+  }
+
+  let lastError: unknown = null, answered = false;
+  for (const url of [`${CATALOG_BASE}/api/itunes-lookup?id=${id}&entity=song`, `https://itunes.apple.com/lookup?id=${id}&entity=song`]) {
+    try {
+      const data = await getJson(url);
+      if (data) answered = true;
+      const hit = listOf(data).find((x) => String(x?.trackId) === id);
+      if (hit) return normalizeCatalogTrack(hit);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  if (!answered) throw lastError || new Error("catalog_unavailable");
+  return null;
+}
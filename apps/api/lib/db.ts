@@ -1,4 +1,4 @@
-import { Pool } from 'pg';
+import { Pool, PoolClient } from 'pg';
 
 const connectionString = process.env.DATABASE_URL;
 
@@ -10,3 +10,19 @@ export const pool = new Pool({
   connectionString,
   ssl: { rejectUnauthorized: false },
 });
+
+// Run `fn` inside BEGIN/COMMIT on a dedicated client; rolls back on any throw.
+export async function withTransaction<T>(fn: (client: PoolClient) => Promise<T>): Promise<T> {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,101 @@
+// apps/api/lib/events.ts
+// Per-type schemas for client telemetry events and a validator that reports
+// every problem with every event (not just the first one).
+
+export const EVENT_TYPES = [
+  "impression",
+  "play_start",
+  "play_progress",
+  "like",
+  "dislike",
+  "share",
+  "open_in",
+] as const;
+export type EventType = (typeof EVENT_TYPES)[number];
+
+type FieldSpec =
+  | { kind: "string"; required?: boolean; maxLength?: number; oneOf?: readonly string[] }
+  | { kind: "integer"; required?: boolean; min?: number; max?: number };
+
+const str = (maxLength = 128, required = false): FieldSpec => ({ kind: "string", required, maxLength });
+const int = (min: number, max: number, required = false): FieldSpec => ({ kind: "integer", required, min, max });
+
+const OPINION_SOURCES = ["swipe", "button"] as const;
+const OPEN_IN_SERVICES = ["itunes", "spotify", "ytmusic", "youtube", "deezer"] as const;
+const PRELOAD_OUTCOMES = ["hit", "miss"] as const;
+
+// Fields every event carries
+const COMMON: Record<string, FieldSpec> = {
+  event_id: { kind: "string", required: true, maxLength: 64 },
+  ts: int(0, Number.MAX_SAFE_INTEGER, true),
+  track_id: str(256, true),
+  feed_version: str(),
+  artist: str(256),   // lets /api/feed learn artist & genre affinity
+  genre: str(128),
+};
+
+export const EVENT_SCHEMAS: Record<EventType, Record<string, FieldSpec>> = {
+  impression: { position: int(0, 100000, true), surface: str(64) },
+  play_start: { ms_position: int(0, 3600000), preload: { kind: "string", oneOf: PRELOAD_OUTCOMES } },
+  play_progress: { ms_played_chunk: int(1, 3600000, true) },
+  like: { source: { kind: "string", oneOf: OPINION_SOURCES } },
+  dislike: { source: { kind: "string", oneOf: OPINION_SOURCES } },
+  share: { channel: str(64) },
+  open_in: { service: { kind: "string", required: true, oneOf: OPEN_IN_SERVICES } },
+};
+
+export type ValidEvent = {
+  event_id: string;
+  type: EventType;
+  track_id: string;
+  ts: number;
+  payload: Record<string, unknown>;
+};
+
+export type EventError = { index: number; event_id: string | null; type: string | null; errors: string[] };
+
+function checkField(name: string, spec: FieldSpec, value: unknown, errors: string[]) {
+  if (value === undefined || value === null) {
+    if (spec.required) errors.push(`${name}: required`);
+    return;
+  }
+  if (spec.kind === "string") {
+    if (typeof value !== "string") return void errors.push(`${name}: expected string`);
+    if (spec.required && !value.length) return void errors.push(`${name}: must not be empty`);
+    if (spec.maxLength && value.length > spec.maxLength) errors.push(`${name}: longer than ${spec.maxLength} chars`);
+    if (spec.oneOf && !spec.oneOf.includes(value)) errors.push(`${name}: expected one of ${spec.oneOf.join(", ")}`);
+    return;
+  }
+  if (typeof value !== "number" || !Number.isInteger(value)) return void errors.push(`${name}: expected integer`);
+  if (spec.min !== undefined && value < spec.min) errors.push(`${name}: must be >= ${spec.min}`);
+  if (spec.max !== undefined && value > spec.max) errors.push(`${name}: must be <= ${spec.max}`);
+}
+
+export function validateEvent(raw: unknown, index: number): { event: ValidEvent } | { error: EventError } {
+  const e = (raw && typeof raw === "object" ? raw : {}) as Record<string, unknown>;
+  const type = typeof e.type === "string" ? e.type : null;
+  const eventId = typeof e.event_id === "string" ? e.event_id : null;
+  const errors: string[] = [];
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push("event: expected object");
+  } else if (!type) {
+    errors.push("type: required");
+  } else if (!(EVENT_TYPES as readonly string[]).includes(type)) {
+    errors.push(`type: unknown event type "${type}" (expected one of ${EVENT_TYPES.join(", ")})`);
+  } else {
+    const schema = { ...COMMON, ...EVENT_SCHEMAS[type as EventType] };
+    for (const [name, spec] of Object.entries(schema)) checkField(name, spec, e[name], errors);
+  }
+
+  if (errors.length) return { error: { index, event_id: eventId, type, errors } };
+  return {
+    event: {
+      event_id: eventId as string,
+      type: type as EventType,
+      track_id: e.track_id as string,
+      ts: e.ts as number,
+      payload: e,
+    },
+  };
+}
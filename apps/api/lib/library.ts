@@ -0,0 +1,74 @@
+// apps/api/lib/library.ts
+// Shape + merge rules for synced library entries (one row per user & track).
+//  - like/dislike decisions: last write wins by client `updated_at`
+//  - cooldown dates (liked_at / played_at): the greatest value wins, unless the change has
+//    reset_liked_at (an undone like): then its liked_at, even null, replaces the stored one
+// A change without `liked`/`disliked` only carries cooldown dates.
+
+export type LibraryChange = {
+  track_key: string;
+  liked: boolean | null;
+  disliked: boolean | null;
+  track: Record<string, unknown> | null;
+  updated_at: number;
+  liked_at: number | null;
+  played_at: number | null;
+  reset_liked_at: boolean;
+};
+
+export const MAX_CHANGES = 1000;
+
+const optTs = (v: unknown) => (typeof v === "number" && Number.isFinite(v) && v > 0 ? Math.floor(v) : null);
+const optBool = (v: unknown) => (typeof v === "boolean" ? v : null);
+const maxTs = (a: number | null, b: number | null) => (a == null ? b : b == null ? a : Math.max(a, b));
+
+export function readChange(raw: any, index: number): { change: LibraryChange } | { error: string } {
+  if (!raw || typeof raw !== "object") return { error: `changes[${index}]: expected object` };
+  const key = raw.track_key;
+  if (typeof key !== "string" || !key || key.length > 256) return { error: `changes[${index}].track_key: required string (<= 256 chars)` };
+  const liked = optBool(raw.liked);
+  const disliked = optBool(raw.disliked);
+  if ((liked === null) !== (disliked === null)) return { error: `changes[${index}]: liked and disliked must be sent together` };
+  if (liked && disliked) return { error: `changes[${index}]: a track cannot be both liked and disliked` };
+  const updated = optTs(raw.updated_at);
+  if (liked !== null && updated === null) return { error: `changes[${index}].updated_at: required with a like/dislike decision` };
+  return {
+    change: {
+      track_key: key,
+      liked,
+      disliked,
+      track: raw.track && typeof raw.track === "object" && !Array.isArray(raw.track) ? raw.track : null,
+      updated_at: liked === null ? 0 : (updated as number),
+      liked_at: optTs(raw.liked_at),
+      played_at: optTs(raw.played_at),
+      reset_liked_at: raw.reset_liked_at === true,
+    },
+  };
+}
+
+// Fold two changes for the same track into one (same rules the SQL upsert applies)
+export function mergeChanges(a: LibraryChange, b: LibraryChange): LibraryChange {
+  const newer = b.liked !== null && b.updated_at >= a.updated_at ? b : a;
+  return {
+    ...newer,
+    track: newer.track || a.track || b.track,
+    liked_at: b.reset_liked_at ? b.liked_at : maxTs(a.liked_at, b.liked_at),
+    played_at: maxTs(a.played_at, b.played_at),
+    reset_liked_at: a.reset_liked_at || b.reset_liked_at,
+  };
+}
+
+// Rows that never saw a decision (updated_at = 0) come back with liked/disliked null
+export function rowToEntry(r: any): LibraryChange {
+  const decided = Number(r.updated_at) > 0;
+  return {
+    track_key: r.track_key,
+    liked: decided ? r.liked : null,
+    disliked: decided ? r.disliked : null,
+    track: r.track,
+    updated_at: Number(r.updated_at),
+    liked_at: r.liked_at == null ? null : Number(r.liked_at),
+    played_at: r.played_at == null ? null : Number(r.played_at),
+    reset_liked_at: false,
+  };
+}
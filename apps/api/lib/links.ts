@@ -0,0 +1,23 @@
+// apps/api/lib/links.ts
+// Short share links carry only a track id plus an optional HMAC of it ("sig").
+// Signing needs LINK_SECRET; without it links are issued unsigned and sigs are not checked.
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+const SIG_LENGTH = 16; // base64url chars (96 bits) — keeps links short
+
+export function signTrackId(id: string): string | null {
+  const secret = process.env.LINK_SECRET;
+  if (!secret) return null;
+  return createHmac("sha256", secret).update(`track:${id}`).digest("base64url").slice(0, SIG_LENGTH);
+}
+
+// "unsigned": no sig given · "ok" / "bad": sig checked · "unchecked": sig given but no secret configured
+export function checkTrackSig(id: string, sig: string | null): "unsigned" | "ok" | "bad" | "unchecked" {
+  if (!sig) return "unsigned";
+  const expected = signTrackId(id);
+  if (!expected) return "unchecked";
+  const a = Buffer.from(sig);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b) ? "ok" : "bad";
+}
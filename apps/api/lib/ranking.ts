@@ -0,0 +1,99 @@
+// apps/api/lib/ranking.ts
+// Affinity-based ranking for /api/feed. Pure functions; the handler does the I/O.
+//
+// Every logged event nudges the artist and genre it was about:
+//   like +3, dislike -4, listening +1 per 30s played, impression -0.15 (exposure without engagement)
+// Sums are squashed with tanh so a handful of strong signals saturate instead of dominating.
+
+import type { CatalogTrack } from "./catalog";
+
+export const RANKING_VERSION = "rank-v1";
+
+export type SignalRow = { type: string; track_id: string | null; artist: string | null; genre: string | null; n: number; ms: number };
+
+export type Affinity = {
+  artists: Map<string, number>;
+  genres: Map<string, number>;
+  disliked: Set<string>;
+  impressions: Map<string, number>;
+};
+
+const WEIGHTS: Record<string, (r: SignalRow) => number> = {
+  like: (r) => 3 * r.n,
+  dislike: (r) => -4 * r.n,
+  play_progress: (r) => r.ms / 30000,
+  impression: (r) => -0.15 * r.n,
+};
+
+const ARTIST_WEIGHT = 2;
+const GENRE_WEIGHT = 1;
+const REPEAT_PENALTY = 0.5;  // shown at least twice already
+const EXPLORATION = 0.35;    // seeded jitter so cold-start feeds still vary
+export const PER_ARTIST_CAP = 2;
+export const ARTIST_COOLDOWN = 3;
+
+// Artist spread; the app's experiments may override it per session
+export type SpreadOptions = { perArtistCap: number; artistCooldown: number };
+
+const norm = (s: string | null | undefined) => String(s || "").trim().toLowerCase();
+
+export function buildAffinity(rows: SignalRow[]): Affinity {
+  const artists = new Map<string, number>();
+  const genres = new Map<string, number>();
+  const disliked = new Set<string>();
+  const impressions = new Map<string, number>();
+  const bump = (m: Map<string, number>, k: string, w: number) => { if (k) m.set(k, (m.get(k) || 0) + w); };
+
+  for (const r of rows) {
+    const w = WEIGHTS[r.type]?.(r) || 0;
+    bump(artists, norm(r.artist), w);
+    bump(genres, norm(r.genre), w);
+    if (r.type === "dislike" && r.track_id) disliked.add(r.track_id);
+    if (r.type === "impression" && r.track_id) impressions.set(r.track_id, (impressions.get(r.track_id) || 0) + r.n);
+  }
+  for (const m of [artists, genres]) for (const [k, v] of m) m.set(k, Math.tanh(v / 4));
+  return { artists, genres, disliked, impressions };
+}
+
+function rng(seed: number) {
+  let t = seed % 2147483647;
+  if (t <= 0) t += 2147483646;
+  return () => (t = (t * 48271) % 2147483647) / 2147483647;
+}
+
+export function rankCandidates(
+  candidates: CatalogTrack[],
+  aff: Affinity,
+  seed: number,
+  limit: number,
+  { perArtistCap, artistCooldown }: SpreadOptions = { perArtistCap: PER_ARTIST_CAP, artistCooldown: ARTIST_COOLDOWN }
+) {
+  const rand = rng(seed);
+  const seen = new Set<string>();
+  const scored: (CatalogTrack & { score: number })[] = [];
+  for (const t of candidates) {
+    const id = String(t.id);
+    if (seen.has(id) || aff.disliked.has(id)) continue;
+    seen.add(id);
+    let score = ARTIST_WEIGHT * (aff.artists.get(norm(t.artist)) || 0) + GENRE_WEIGHT * (aff.genres.get(norm(t.genreName)) || 0);
+    if ((aff.impressions.get(id) || 0) >= 2) score -= REPEAT_PENALTY;
+    score += EXPLORATION * rand();
+    scored.push({ ...t, score: Math.round(score * 1000) / 1000 });
+  }
+  scored.sort((a, b) => b.score - a.score);
+
+  // same artist spread rules as the app's diversify()
+  const out: typeof scored = [];
+  const counts = new Map<string, number>();
+  const recent: string[] = [];
+  for (const t of scored) {
+    const a = norm(t.artist);
+    if ((counts.get(a) || 0) >= perArtistCap) continue;
+    if (recent.slice(-artistCooldown).includes(a)) continue;
+    out.push(t);
+    counts.set(a, (counts.get(a) || 0) + 1);
+    recent.push(a);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
@@ -0,0 +1,111 @@
+// apps/api/lib/stats.ts
+// Shared pieces of the read-only /api/stats endpoints: dashboard auth, date ranges
+// and offset pagination. Metrics are computed per exposure = one (session, track) pair.
+
+import { timingSafeEqual } from "crypto";
+import type { VercelRequest } from "@vercel/node";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_RANGE_DAYS = 7;
+export const MAX_RANGE_DAYS = 366;
+export const DEFAULT_PAGE = 50;
+export const MAX_PAGE = 500;
+export const SKIP_MS = 10000; // a play with less than this much listening counts as a skip
+
+// Column (or payload field) each breakdown groups by; values are fixed SQL, never user input
+export const DIMENSIONS = {
+  track: "track_id",
+  artist: "artist",
+  genre: "genre",
+  surface: "surface",
+  feed_version: "feed_version",
+} as const;
+export type Dimension = keyof typeof DIMENSIONS;
+
+// STATS_KEY is a separate dashboard secret (Bearer or x-stats-key); unset = endpoints disabled
+export function checkStatsKey(req: VercelRequest): "ok" | "disabled" | "unauthorized" {
+  const key = process.env.STATS_KEY;
+  if (!key) return "disabled";
+  const presented = String(req.headers["x-stats-key"] || String(req.headers.authorization || "").replace(/^Bearer\s+/i, ""));
+  const a = Buffer.from(presented);
+  const b = Buffer.from(key);
+  return a.length === b.length && timingSafeEqual(a, b) ? "ok" : "unauthorized";
+}
+
+// "2025-01-31" (UTC day) or epoch ms; `end` makes a bare day inclusive
+function parseInstant(raw: unknown, end: boolean): number | null | undefined {
+  if (raw === undefined || raw === "") return undefined;
+  const s = String(raw);
+  if (/^\d+$/.test(s)) return Number(s);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+    const t = Date.parse(`${s}T00:00:00Z`);
+    return Number.isNaN(t) ? null : end ? t + DAY_MS : t;
+  }
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : t;
+}
+
+// ?from=&to= → half-open [from, to) in epoch ms (defaults to the last 7 days)
+export function readRange(query: VercelRequest["query"]): { from: number; to: number } | { error: string } {
+  const to = parseInstant(query.to, true);
+  const from = parseInstant(query.from, false);
+  if (to === null) return { error: "to: expected YYYY-MM-DD, ISO timestamp or epoch ms" };
+  if (from === null) return { error: "from: expected YYYY-MM-DD, ISO timestamp or epoch ms" };
+  const end = to ?? Date.now();
+  const start = from ?? end - DEFAULT_RANGE_DAYS * DAY_MS;
+  if (start >= end) return { error: "from must be before to" };
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) return { error: `range is limited to ${MAX_RANGE_DAYS} days` };
+  return { from: start, to: end };
+}
+
+// ?limit=&cursor= → offset pagination; the cursor is opaque to clients
+export function readPage(query: VercelRequest["query"]): { limit: number; offset: number } {
+  const limit = Math.min(MAX_PAGE, Math.max(1, Number(query.limit) || DEFAULT_PAGE));
+  const offset = Math.max(0, Number(Buffer.from(String(query.cursor || ""), "base64url").toString()) || 0);
+  return { limit, offset };
+}
+
+export function nextCursor(offset: number, returned: number, total: number): string | null {
+  const next = offset + returned;
+  return returned && next < total ? Buffer.from(String(next)).toString("base64url") : null;
+}
+
+export const ratio = (n: number, d: number) => (d > 0 ? Math.round((n / d) * 10000) / 10000 : null);
+
+// One row per (session, track) with events in [$1, $2); every breakdown aggregates over this
+export const EXPOSURES_CTE = `exposures as (
+  select session_id, track_id,
+         max(payload->>'artist') as artist,
+         max(payload->>'genre') as genre,
+         max(payload->>'surface') filter (where type = 'impression') as surface,
+         max(payload->>'feed_version') as feed_version,
+         count(*) filter (where type = 'impression') as impressions,
+         count(*) filter (where type = 'play_start') as plays,
+         coalesce(sum((payload->>'ms_played_chunk')::bigint) filter (where type = 'play_progress'), 0) as ms_played,
+         bool_or(type = 'like') as liked,
+         bool_or(type = 'dislike') as disliked
+  from public.events
+  where ts >= $1 and ts < $2 and track_id is not null
+  group by session_id, track_id
+)`;
+
+// Aggregate columns over exposures; $3 is SKIP_MS
+export const EXPOSURE_METRICS = `count(*)::int as exposures,
+  sum(impressions)::int as impressions,
+  sum(plays)::int as plays,
+  count(*) filter (where liked)::int as likes,
+  count(*) filter (where disliked)::int as dislikes,
+  count(*) filter (where plays > 0)::int as played,
+  count(*) filter (where plays > 0 and ms_played < $3)::int as skips,
+  coalesce(avg(ms_played) filter (where plays > 0), 0)::float8 as avg_ms_played`;
+
+export const metricsFromRow = (row: any) => ({
+  exposures: row.exposures,
+  impressions: row.impressions,
+  plays: row.plays,
+  likes: row.likes,
+  dislikes: row.dislikes,
+  like_rate: ratio(row.likes, row.exposures),
+  skip_rate: ratio(row.skips, row.played),
+  avg_ms_played: Math.round(row.avg_ms_played),
+});
@@ -0,0 +1,19 @@
+-- 001_events.sql — telemetry written by POST /api/log
+create table if not exists public.events (
+  id          bigserial primary key,
+  user_id     uuid,
+  session_id  text not null,
+  type        text not null,
+  track_id    text,
+  ts          bigint not null,
+  payload     jsonb not null default '{}'::jsonb
+);
+
+-- Client-supplied ids make retried batches idempotent
+alter table public.events add column if not exists event_id text;
+alter table public.events add column if not exists device jsonb;
+alter table public.events add column if not exists received_at timestamptz not null default now();
+
+create unique index if not exists events_event_id_key on public.events (event_id);
+create index if not exists events_type_ts_idx on public.events (type, ts);
+create index if not exists events_session_idx on public.events (session_id);
@@ -0,0 +1,29 @@
+-- 002_users.sql — server-side accounts for /api/auth/*
+create extension if not exists pgcrypto; -- gen_random_uuid() on older Postgres
+
+create table if not exists public.users (
+  id                  uuid primary key default gen_random_uuid(),
+  username            text not null,
+  password_hash       text not null,            -- scrypt$N$r$p$salt$hash
+  name                text,
+  age                 integer,
+  gender              text,
+  email               text,
+  favorite_genre_ids  jsonb not null default '[]'::jsonb,
+  created_at          timestamptz not null default now(),
+  updated_at          timestamptz not null default now()
+);
+create unique index if not exists users_username_key on public.users (lower(username));
+
+-- Only token hashes are stored; the raw tokens live on the device.
+create table if not exists public.auth_sessions (
+  id                  uuid primary key default gen_random_uuid(),
+  user_id             uuid not null references public.users (id) on delete cascade,
+  access_hash         text not null unique,
+  access_expires_at   timestamptz not null,
+  refresh_hash        text not null unique,
+  refresh_expires_at  timestamptz not null,
+  created_at          timestamptz not null default now(),
+  revoked_at          timestamptz
+);
+create index if not exists auth_sessions_user_idx on public.auth_sessions (user_id);
@@ -0,0 +1,16 @@
+-- 003_library.sql — per-user library state synced by POST /api/library/sync
+create sequence if not exists public.library_rev_seq;
+
+create table if not exists public.library_entries (
+  user_id     uuid not null references public.users (id) on delete cascade,
+  track_key   text not null,
+  liked       boolean not null default false,
+  disliked    boolean not null default false,
+  track       jsonb,                      -- normalized track, so liked lists rebuild on a new device
+  updated_at  bigint not null default 0,  -- client time (ms) of the last like/dislike decision
+  liked_at    bigint,                     -- cooldown history (ms); merged with greatest()
+  played_at   bigint,
+  rev         bigint not null default nextval('public.library_rev_seq'),
+  primary key (user_id, track_key)
+);
+create index if not exists library_entries_rev_idx on public.library_entries (user_id, rev);
@@ -0,0 +1,2 @@
+-- 004_events_ts.sql — date-range scans for the /api/stats endpoints
+create index if not exists events_ts_idx on public.events (ts);
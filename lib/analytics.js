@@ -0,0 +1,145 @@
+// lib/analytics.js — client telemetry feeding POST /api/log
+// - Persistent session_id + device info stamped on every batch
+// - Events queue in AsyncStorage (survives offline / app kills)
+// - Batched flush on a timer, on size, and when the app leaves the foreground
+// - Failed flushes back off exponentially and retry on the next tick
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { AppState, Platform } from "react-native";
+import Constants from "expo-constants";
+import { API_BASE, INGEST_KEY } from "./config";
+
+const QUEUE_KEY = "tuneflip_event_queue_v1";
+const SESSION_KEY = "tuneflip_session_id_v1";
+
+const BATCH_SIZE = 25;
+const MAX_QUEUE = 1000;              // oldest events are dropped past this
+const FLUSH_INTERVAL_MS = 15000;
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+let queue = [];
+let sessionId = null;
+let readyPromise = null;
+let flushing = false;
+let failures = 0;
+let nextAttemptAt = 0;
+let timer = null;
+let appStateSub = null;
+
+const context = { user_id: null, feed_version: null };
+
+const makeId = () =>
+  "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+  });
+
+function deviceInfo() {
+  return {
+    os: Platform.OS,
+    os_version: String(Platform.Version ?? ""),
+    app_version: Constants.expoConfig?.version || "",
+  };
+}
+
+async function hydrate() {
+  try {
+    sessionId = await AsyncStorage.getItem(SESSION_KEY);
+    if (!sessionId) {
+      sessionId = makeId();
+      await AsyncStorage.setItem(SESSION_KEY, sessionId);
+    }
+  } catch {
+    sessionId = sessionId || makeId();
+  }
+  try {
+    const stored = JSON.parse((await AsyncStorage.getItem(QUEUE_KEY)) || "[]");
+    // events tracked before hydration finished go after the stored ones
+    if (Array.isArray(stored)) queue = [...stored, ...queue].slice(-MAX_QUEUE);
+  } catch {}
+}
+const ensureReady = () => readyPromise || (readyPromise = hydrate());
+
+const persistQueue = () => AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue)).catch(() => {});
+
+export async function getSessionId() {
+  await ensureReady();
+  return sessionId;
+}
+
+// Merge into the context stamped on subsequent events (user_id, feed_version)
+export function setAnalyticsContext(patch) {
+  Object.assign(context, patch || {});
+}
+
+export function logEvent(type, props = {}) {
+  if (!type) return;
+  // event_id lets the server drop duplicates when a batch is retried
+  const e = { event_id: makeId(), type, ts: Date.now(), ...props, user_id: context.user_id ?? null };
+  if (e.feed_version === undefined && context.feed_version != null) e.feed_version = context.feed_version;
+  queue.push(e);
+  if (queue.length > MAX_QUEUE) queue.splice(0, queue.length - MAX_QUEUE);
+  ensureReady().then(persistQueue);
+  if (queue.length >= BATCH_SIZE) flush();
+}
+
+async function send(userId, events) {
+  const headers = { "Content-Type": "application/json" };
+  if (INGEST_KEY) headers["x-ingest-key"] = INGEST_KEY;
+  const res = await fetch(`${API_BASE}/api/log`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ session_id: sessionId, user_id: userId, device: deviceInfo(), events }),
+  });
+  if (res.ok) return;
+  // Payload the server will never accept: drop it rather than retry forever
+  if (res.status === 400 || res.status === 413 || res.status === 422) return;
+  throw new Error(`HTTP ${res.status}`);
+}
+
+export async function flush({ force = false } = {}) {
+  await ensureReady();
+  if (flushing || queue.length === 0) return;
+  if (!force && Date.now() < nextAttemptAt) return;
+  flushing = true;
+  try {
+    while (queue.length) {
+      // one envelope per user_id so events are never attributed to the wrong account
+      const userId = queue[0].user_id ?? null;
+      const batch = [];
+      for (const e of queue) {
+        if (batch.length >= BATCH_SIZE || (e.user_id ?? null) !== userId) break;
+        batch.push(e);
+      }
+      await send(userId, batch.map(({ user_id, ...rest }) => rest));
+      const sent = new Set(batch);
+      queue = queue.filter((e) => !sent.has(e));
+      await persistQueue();
+      failures = 0;
+      nextAttemptAt = 0;
+    }
+  } catch {
+    failures += 1;
+    nextAttemptAt = Date.now() + Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** failures);
+  } finally {
+    flushing = false;
+  }
+}
+
+// Start periodic flushing; returns a stop function (handy as an effect cleanup)
+export function startAnalytics() {
+  ensureReady().then(() => flush());
+  if (!timer) timer = setInterval(() => { flush(); }, FLUSH_INTERVAL_MS);
+  if (!appStateSub) {
+    appStateSub = AppState.addEventListener("change", (state) => {
+      if (state !== "active") flush({ force: true });
+    });
+  }
+  return stopAnalytics;
+}
+
+export function stopAnalytics() {
+  if (timer) { clearInterval(timer); timer = null; }
+  if (appStateSub) { appStateSub.remove(); appStateSub = null; }
+}
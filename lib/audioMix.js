@@ -0,0 +1,99 @@
+// lib/audioMix.js — loudness levelling and crossfades between previews
+// - Loudness per track (dBFS, RMS-ish): catalog metadata when present (Deezer "gain" →
+//   track.loudnessDb), else measured from the first seconds of playback via
+//   Sound.setOnAudioSampleReceived and remembered in LOUDNESS_KEY
+// - gainFor() turns it into a playback volume. expo-av can only attenuate (volume ≤ 1), so
+//   everything plays a little below full scale to leave room for quiet previews
+// - fadeTo() ramps a Sound's volume in small steps (crossfades, post-analysis corrections)
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { trackKey } from "./tracks";
+
+const LOUDNESS_KEY = "tuneflip_loudness_v1";
+const MAX_REMEMBERED = 2000;
+const TARGET_DB = -16;        // loudness every preview is levelled to
+const HEADROOM = 0.7;         // volume of a preview already at TARGET_DB
+const MIN_VOLUME = 0.15;
+const ANALYSIS_MS = 3000;     // audio measured before a track's loudness is known
+const SILENCE_DB = -60;       // quieter than this is an intro / gap, not the song's level
+const FADE_STEP_MS = 50;
+
+let measured = {}; // trackKey → { db, at }
+let readyPromise = null;
+
+async function hydrate() {
+  try {
+    const raw = JSON.parse((await AsyncStorage.getItem(LOUDNESS_KEY)) || "null");
+    if (raw && typeof raw === "object") measured = raw;
+  } catch {}
+}
+const ensureReady = () => readyPromise || (readyPromise = hydrate());
+
+function remember(key, db) {
+  measured[key] = { db: Math.round(db * 10) / 10, at: Date.now() };
+  const keys = Object.keys(measured);
+  if (keys.length > MAX_REMEMBERED) {
+    keys.sort((a, b) => measured[a].at - measured[b].at).slice(0, keys.length - MAX_REMEMBERED).forEach((k) => delete measured[k]);
+  }
+  AsyncStorage.setItem(LOUDNESS_KEY, JSON.stringify(measured)).catch(() => {});
+}
+
+// dBFS of a track, or null while unknown (sync; falls back to null before hydration)
+export function loudnessOf(track) {
+  if (Number.isFinite(track?.loudnessDb)) return track.loudnessDb;
+  return measured[String(trackKey(track))]?.db ?? null;
+}
+
+const volumeForDb = (db) => Math.min(1, Math.max(MIN_VOLUME, HEADROOM * Math.pow(10, (TARGET_DB - db) / 20)));
+
+// Playback volume for a track; `level` off = plain full volume
+export function gainFor(track, { level = true } = {}) {
+  if (!level) return 1;
+  const db = loudnessOf(track);
+  return db == null ? HEADROOM : volumeForDb(db);
+}
+
+// Measure a playing sound's level from its first ANALYSIS_MS of audible samples (the sample
+// tap sits before the player's volume, so fades don't skew it). Calls onLevel(volume) once
+// with the volume it should play at; returns a cancel function.
+export function analyseLoudness(sound, track, { onLevel }) {
+  if (loudnessOf(track) != null || typeof sound?.setOnAudioSampleReceived !== "function") return () => {};
+  let sumSquares = 0, frames = 0, heardMs = 0, done = false;
+  const stop = () => {
+    if (done) return;
+    done = true;
+    try { sound.setOnAudioSampleReceived(null); } catch {}
+  };
+  try {
+    sound.setOnAudioSampleReceived((sample) => {
+      if (done) return;
+      const ch = sample?.channels?.[0]?.frames;
+      if (!ch?.length) return;
+      let sq = 0;
+      for (let i = 0; i < ch.length; i++) sq += ch[i] * ch[i];
+      if (10 * Math.log10(sq / ch.length || 1e-12) < SILENCE_DB) return;
+      sumSquares += sq;
+      frames += ch.length;
+      heardMs += (ch.length / 44100) * 1000; // close enough for 44.1 / 48 kHz previews
+      if (heardMs < ANALYSIS_MS) return;
+      stop();
+      const db = 10 * Math.log10(sumSquares / frames);
+      remember(String(trackKey(track)), db);
+      onLevel?.(volumeForDb(db));
+    });
+  } catch { stop(); }
+  return stop;
+}
+
+// Ramp a sound's volume; resolves when done, when the sound goes away mid-fade or once
+// superseded() says a newer fade took over
+export async function fadeTo(sound, from, to, ms, superseded = () => false) {
+  const steps = Math.max(1, Math.round(ms / FADE_STEP_MS));
+  for (let i = 1; i <= steps; i++) {
+    if (superseded()) return;
+    try { await sound.setVolumeAsync(from + ((to - from) * i) / steps); } catch { return; }
+    if (i < steps) await new Promise((r) => setTimeout(r, FADE_STEP_MS));
+  }
+}
+
+ensureReady();
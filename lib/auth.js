@@ -0,0 +1,112 @@
+// lib/auth.js — client for the server-side accounts in /api/auth/*
+// - Only tokens (never passwords) are kept on the device, under AUTH_KEY
+// - authFetch() attaches the bearer token and refreshes it when it expires
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { API_BASE } from "./config";
+
+const AUTH_KEY = "tuneflip_auth_v1";
+const EXPIRY_SLACK_MS = 60 * 1000; // refresh a little before the server would reject
+
+let cached; // undefined until first read; null when logged out
+let refreshing = null;
+
+function authError(code, message, status) {
+  const e = new Error(message || code);
+  e.code = code;
+  e.status = status;
+  return e;
+}
+
+export async function loadAuth() {
+  if (cached === undefined) {
+    try { cached = JSON.parse((await AsyncStorage.getItem(AUTH_KEY)) || "null"); }
+    catch { cached = null; }
+  }
+  return cached;
+}
+async function saveAuth(a) {
+  cached = a;
+  if (a) await AsyncStorage.setItem(AUTH_KEY, JSON.stringify(a));
+  else await AsyncStorage.removeItem(AUTH_KEY);
+}
+
+async function requestJson(path, { method = "POST", body, token } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  let res;
+  try {
+    res = await fetch(`${API_BASE}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  } catch {
+    throw authError("network", "Could not reach the TuneFlip server. Check your connection.", 0);
+  }
+  const data = res.status === 204 ? null : await res.json().catch(() => null);
+  if (!res.ok) throw authError(data?.error || `http_${res.status}`, data?.detail || `HTTP ${res.status}`, res.status);
+  return data;
+}
+
+const storeSession = async ({ user, tokens }) => {
+  const a = { user, ...tokens };
+  await saveAuth(a);
+  return a;
+};
+
+// profile: { name, age, gender, email, favoriteGenreIds }
+export const signup = async (username, password, profile) =>
+  storeSession(await requestJson("/api/auth/signup", { body: { username, password, profile } }));
+
+export const login = async (username, password) =>
+  storeSession(await requestJson("/api/auth/login", { body: { username, password } }));
+
+export async function logout() {
+  const a = await loadAuth();
+  await saveAuth(null);
+  // best effort: the local session is gone either way
+  if (a?.access_token) requestJson("/api/auth/logout", { token: a.access_token }).catch(() => {});
+}
+
+// Rotate the token pair; concurrent callers share one request
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const a = await loadAuth();
+      if (!a?.refresh_token) return null;
+      try {
+        return await storeSession(await requestJson("/api/auth/refresh", { body: { refresh_token: a.refresh_token } }));
+      } catch (e) {
+        if (e.status === 401) await saveAuth(null); // refresh token dead → logged out server-side
+        throw e;
+      }
+    })().finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+// fetch() against API_BASE as the signed-in user (one retry after a refresh on 401)
+export async function authFetch(path, init = {}) {
+  let a = await loadAuth();
+  if (a && a.access_expires_at - EXPIRY_SLACK_MS < Date.now()) a = await refreshSession();
+  if (!a) throw authError("not_logged_in", "Not logged in", 401);
+
+  const go = (token) => fetch(`${API_BASE}${path}`, { ...init, headers: { ...(init.headers || {}), Authorization: `Bearer ${token}` } });
+  let res = await go(a.access_token);
+  if (res.status === 401) {
+    a = await refreshSession();
+    if (!a) throw authError("not_logged_in", "Not logged in", 401);
+    res = await go(a.access_token);
+  }
+  return res;
+}
+
+export async function saveRemoteProfile(profile) {
+  const res = await authFetch("/api/auth/me", {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ profile }),
+  });
+  if (!res.ok) throw authError("profile_failed", `HTTP ${res.status}`, res.status);
+  const { user } = await res.json();
+  const a = await loadAuth();
+  if (a) await saveAuth({ ...a, user });
+  return user;
+}
@@ -0,0 +1,61 @@
+// lib/blocks.js — "Never show this artist" / "Hide this genre"
+// - Stored per user, `tuneflip_blocks_v1:<user>` (a guest bucket while logged out); not synced
+// - Artists match by catalog id or by name, including songs where they are only featured;
+//   genres match by name, so a block holds across catalogs
+// - Pure operations return a new object; callers persist with saveBlocks()
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const BLOCKS_KEY = "tuneflip_blocks_v1";
+export const EMPTY_BLOCKS = { artists: [], genres: [] };
+
+const storageKey = (user) => `${BLOCKS_KEY}:${user || "guest"}`;
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+// "Main feat. A, B & C" → ["Main", "A", "B", "C"]; band names with "&" or "," stay whole
+function splitCredits(name) {
+  const [main, ...feats] = String(name || "").trim().split(/\s*(?:\bfeat\.|\bft\.|\bfeaturing\b)\s*/i);
+  return [main, ...feats.flatMap((f) => f.split(/\s*[,&]\s*/))].map((s) => s.replace(/[()[\]]/g, "").trim()).filter(Boolean);
+}
+
+export const loadBlocks = async (user) => {
+  try {
+    const raw = JSON.parse((await AsyncStorage.getItem(storageKey(user))) || "null");
+    return {
+      artists: Array.isArray(raw?.artists) ? raw.artists : [],
+      genres: Array.isArray(raw?.genres) ? raw.genres : [],
+    };
+  } catch { return EMPTY_BLOCKS; }
+};
+export const saveBlocks = (user, blocks) => AsyncStorage.setItem(storageKey(user), JSON.stringify(blocks));
+
+export const mainArtist = (t) => splitCredits(t?.artist)[0] || "";
+
+// Blocks the track's main artist (not the ones featured on it)
+export function blockArtist(blocks, t) {
+  const name = mainArtist(t);
+  if (!name || blocks.artists.some((a) => a.key === norm(name))) return blocks;
+  return { ...blocks, artists: [{ key: norm(name), name, artistId: t.artistId ?? null, at: Date.now() }, ...blocks.artists] };
+}
+
+export function blockGenre(blocks, t) {
+  const name = String(t?.genreName || "").trim();
+  if (!name || blocks.genres.some((g) => g.key === norm(name))) return blocks;
+  return { ...blocks, genres: [{ key: norm(name), name, at: Date.now() }, ...blocks.genres] };
+}
+
+export function unblock(blocks, kind, key) {
+  return { ...blocks, [kind]: blocks[kind].filter((b) => b.key !== key) };
+}
+
+// → { kind: "artists" | "genres", name } of the block hiding this track, or null
+export function blockedBy(blocks, t) {
+  if (!t || (!blocks.artists.length && !blocks.genres.length)) return null;
+  if (blocks.artists.length) {
+    const credited = new Set([norm(t.artist), ...splitCredits(t.artist).map(norm)]);
+    const a = blocks.artists.find((b) => (b.artistId && b.artistId === t.artistId) || credited.has(b.key));
+    if (a) return { kind: "artists", name: a.name };
+  }
+  const g = blocks.genres.find((b) => b.key === norm(t.genreName));
+  return g ? { kind: "genres", name: g.name } : null;
+}
@@ -0,0 +1,141 @@
+// lib/catalog/deezer.js — Deezer's public API (api.deezer.com, no key needed)
+// Deezer tracks nest artist / album objects and carry no genre; genre tracks come from
+// the per-genre chart, so we stamp the genre name on them here. normalizeTrack prefixes
+// their ids with "dz:" so they never collide with iTunes ids.
+
+import { fanOut } from "../search";
+
+const API = "https://api.deezer.com";
+const LOOKUP_CONCURRENCY = 8;
+const TOP_TRACKS = 25;
+const MAX_ALBUMS = 50;
+
+const DEFAULT_GENRES = [
+  { id: 132, name: "Pop" },
+  { id: 116, name: "Rap/Hip Hop" },
+  { id: 152, name: "Rock" },
+  { id: 464, name: "Metal" },
+  { id: 85,  name: "Alternative" },
+  { id: 84,  name: "Country" },
+  { id: 165, name: "R&B" },
+  { id: 113, name: "Dance" },
+  { id: 106, name: "Electro" },
+  { id: 197, name: "Latin Music" },
+  { id: 129, name: "Jazz" },
+  { id: 153, name: "Blues" },
+  { id: 98,  name: "Classical" },
+];
+
+let genreNames = new Map(DEFAULT_GENRES.map((g) => [String(g.id), g.name]));
+
+// Errors Deezer reported itself (no such track, …) carry `answered`; anything else means it
+// couldn't be reached or is down
+const answeredError = (message) => Object.assign(new Error(message), { answered: true });
+
+async function get(path, signal) {
+  const res = await fetch(`${API}${path}`, { cache: "no-store", signal });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const j = await res.json();
+  if (j?.error) throw answeredError(j.error.message || "Deezer error"); // Deezer reports errors with HTTP 200
+  return j;
+}
+
+async function fetchGenres() {
+  const j = await get("/genre");
+  const list = (Array.isArray(j?.data) ? j.data : []).filter((g) => g.id !== 0); // 0 = "All"
+  if (!list.length) return DEFAULT_GENRES;
+  genreNames = new Map(list.map((g) => [String(g.id), g.name]));
+  return list.map((g) => ({ id: g.id, name: g.name }));
+}
+
+async function fetchGenreTracks(genreId, { limit }) {
+  const j = await get(`/chart/${genreId}/tracks?limit=${limit}`);
+  const genre = genreNames.get(String(genreId)) || "";
+  return (Array.isArray(j?.data) ? j.data : []).map((t) => ({ ...t, genre }));
+}
+
+// One request; fanOut() only adds its timeout and cancellation
+async function search(term, { limit, signal }) {
+  const pull = async (sig) => {
+    const j = await get(`/search?q=${encodeURIComponent(term)}&limit=${limit}`, sig);
+    return Array.isArray(j?.data) ? j.data : [];
+  };
+  return fanOut([pull], { signal });
+}
+
+// Deezer has no batch lookup; a few requests at a time. Throws when none of them got an answer.
+async function lookup(ids) {
+  const plain = ids.map((id) => String(id).replace(/^dz:/, "")).filter((id) => /^\d+$/.test(id));
+  const out = [];
+  let answered = false;
+  const one = (id) => get(`/track/${id}`).then(
+    (t) => { answered = true; return t; },
+    (e) => { if (e.answered) answered = true; return null; },
+  );
+  for (let i = 0; i < plain.length; i += LOOKUP_CONCURRENCY) {
+    const batch = await Promise.all(plain.slice(i, i + LOOKUP_CONCURRENCY).map(one));
+    out.push(...batch.filter((t) => t?.id));
+  }
+  if (plain.length && !answered) throw new Error("Deezer couldn’t be reached.");
+  return out;
+}
+
+const plainId = (id) => String(id ?? "").replace(/^dz:/, "");
+
+// Tracks saved before artist / album ids were kept only have their own id
+async function idsFor(ref, need) {
+  if (ref[need]) return ref;
+  const t = await get(`/track/${plainId(ref.id)}`);
+  return { artistId: ref.artistId || t.artist?.id, albumId: ref.albumId || t.album?.id };
+}
+
+async function artistPage(ref) {
+  const id = plainId((await idsFor(ref, "artistId")).artistId);
+  const [info, top, albums] = await Promise.all([
+    get(`/artist/${id}`),
+    get(`/artist/${id}/top?limit=${TOP_TRACKS}`),
+    get(`/artist/${id}/albums?limit=${MAX_ALBUMS}`),
+  ]);
+  return {
+    artist: { id: `dz:${info.id}`, name: info.name || ref.artist || "", genreName: "" },
+    topTracks: Array.isArray(top?.data) ? top.data : [],
+    albums: (Array.isArray(albums?.data) ? albums.data : []).map((a) => ({
+      id: `dz:${a.id}`, title: a.title, artist: info.name, artwork: a.cover_big || "", year: String(a.release_date || "").slice(0, 4), trackCount: a.nb_tracks || 0,
+    })),
+  };
+}
+
+async function relatedArtists(ref) {
+  const j = await get(`/artist/${plainId((await idsFor(ref, "artistId")).artistId)}/related?limit=20`);
+  return (Array.isArray(j?.data) ? j.data : []).map((a) => ({ artistId: `dz:${a.id}`, artist: a.name }));
+}
+
+// Album tracks come without their album object; put it back so normalizeTrack has artwork
+async function albumPage(ref) {
+  const a = await get(`/album/${plainId((await idsFor(ref, "albumId")).albumId)}`);
+  const album = { id: a.id, title: a.title, cover_big: a.cover_big };
+  const genre = a.genres?.data?.[0]?.name || "";
+  const tracks = (Array.isArray(a.tracks?.data) ? a.tracks.data : []).map((t) => ({ ...t, album, genre }));
+  return {
+    album: {
+      id: `dz:${a.id}`, title: a.title, artist: a.artist?.name || "", artistId: a.artist?.id ? `dz:${a.artist.id}` : undefined,
+      artwork: a.cover_big || "", year: String(a.release_date || "").slice(0, 4), trackCount: a.nb_tracks || tracks.length,
+    },
+    tracks,
+  };
+}
+
+export const deezerProvider = {
+  id: "deezer",
+  name: "Deezer",
+  defaultGenres: DEFAULT_GENRES,
+  fallbackGenreId: 152, // Rock
+  rankedFeed: false,
+  fetchGenres,
+  fetchGenreTracks,
+  search,
+  lookup,
+  artistPage,
+  albumPage,
+  relatedArtists,
+};
@@ -0,0 +1,58 @@
+// lib/catalog/fixtures.js — bundled demo catalog: works with no network at all
+// Handy for demos, UI work and offline development (catalogProvider: "fixtures").
+// Tracks are fictional and ship without audio or artwork; cards show metadata only.
+
+const GENRES = [
+  { id: 14, name: "Pop" },
+  { id: 21, name: "Rock" },
+  { id: 11, name: "Jazz" },
+  { id: 7,  name: "Electronic" },
+];
+
+// iTunes-shaped so normalizeTrack treats them like any other catalog result
+const TRACKS = [
+  { trackId: "fx:pop-1", trackName: "Golden Hour Radio", artistName: "Neon Harbor", collectionName: "Neon Harbor — Demo Sessions", primaryGenreName: "Pop", primaryGenreId: 14 },
+  { trackId: "fx:pop-2", trackName: "Sugar Static", artistName: "Paper Satellites", collectionName: "Paper Satellites — Demo Sessions", primaryGenreName: "Pop", primaryGenreId: 14 },
+  { trackId: "fx:pop-3", trackName: "Paper Planes Tonight", artistName: "Lumi Vale", collectionName: "Lumi Vale — Demo Sessions", primaryGenreName: "Pop", primaryGenreId: 14 },
+  { trackId: "fx:pop-4", trackName: "Slow Motion Summer", artistName: "Cassie Moreau", collectionName: "Cassie Moreau — Demo Sessions", primaryGenreName: "Pop", primaryGenreId: 14 },
+  { trackId: "fx:pop-5", trackName: "Glow Back", artistName: "Paper Satellites", collectionName: "Paper Satellites — Demo Sessions", primaryGenreName: "Pop", primaryGenreId: 14 },
+  { trackId: "fx:pop-6", trackName: "Heartline", artistName: "Lumi Vale", collectionName: "Lumi Vale — Demo Sessions", primaryGenreName: "Pop", primaryGenreId: 14 },
+  { trackId: "fx:rock-1", trackName: "Rust & Thunder", artistName: "The Iron Orchard", collectionName: "The Iron Orchard — Demo Sessions", primaryGenreName: "Rock", primaryGenreId: 21 },
+  { trackId: "fx:rock-2", trackName: "Highway Saints", artistName: "Static Hearts", collectionName: "Static Hearts — Demo Sessions", primaryGenreName: "Rock", primaryGenreId: 21 },
+  { trackId: "fx:rock-3", trackName: "Broken Compass", artistName: "Gravel Choir", collectionName: "Gravel Choir — Demo Sessions", primaryGenreName: "Rock", primaryGenreId: 21 },
+  { trackId: "fx:rock-4", trackName: "Smoke Signals", artistName: "Northbound Static", collectionName: "Northbound Static — Demo Sessions", primaryGenreName: "Rock", primaryGenreId: 21 },
+  { trackId: "fx:rock-5", trackName: "Cold Engine", artistName: "Static Hearts", collectionName: "Static Hearts — Demo Sessions", primaryGenreName: "Rock", primaryGenreId: 21 },
+  { trackId: "fx:rock-6", trackName: "Last Light Out", artistName: "Gravel Choir", collectionName: "Gravel Choir — Demo Sessions", primaryGenreName: "Rock", primaryGenreId: 21 },
+  { trackId: "fx:jazz-1", trackName: "Midnight on Delancey", artistName: "Marla Quint Trio", collectionName: "Marla Quint Trio — Demo Sessions", primaryGenreName: "Jazz", primaryGenreId: 11 },
+  { trackId: "fx:jazz-2", trackName: "Velvet Steps", artistName: "Blue Lantern Quartet", collectionName: "Blue Lantern Quartet — Demo Sessions", primaryGenreName: "Jazz", primaryGenreId: 11 },
+  { trackId: "fx:jazz-3", trackName: "Blue Porch", artistName: "Otis Fenn", collectionName: "Otis Fenn — Demo Sessions", primaryGenreName: "Jazz", primaryGenreId: 11 },
+  { trackId: "fx:jazz-4", trackName: "Quiet Rain Waltz", artistName: "Ella Rowan", collectionName: "Ella Rowan — Demo Sessions", primaryGenreName: "Jazz", primaryGenreId: 11 },
+  { trackId: "fx:jazz-5", trackName: "Brass Alley", artistName: "Blue Lantern Quartet", collectionName: "Blue Lantern Quartet — Demo Sessions", primaryGenreName: "Jazz", primaryGenreId: 11 },
+  { trackId: "fx:jazz-6", trackName: "After the Set", artistName: "Otis Fenn", collectionName: "Otis Fenn — Demo Sessions", primaryGenreName: "Jazz", primaryGenreId: 11 },
+  { trackId: "fx:electronic-1", trackName: "Circuit Bloom", artistName: "Kilowatt Garden", collectionName: "Kilowatt Garden — Demo Sessions", primaryGenreName: "Electronic", primaryGenreId: 7 },
+  { trackId: "fx:electronic-2", trackName: "Night Grid", artistName: "Sola Drift", collectionName: "Sola Drift — Demo Sessions", primaryGenreName: "Electronic", primaryGenreId: 7 },
+  { trackId: "fx:electronic-3", trackName: "Pulse Garden", artistName: "Hexfield", collectionName: "Hexfield — Demo Sessions", primaryGenreName: "Electronic", primaryGenreId: 7 },
+  { trackId: "fx:electronic-4", trackName: "Low Orbit", artistName: "Polar Tape", collectionName: "Polar Tape — Demo Sessions", primaryGenreName: "Electronic", primaryGenreId: 7 },
+  { trackId: "fx:electronic-5", trackName: "Signal Fade", artistName: "Sola Drift", collectionName: "Sola Drift — Demo Sessions", primaryGenreName: "Electronic", primaryGenreId: 7 },
+  { trackId: "fx:electronic-6", trackName: "Glass Arcade", artistName: "Hexfield", collectionName: "Hexfield — Demo Sessions", primaryGenreName: "Electronic", primaryGenreId: 7 },
+];
+
+const matches = (t, term) => {
+  const q = String(term || "").trim().toLowerCase();
+  return !!q && `${t.trackName} ${t.artistName} ${t.collectionName}`.toLowerCase().includes(q);
+};
+
+export const fixtureProvider = {
+  id: "fixtures",
+  name: "Demo catalog",
+  defaultGenres: GENRES,
+  fallbackGenreId: 21,
+  rankedFeed: false,
+  fetchGenres: async () => GENRES,
+  fetchGenreTracks: async (genreId, { limit }) => TRACKS.filter((t) => t.primaryGenreId === Number(genreId)).slice(0, limit),
+  search: async (term, { limit }) => TRACKS.filter((t) => matches(t, term)).slice(0, limit),
+  lookup: async (ids) => {
+    const want = new Set(ids.map(String));
+    return TRACKS.filter((t) => want.has(t.trackId));
+  },
+};
@@ -0,0 +1,39 @@
+// lib/catalog/index.js — the catalog provider in use (expo.extra.catalogProvider)
+// A provider is a plain object:
+//   id, name
+//   defaultGenres: [{ id, name }]        shown when fetchGenres() fails
+//   fallbackGenreId                      used when no genre is selected
+//   rankedFeed: boolean                  /api/feed ranks this catalog's ids (iTunes only today)
+//   fetchGenres()                        → [{ id, name }]
+//   fetchGenreTracks(genreId, { limit }) → raw tracks (throws when the catalog is unreachable)
+//   search(term, { limit, signal, enough }) → raw tracks; never throws. Aborts with `signal`;
+//                                        may return early once enough(rawSoFar) is true
+//   lookup(ids)                          → raw tracks for the given ids (unknown ids are skipped);
+//                                          throws when the catalog couldn't be reached at all
+//   artistPage(track)  (optional)        → { artist: { id, name, genreName }, topTracks: raw[], albums: [album] }
+//   albumPage(ref)     (optional)        → { album: { id, title, artist, artistId, artwork, year, trackCount }, tracks: raw[] in disc order }
+//                                          ref is a track or { albumId }; both throw when the catalog has nothing
+//   relatedArtists(ref) (optional)       → [{ artistId, artist }] similar to a track's / { artistId }'s artist (radio)
+// Raw tracks go through normalizeTrack() (lib/tracks), which understands every provider's fields.
+
+import { CATALOG_PROVIDER } from "../config";
+import { itunesProvider } from "./itunes";
+import { deezerProvider } from "./deezer";
+import { fixtureProvider } from "./fixtures";
+
+export const CATALOG_PROVIDERS = {
+  [itunesProvider.id]: itunesProvider,
+  [deezerProvider.id]: deezerProvider,
+  [fixtureProvider.id]: fixtureProvider,
+};
+
+export const getCatalogProvider = (id) => CATALOG_PROVIDERS[id] || itunesProvider;
+
+// The catalog a track id came from: "dz:" → Deezer, "fx:" → fixtures, numeric → iTunes
+export const providerForTrackId = (id) => {
+  const s = String(id ?? "");
+  return getCatalogProvider(s.startsWith("dz:") ? "deezer" : s.startsWith("fx:") ? "fixtures" : "itunes");
+};
+
+const active = getCatalogProvider(CATALOG_PROVIDER);
+export const getCatalog = () => active;
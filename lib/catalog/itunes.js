@@ -0,0 +1,186 @@
+// lib/catalog/itunes.js — iTunes catalog through the TuneFlip proxy, itunes.apple.com as fallback
+
+import { ITUNES_PROXY_BASE as BACKEND } from "../config";
+import { fanOut } from "../search";
+import { upscaleArtwork } from "../tracks";
+
+const DEFAULT_GENRES = [
+  { id: 14,   name: "Pop" },
+  { id: 18,   name: "Hip-Hop/Rap" },
+  { id: 21,   name: "Rock" },
+  { id: 1153, name: "Metal" },           // ← added (iTunes subgenre)
+  { id: 20,   name: "Alternative" },
+  { id: 6,    name: "Country" },
+  { id: 15,   name: "R&B/Soul" },
+  { id: 17,   name: "Dance" },
+  { id: 7,    name: "Electronic" },
+  { id: 24,   name: "Latin" },
+  { id: 11,   name: "Jazz" },
+  { id: 2,    name: "Blues" },
+  { id: 5,    name: "Classical" },
+];
+const OMIT_GENRE_IDS = new Set([16, 1310, 1259]); // Reggae, K-Pop, Afrobeats
+const LOOKUP_CHUNK = 150;
+const TOP_TRACKS = 25;
+const MAX_ALBUMS = 50;
+
+const POPULAR_ORDER = [
+  /pop/i, /hip.?hop|rap/i, /rock/i, /metal/i, /indie/i, /alternative/i,
+  /electronic|dance/i, /r&b|soul/i, /latin/i, /country/i, /jazz/i, /blues/i, /soundtrack/i
+];
+const popularity = (name) => {
+  const n = String(name || "");
+  for (let i = 0; i < POPULAR_ORDER.length; i++) if (POPULAR_ORDER[i].test(n)) return i;
+  return POPULAR_ORDER.length + 1;
+};
+
+const listOf = (j) => (Array.isArray(j?.results) ? j.results : Array.isArray(j?.items) ? j.items : Array.isArray(j) ? j : []);
+
+async function fetchGenres() {
+  const res = await fetch(`${BACKEND}/api/itunes-genres?t=${Date.now()}`, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  let arr = await res.json();
+  if (!Array.isArray(arr)) arr = [];
+  // remove omitted
+  arr = arr.filter(g => !OMIT_GENRE_IDS.has(Number(g?.id)));
+
+  // If server gave us nothing, use the full default set (already includes Metal)
+  if (arr.length === 0) return DEFAULT_GENRES;
+
+  // Merge server + defaults, ensure Metal exists, de-dupe by id
+  const map = new Map(DEFAULT_GENRES.map(g => [String(g.id), g]));
+  for (const g of arr) map.set(String(g.id), g);
+
+  // Ensure Metal present
+  const hasMetal = Array.from(map.values()).some(g => /metal/i.test(String(g?.name)));
+  if (!hasMetal) map.set(String(1153), { id: 1153, name: "Metal" });
+
+  const merged = Array.from(map.values());
+  merged.sort((a, b) => popularity(a?.name) - popularity(b?.name));
+  return merged;
+}
+
+async function fetchGenreTracks(genreId, { limit, seed }) {
+  const url = `${BACKEND}/api/itunes-search?genreId=${genreId}&limit=${limit}&seed=${seed}&t=${Date.now()}`;
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`HTTP ${res.status} ${res.statusText} — ${text.slice(0, 200)}`);
+  }
+  return listOf(await res.json());
+}
+
+// Several query shapes, merged: the proxy's relevance is weak on its own. They run in
+// parallel; fanOut() drops the stragglers once `enough` is satisfied or the timeout hits.
+async function search(term, { limit, signal, enough }) {
+  const enc = encodeURIComponent;
+  const base = `limit=${limit}&country=US&t=${Date.now()}`;
+
+  const proxyTries = [
+    `${BACKEND}/api/itunes-search?term=${enc(term)}&media=music&entity=musicTrack&${base}`,
+    `${BACKEND}/api/itunes-search?term=${enc(term)}&${base}`,
+    `${BACKEND}/api/itunes-search?term=${enc(term)}&entity=musicTrack&attribute=songTerm&${base}`,
+    `${BACKEND}/api/itunes-search?term=${enc(term)}&entity=musicTrack&attribute=artistTerm&${base}`,
+    `${BACKEND}/api/itunes-search?term=${enc(term)}&entity=musicTrack&attribute=albumTerm&${base}`,
+  ];
+  const appleTries = [
+    `https://itunes.apple.com/search?term=${enc(term)}&media=music&entity=musicTrack&limit=${limit}`,
+    `https://itunes.apple.com/search?term=${enc(term)}&entity=musicTrack&limit=${limit}`,
+  ];
+
+  const pull = async (u, sig) => {
+    const r = await fetch(u, { cache: "no-store", signal: sig });
+    return r.ok ? listOf(await r.json()) : [];
+  };
+  return fanOut([...proxyTries, ...appleTries].map((u) => (sig) => pull(u, sig)), { signal, enough });
+}
+
+// One lookup query (proxy first, then Apple) → results, [] when nothing was found;
+// throws when neither answered, so callers can tell "offline" from "no such song"
+async function lookupRaw(query) {
+  let answered = false;
+  for (const u of [`${BACKEND}/api/itunes-lookup?${query}`, `https://itunes.apple.com/lookup?${query}`]) {
+    try {
+      const r = await fetch(u, { cache: "no-store" });
+      if (!r.ok) continue;
+      const list = listOf(await r.json());
+      answered = true;
+      if (list.length) return list;
+    } catch {}
+  }
+  if (!answered) throw new Error("The iTunes catalog couldn’t be reached.");
+  return [];
+}
+
+const isSong = (x) => x.wrapperType === "track" || x.kind === "song" || x.previewUrl;
+
+// Lookup by track id, in chunks the API accepts
+async function lookup(ids) {
+  const out = [];
+  const numeric = ids.map(Number).filter((n) => Number.isInteger(n) && n > 0);
+  let failed = 0, lastError = null;
+  for (let i = 0; i < numeric.length; i += LOOKUP_CHUNK) {
+    const q = numeric.slice(i, i + LOOKUP_CHUNK).join(",");
+    try { out.push(...(await lookupRaw(`id=${q}&entity=song`)).filter(isSong)); }
+    catch (e) { failed += 1; lastError = e; }
+  }
+  if (failed && failed === Math.ceil(numeric.length / LOOKUP_CHUNK)) throw lastError;
+  return out;
+}
+
+const albumOf = (c) => ({
+  id: c.collectionId,
+  title: c.collectionName || "Unknown album",
+  artist: c.artistName || "",
+  artwork: upscaleArtwork(c.artworkUrl100 || ""),
+  year: String(c.releaseDate || "").slice(0, 4),
+  trackCount: c.trackCount || 0,
+});
+
+// Tracks saved before artist / album ids were kept only have their own id
+async function idsFor(ref, need) {
+  if (ref[need]) return ref;
+  const hit = (await lookupRaw(`id=${Number(ref.id)}&entity=song`)).find((x) => String(x.trackId) === String(ref.id));
+  return { artistId: ref.artistId || hit?.artistId, albumId: ref.albumId || hit?.collectionId };
+}
+
+async function artistPage(ref) {
+  const { artistId } = await idsFor(ref, "artistId");
+  if (!artistId) throw new Error("Artist not found");
+  const [songs, albums] = await Promise.all([
+    lookupRaw(`id=${artistId}&entity=song&limit=${TOP_TRACKS}`),
+    lookupRaw(`id=${artistId}&entity=album&limit=${MAX_ALBUMS}`),
+  ]);
+  const info = [...songs, ...albums].find((x) => x.wrapperType === "artist");
+  if (!info && !songs.length) throw new Error("Artist not found");
+  return {
+    artist: { id: artistId, name: info?.artistName || ref.artist || "", genreName: info?.primaryGenreName || "" },
+    topTracks: songs.filter(isSong),
+    albums: albums.filter((x) => x.wrapperType === "collection").map(albumOf),
+  };
+}
+
+async function albumPage(ref) {
+  const { albumId } = await idsFor(ref, "albumId");
+  if (!albumId) throw new Error("Album not found");
+  const list = await lookupRaw(`id=${albumId}&entity=song&limit=200`);
+  const info = list.find((x) => x.wrapperType === "collection");
+  if (!info) throw new Error("Album not found");
+  const tracks = list.filter((x) => x.wrapperType === "track")
+    .sort((a, b) => (a.discNumber || 1) - (b.discNumber || 1) || (a.trackNumber || 0) - (b.trackNumber || 0));
+  return { album: { ...albumOf(info), artistId: info.artistId }, tracks };
+}
+
+export const itunesProvider = {
+  id: "itunes",
+  name: "Apple Music / iTunes",
+  defaultGenres: DEFAULT_GENRES,
+  fallbackGenreId: 21, // Rock
+  rankedFeed: true,
+  fetchGenres,
+  fetchGenreTracks,
+  search,
+  lookup,
+  artistPage,
+  albumPage,
+};
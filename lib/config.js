@@ -0,0 +1,26 @@
+// lib/config.js — endpoints & keys shared by the app-side modules
+// Values can be overridden per build through app.json → expo.extra.
+
+import Constants from "expo-constants";
+
+const extra = Constants.expoConfig?.extra || {};
+
+export const API_BASE = extra.apiBase || "https://tuneflip-api.vercel.app"; // placeholder
+export const INGEST_KEY = extra.ingestKey || "";
+
+// Catalog provider (lib/catalog): "itunes" | "deezer" | "fixtures"
+export const CATALOG_PROVIDER = extra.catalogProvider || "itunes";
+export const ITUNES_PROXY_BASE = extra.itunesProxyBase || "https://tuneflip-spotify-proxy.vercel.app";
+
+// Offline listening cache (lib/offlineCache.js): preview audio budget and feed pages kept
+export const OFFLINE_CACHE_MB = Number(extra.offlineCacheMB) || 150;
+export const OFFLINE_CACHE_PAGES = Number(extra.offlineCachePages) || 5;
+
+// Search-as-you-type (debounced); false = search on submit only
+export const LIVE_SEARCH = extra.liveSearch !== false;
+
+// Preview preloading (lib/preloadPool.js): cards kept loaded around the active one, and the
+// most sounds held at once
+export const PRELOAD_AHEAD = Number(extra.preloadAhead) || 3;
+export const PRELOAD_BEHIND = Number(extra.preloadBehind ?? 1);
+export const PRELOAD_MAX_SOUNDS = Number(extra.preloadMaxSounds) || 5;
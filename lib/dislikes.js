@@ -0,0 +1,44 @@
+// lib/dislikes.js — disliked songs, with the metadata to show and restore them
+// - Stored device-wide (like the cooldown dates) as { [trackKey]: { track, dislikedAt } };
+//   track is null when only the key is known (the old key-only list, sync / imports without one)
+//   until App looks it up in the catalog (fillDislikedTracks, at launch and after an import)
+// - Persisted in lib/localDb (dislikes + tracks tables); the old AsyncStorage keys are imported there
+// - Pure map operations return a new object; callers persist with saveDislikes(next, prev),
+//   which writes only the entries that changed
+
+import { loadDislikeRows, putDislikes, deleteDislikes } from "./localDb";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export async function loadDislikes() {
+  try { return await loadDislikeRows(); } catch { return {}; }
+}
+export async function saveDislikes(next, prev = {}) {
+  const changed = Object.fromEntries(Object.entries(next).filter(([k, d]) => prev[k] !== d));
+  const removed = Object.keys(prev).filter((k) => !(k in next));
+  if (Object.keys(changed).length) await putDislikes(changed);
+  if (removed.length) await deleteDislikes(removed);
+}
+
+// Known metadata and the original date survive a repeated dislike unless given explicitly
+export function addDislike(map, key, { track = null, at } = {}) {
+  const k = String(key);
+  const prev = map[k];
+  return { ...map, [k]: { track: track || prev?.track || null, dislikedAt: at ?? prev?.dislikedAt ?? Date.now() } };
+}
+
+export function removeDislikes(map, keys) {
+  const out = { ...map };
+  for (const k of keys) delete out[String(k)];
+  return out;
+}
+
+// Keys disliked more than `days` ago (0 = never expire)
+export function expiredDislikes(map, days, now = Date.now()) {
+  if (!days) return [];
+  return Object.keys(map).filter((k) => now - (map[k].dislikedAt || 0) > days * DAY_MS);
+}
+
+// [{ key, track, dislikedAt }] newest first
+export const listDislikes = (map) =>
+  Object.entries(map).map(([key, d]) => ({ key, track: d.track, dislikedAt: d.dislikedAt })).sort((a, b) => b.dislikedAt - a.dislikedAt);
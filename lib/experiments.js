@@ -0,0 +1,78 @@
+// lib/experiments.js — feed tuning experiments
+// - Each session is hashed into one variant per experiment (stable across restarts)
+// - The variant's params override FEED_DEFAULTS in diversify() / applyGlobalFilters()
+// - Assignments ride along in feed_version ("rank-v1.3f9a|feed_tuning_v1=strict"),
+//   which /api/stats/experiments splits back out per variant
+
+import { getSessionId } from "./analytics";
+
+export const FEED_DEFAULTS = {
+  page: 20,              // tracks per feed page (the ranked feed asks for 2 pages)
+  perArtistCap: 2,       // max tracks per artist in one feed
+  artistCooldown: 3,     // same artist not again within this many tracks
+  minCooledShare: 0.6,   // keep liked-cooldown tracks if filtering leaves < page * this
+  minKeep: 10,           // played-cooldown / genre tightening need at least min(this, page / 2) left
+  minNonDisliked: 5,     // keep disliked tracks if filtering leaves fewer than this
+};
+
+// Variants of one experiment must have distinct names; weights are relative
+export const EXPERIMENTS = [
+  {
+    id: "feed_tuning_v1",
+    variants: [
+      { name: "control", weight: 1, params: {} },
+      { name: "loose",   weight: 1, params: { perArtistCap: 3, artistCooldown: 2 } },
+      { name: "strict",  weight: 1, params: { perArtistCap: 1, artistCooldown: 5, page: 24 } },
+    ],
+  },
+];
+
+let assignments = {};        // experiment id → variant name
+let params = { ...FEED_DEFAULTS };
+let readyPromise = null;
+
+// FNV-1a, 32 bit — tiny and stable across platforms
+function hash32(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
+
+export function assignVariant(experiment, sessionId) {
+  const total = experiment.variants.reduce((s, v) => s + v.weight, 0);
+  let point = (hash32(`${experiment.id}:${sessionId}`) / 0x100000000) * total;
+  for (const v of experiment.variants) {
+    if ((point -= v.weight) < 0) return v;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+// Resolve this session's variants once; until then everything runs on FEED_DEFAULTS
+export function initExperiments() {
+  if (!readyPromise) {
+    readyPromise = (async () => {
+      const sessionId = await getSessionId();
+      const next = {}, merged = { ...FEED_DEFAULTS };
+      for (const exp of EXPERIMENTS) {
+        const v = assignVariant(exp, sessionId);
+        next[exp.id] = v.name;
+        Object.assign(merged, v.params);
+      }
+      assignments = next;
+      params = merged;
+    })().catch(() => {});
+  }
+  return readyPromise;
+}
+
+export const getFeedParams = () => params;
+export const getAssignments = () => ({ ...assignments });
+
+// "rank-v1.3f9a" → "rank-v1.3f9a|feed_tuning_v1=strict"
+export function tagFeedVersion(feedVersion) {
+  const tags = Object.entries(assignments).map(([id, name]) => `${id}=${name}`);
+  return tags.length ? [feedVersion, ...tags].join("|") : feedVersion;
+}
@@ -0,0 +1,71 @@
+// lib/familyMode.js — family mode: explicit songs hidden from feed, search and links
+// - Device-wide (the shared family tablet), `tuneflip_family_v1`: { enabled, pin: { salt, hash } | null }
+// - Turning it off takes the PIN set in ProfileScreen; so does changing the PIN
+// - The PIN is stored salted + hashed. That keeps it out of plain sight in storage; a 4–8 digit
+//   PIN is no real secret against someone with the device's files
+// - loadFamilyMode() once at startup; getFamilyMode() is sync afterwards
+// - Songs liked before tracks carried `explicit` get it looked up by App (fillExplicitFlags);
+//   familyHides() lets a track without the flag through
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const FAMILY_KEY = "tuneflip_family_v1";
+const HASH_ROUNDS = 2000;
+export const PIN_PATTERN = /^\d{4,8}$/;
+
+let state = { enabled: false, pin: null };
+
+// FNV-1a, stretched; enough to not keep the PIN as-is
+function hashPin(pin, salt) {
+  let h = 0x811c9dc5;
+  const input = `${salt}:${pin}`;
+  for (let r = 0; r < HASH_ROUNDS; r++) {
+    for (let i = 0; i < input.length; i++) {
+      h ^= input.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    h ^= r;
+  }
+  return h.toString(36);
+}
+
+const persist = () => AsyncStorage.setItem(FAMILY_KEY, JSON.stringify(state)).catch(() => {});
+const pinMatches = (pin) => !!state.pin && hashPin(String(pin || ""), state.pin.salt) === state.pin.hash;
+
+export async function loadFamilyMode() {
+  try {
+    const raw = JSON.parse((await AsyncStorage.getItem(FAMILY_KEY)) || "null");
+    if (raw && typeof raw === "object") state = { enabled: !!raw.enabled && !!raw.pin, pin: raw.pin || null };
+  } catch {}
+  return getFamilyMode();
+}
+
+// What the UI needs; the PIN hash never leaves this module
+export const getFamilyMode = () => ({ enabled: state.enabled, hasPin: !!state.pin });
+
+export const isExplicit = (t) => t?.explicit === true;
+export const familyHides = (t) => state.enabled && isExplicit(t);
+
+// Throws with a user-facing message; an existing PIN must be confirmed to change it
+export async function setFamilyPin(pin, currentPin) {
+  if (state.pin && !pinMatches(currentPin)) throw new Error("The current PIN is not right.");
+  if (!PIN_PATTERN.test(String(pin || ""))) throw new Error("Please use 4 to 8 digits for the PIN.");
+  const salt = Math.random().toString(36).slice(2, 10);
+  state = { ...state, pin: { salt, hash: hashPin(pin, salt) } };
+  await persist();
+  return getFamilyMode();
+}
+
+export async function enableFamilyMode() {
+  if (!state.pin) throw new Error("Set a PIN first, so family mode can’t be turned off without it.");
+  state = { ...state, enabled: true };
+  await persist();
+  return getFamilyMode();
+}
+
+export async function disableFamilyMode(pin) {
+  if (!pinMatches(pin)) throw new Error("That PIN is not right.");
+  state = { ...state, enabled: false };
+  await persist();
+  return getFamilyMode();
+}
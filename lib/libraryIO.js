@@ -0,0 +1,198 @@
+// lib/libraryIO.js — export / import of the liked library
+// - M3U & XSPF playlists point at previewUrl; CSV carries title/artist/album/storeUrl
+// - JSON is a full backup: liked, disliked, cooldown dates and playlists
+// - Files leave through the share sheet; imports come from the document picker
+
+import { Share } from "react-native";
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import * as DocumentPicker from "expo-document-picker";
+import { trackKey, dedupeById, normalizeTrack } from "./tracks";
+import { mergePlaylists } from "./playlists";
+
+export const BACKUP_FORMAT = "tuneflip-backup";
+export const BACKUP_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  m3u:  { label: "M3U playlist",  ext: "m3u",  mimeType: "audio/x-mpegurl",      uti: "public.m3u-playlist" },
+  xspf: { label: "XSPF playlist", ext: "xspf", mimeType: "application/xspf+xml", uti: "public.xml" },
+  csv:  { label: "CSV (spreadsheet)", ext: "csv", mimeType: "text/csv",          uti: "public.comma-separated-values-text" },
+  json: { label: "JSON backup",   ext: "json", mimeType: "application/json",     uti: "public.json" },
+};
+
+const CSV_COLUMNS = ["title", "artist", "album", "storeUrl", "id"];
+
+// ===== Writers =====
+export function toM3U(tracks) {
+  const lines = ["#EXTM3U"];
+  for (const t of tracks) {
+    const location = t.previewUrl || t.storeUrl;
+    if (!location) continue;
+    lines.push(`#EXTINF:-1,${t.artist} - ${t.title}`.replace(/[\r\n]+/g, " "), location);
+  }
+  return lines.join("\n") + "\n";
+}
+
+const xml = (s) => String(s ?? "").replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
+
+export function toXSPF(tracks, title = "TuneFlip") {
+  const items = tracks
+    .filter((t) => t.previewUrl || t.storeUrl)
+    .map((t) => [
+      "    <track>",
+      `      <location>${xml(t.previewUrl || t.storeUrl)}</location>`,
+      `      <title>${xml(t.title)}</title>`,
+      `      <creator>${xml(t.artist)}</creator>`,
+      `      <album>${xml(t.album)}</album>`,
+      t.artwork ? `      <image>${xml(t.artwork)}</image>` : null,
+      t.storeUrl ? `      <info>${xml(t.storeUrl)}</info>` : null,
+      `      <identifier>${xml(`tuneflip:track:${trackKey(t)}`)}</identifier>`,
+      "    </track>",
+    ].filter(Boolean).join("\n"));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${xml(title)}</title>`,
+    "  <trackList>",
+    ...items,
+    "  </trackList>",
+    "</playlist>",
+    "",
+  ].join("\n");
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCSV(tracks) {
+  const rows = [CSV_COLUMNS.join(",")];
+  for (const t of tracks) rows.push(CSV_COLUMNS.map((c) => csvCell(c === "id" ? t.id : t[c])).join(","));
+  return rows.join("\r\n") + "\r\n";
+}
+
+// library: { user, liked, disliked, likedDates, playedDates, playlists }
+export function toBackupJSON(library) {
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: library.user || null,
+    liked: library.liked || [],
+    disliked: (library.disliked || []).map(String),
+    likedDates: library.likedDates || {},
+    playedDates: library.playedDates || {},
+    playlists: library.playlists || [],
+  }, null, 2);
+}
+
+// ===== Readers =====
+// RFC 4180: quoted cells, doubled quotes, CRLF or LF line ends
+export function parseCSV(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((x) => x.trim()));
+}
+
+// CSV → raw track objects keyed by header name (case-insensitive; "name" / "url" aliases ok)
+export function csvToRawTracks(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+  const cols = header.map((h) => h.trim().toLowerCase());
+  const idx = (...names) => cols.findIndex((c) => names.includes(c));
+  const at = { title: idx("title", "name", "track"), artist: idx("artist"), album: idx("album"), storeUrl: idx("storeurl", "url", "store url"), id: idx("id", "trackid") };
+  if (at.title < 0 || at.artist < 0) throw new Error("CSV needs at least “title” and “artist” columns.");
+  return rows.map((r) => {
+    const get = (k) => (at[k] >= 0 ? (r[at[k]] || "").trim() : "");
+    const id = get("id");
+    return { title: get("title"), artist: get("artist"), album: get("album") || undefined, storeUrl: get("storeUrl"), id: /^\d+$/.test(id) ? Number(id) : id || undefined };
+  }).filter((t) => t.title && t.artist);
+}
+
+// Apple store URLs carry the track id as ?i=<id>
+export const trackIdFromStoreUrl = (url) => {
+  const m = /[?&]i=(\d+)/.exec(String(url || ""));
+  return m ? Number(m[1]) : null;
+};
+
+export function parseBackup(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("That file is not valid JSON."); }
+  if (data?.format !== BACKUP_FORMAT) throw new Error("That JSON file is not a TuneFlip backup.");
+  if (Number(data.version) > BACKUP_VERSION) throw new Error("This backup was made by a newer TuneFlip. Please update the app.");
+  const dates = (m) => Object.fromEntries(Object.entries(m && typeof m === "object" ? m : {}).filter(([, v]) => Number.isFinite(v)));
+  return {
+    liked: (Array.isArray(data.liked) ? data.liked : []).filter((t) => t && typeof t === "object").map(normalizeTrack),
+    disliked: (Array.isArray(data.disliked) ? data.disliked : []).map(String),
+    likedDates: dates(data.likedDates),
+    playedDates: dates(data.playedDates),
+    playlists: (Array.isArray(data.playlists) ? data.playlists : [])
+      .filter((p) => p && typeof p.name === "string")
+      .map((p) => ({ ...p, tracks: (Array.isArray(p.tracks) ? p.tracks : []).map(normalizeTrack) })),
+  };
+}
+
+// Fold an import into the current library. Decisions already on this device win:
+// a liked track never becomes a dislike and vice versa; cooldown dates keep the latest value.
+export function mergeLibrary(current, incoming) {
+  const curLiked = current.liked || [];
+  const curDisliked = new Set((current.disliked || []).map(String));
+  const liked = dedupeById([...curLiked, ...(incoming.liked || []).filter((t) => !curDisliked.has(String(trackKey(t))))]);
+  const likedKeys = new Set(liked.map((t) => String(trackKey(t))));
+  const disliked = Array.from(new Set([...curDisliked, ...(incoming.disliked || []).map(String).filter((k) => !likedKeys.has(k))]));
+  const maxDates = (a = {}, b = {}) => {
+    const out = { ...a };
+    for (const [k, v] of Object.entries(b)) if (!(out[k] >= v)) out[k] = v;
+    return out;
+  };
+  return {
+    liked,
+    disliked,
+    likedDates: maxDates(current.likedDates, incoming.likedDates),
+    playedDates: maxDates(current.playedDates, incoming.playedDates),
+    playlists: mergePlaylists(current.playlists || [], incoming.playlists || []),
+  };
+}
+
+// ===== Files =====
+export async function shareExport(format, content, baseName = "tuneflip-liked") {
+  const f = EXPORT_FORMATS[format];
+  if (!f) throw new Error(`Unknown export format: ${format}`);
+  const name = `${baseName}-${new Date().toISOString().slice(0, 10)}.${f.ext}`;
+  if (!FileSystem.cacheDirectory || !(await Sharing.isAvailableAsync())) {
+    return Share.share({ title: name, message: content }); // web / no file sharing: share as text
+  }
+  const uri = FileSystem.cacheDirectory + name.replace(/[^\w.-]+/g, "_");
+  await FileSystem.writeAsStringAsync(uri, content, { encoding: FileSystem.EncodingType.UTF8 });
+  await Sharing.shareAsync(uri, { mimeType: f.mimeType, UTI: f.uti, dialogTitle: `Export ${f.label}` });
+}
+
+// → { kind: "json" | "csv", text } or null when the user cancels
+export async function pickImportFile() {
+  const res = await DocumentPicker.getDocumentAsync({
+    type: ["application/json", "text/csv", "text/comma-separated-values", "text/plain", "*/*"],
+    copyToCacheDirectory: true,
+    multiple: false,
+  });
+  if (res.canceled || !res.assets?.length) return null;
+  const asset = res.assets[0];
+  const text = await FileSystem.readAsStringAsync(asset.uri, { encoding: FileSystem.EncodingType.UTF8 });
+  const looksJson = /\.json$/i.test(asset.name || "") || /json/i.test(asset.mimeType || "") || /^\s*\{/.test(text);
+  return { kind: looksJson ? "json" : "csv", text };
+}
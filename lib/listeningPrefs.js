@@ -0,0 +1,81 @@
+// lib/listeningPrefs.js — per-user listening preferences: cooldowns and content filters
+// - Stored per user, `tuneflip_listening_v1:<user>` (a guest bucket while logged out)
+// - Defaults reproduce the built-in behaviour: 60-day cooldowns, every content filter on,
+//   genre tightening only when enough songs are left
+// - contentHidden(prefs, track) covers the filters + the user's own keywords; cooldowns and
+//   genre tightening are applied by the feed (App.js applyGlobalFilters)
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const PREFS_KEY = "tuneflip_listening_v1";
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const KEYWORD_MAX = 40;
+export const KEYWORDS_MAX = 50;
+
+export const CONTENT_FILTERS = [
+  { id: "karaoke", label: "Karaoke & backing tracks", patterns: [/karaoke/i, /backing track/i, /as made famous by/i, /originally performed/i] },
+  { id: "tribute", label: "Tribute versions", patterns: [/tribute/i] },
+  { id: "instrumental", label: "Instrumental versions", patterns: [/instrumental(?: version)?/i] },
+];
+// Every built-in filter, for feeds that must not depend on personal settings (shared mixes)
+export const ALL_FILTER_PATTERNS = CONTENT_FILTERS.flatMap((f) => f.patterns);
+
+export const COOLDOWN_CHOICES = [0, 7, 30, 60, 90, 180]; // days; 0 = no cooldown
+// off: never narrow to the selected genres · loose: only when enough songs are left · strict: always
+export const GENRE_STRICTNESS = ["off", "loose", "strict"];
+
+export const DEFAULT_LISTENING_PREFS = {
+  likeCooldownDays: 60,
+  playCooldownDays: 60,
+  filters: { karaoke: true, tribute: true, instrumental: true },
+  keywords: [],
+  genreStrictness: "loose",
+};
+
+const storageKey = (user) => `${PREFS_KEY}:${user || "guest"}`;
+
+export const loadListeningPrefs = async (user) => {
+  try {
+    const raw = JSON.parse((await AsyncStorage.getItem(storageKey(user))) || "null");
+    if (!raw || typeof raw !== "object") return DEFAULT_LISTENING_PREFS;
+    return {
+      ...DEFAULT_LISTENING_PREFS,
+      ...raw,
+      filters: { ...DEFAULT_LISTENING_PREFS.filters, ...raw.filters },
+      keywords: Array.isArray(raw.keywords) ? raw.keywords : [],
+    };
+  } catch { return DEFAULT_LISTENING_PREFS; }
+};
+export const saveListeningPrefs = (user, prefs) => AsyncStorage.setItem(storageKey(user), JSON.stringify(prefs));
+
+// Throws with a user-facing message when the keyword is unusable
+export function addKeyword(prefs, word) {
+  const clean = String(word || "").trim().toLowerCase();
+  if (!clean) throw new Error("Please enter a word or phrase.");
+  if (clean.length > KEYWORD_MAX) throw new Error(`Keywords can be at most ${KEYWORD_MAX} characters.`);
+  if (prefs.keywords.includes(clean)) return prefs;
+  if (prefs.keywords.length >= KEYWORDS_MAX) throw new Error(`You can exclude at most ${KEYWORDS_MAX} keywords.`);
+  return { ...prefs, keywords: [...prefs.keywords, clean] };
+}
+export const removeKeyword = (prefs, word) => ({ ...prefs, keywords: prefs.keywords.filter((k) => k !== word) });
+
+// Keywords match whole words ("live" hides "Live at Wembley", not "Alive"); cached per keyword
+const keywordRes = new Map();
+function keywordRe(k) {
+  if (!keywordRes.has(k)) {
+    const escaped = k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+    keywordRes.set(k, new RegExp(`(?:^|[^\\w\\u00C0-\\u024F])${escaped}(?:[^\\w\\u00C0-\\u024F]|$)`, "i"));
+  }
+  return keywordRes.get(k);
+}
+
+export function contentHidden(prefs, t) {
+  const blob = `${t?.title || ""} ${t?.album || ""} ${t?.artist || ""}`;
+  if (CONTENT_FILTERS.some((f) => prefs.filters[f.id] && f.patterns.some((re) => re.test(blob)))) return true;
+  return prefs.keywords.some((k) => keywordRe(k).test(blob));
+}
+
+// Timestamps after which a liked / played song is still cooling down
+export function cooldownCutoffs(prefs, now = Date.now()) {
+  return { liked: now - prefs.likeCooldownDays * DAY_MS, played: now - prefs.playCooldownDays * DAY_MS };
+}
@@ -0,0 +1,241 @@
+// lib/localDb.js — on-device SQLite store for the library: tracks, likes, dislikes, plays, profiles
+// - Replaces the whole-map AsyncStorage JSON blobs: a like, dislike or play is a one-row write,
+//   not a rewrite of everything ever liked / played (full rewrites: import and undo reorders)
+// - Writes run one at a time through write(): expo-sqlite transactions are a plain
+//   BEGIN / COMMIT on the one connection, so two overlapping ones would fail and roll back
+// - Schema changes are numbered MIGRATIONS, tracked in PRAGMA user_version; each runs once, in
+//   a transaction. Migration 2 imports the old `_v1` AsyncStorage keys (then removes them)
+// - Cooldown rows (likes, plays) older than any cooldown can reach are pruned by
+//   pruneCooldowns(); likes of songs still in someone's Liked Songs are kept for sync
+// - Track metadata lives once in `tracks`, shared by liked songs and dislikes
+// - Everything is async and device-wide; `owner` scopes Liked Songs and profiles
+//   ("" = the logged-out profile)
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as SQLite from "expo-sqlite";
+import { trackKey } from "./tracks";
+
+const DB_NAME = "tuneflip.db";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOGGED_OUT = "";
+
+// The AsyncStorage keys this store took over (migration 2)
+const V1_KEYS = {
+  profile: "tuneflip_profile_v1",
+  usersDb: "tuneflip_users_db_v1",
+  likedSongs: "tuneflip_liked_v1", // + ":<user>"
+  likedDates: "tuneflip_liked_dates_v1",
+  playedDates: "tuneflip_played_dates_v1",
+  dislikes: "tuneflip_disliked_v2",
+  legacyDislikes: "tuneflip_disliked_v1", // ["trackKey", …], from before lib/dislikes kept metadata
+};
+
+const readJson = async (key, fallback) => {
+  try { return JSON.parse((await AsyncStorage.getItem(key)) || "null") ?? fallback; } catch { return fallback; }
+};
+const isMap = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+const putTrack = (db, key, track, at = Date.now()) =>
+  db.runAsync("INSERT OR REPLACE INTO tracks (track_key, data, updated_at) VALUES (?, ?, ?)", String(key), JSON.stringify(track), at);
+
+// Writes the old blobs into the tables; returns the cleanup to run once that is committed
+async function importV1Storage(db) {
+  const now = Date.now();
+
+  const profile = await readJson(V1_KEYS.profile, null);
+  if (isMap(profile)) await db.runAsync("INSERT OR REPLACE INTO profiles (owner, data) VALUES (?, ?)", LOGGED_OUT, JSON.stringify(profile));
+  const users = await readJson(V1_KEYS.usersDb, {});
+  for (const [owner, p] of Object.entries(isMap(users) ? users : {})) {
+    if (owner && isMap(p)) await db.runAsync("INSERT OR REPLACE INTO profiles (owner, data) VALUES (?, ?)", owner, JSON.stringify(p));
+  }
+
+  const likedKeys = (await AsyncStorage.getAllKeys()).filter((k) => k.startsWith(`${V1_KEYS.likedSongs}:`));
+  for (const key of likedKeys) {
+    const list = await readJson(key, []);
+    const owner = key.slice(V1_KEYS.likedSongs.length + 1);
+    if (Array.isArray(list)) await writeLikedSongs(db, owner, list);
+  }
+
+  for (const [table, col, key] of [["likes", "liked_at", V1_KEYS.likedDates], ["plays", "played_at", V1_KEYS.playedDates]]) {
+    const dates = await readJson(key, {});
+    for (const [k, at] of Object.entries(isMap(dates) ? dates : {})) {
+      if (Number.isFinite(at)) await db.runAsync(`INSERT OR REPLACE INTO ${table} (track_key, ${col}) VALUES (?, ?)`, k, at);
+    }
+  }
+
+  let dislikes = await readJson(V1_KEYS.dislikes, null);
+  if (!isMap(dislikes)) {
+    const legacy = await readJson(V1_KEYS.legacyDislikes, []);
+    // Real dates were never kept; expiry counts from the import
+    dislikes = Object.fromEntries((Array.isArray(legacy) ? legacy : []).map((k) => [String(k), { track: null, dislikedAt: now }]));
+  }
+  await writeDislikes(db, dislikes);
+
+  return () => AsyncStorage.multiRemove([
+    V1_KEYS.profile, V1_KEYS.usersDb, V1_KEYS.likedDates, V1_KEYS.playedDates, V1_KEYS.dislikes, V1_KEYS.legacyDislikes, ...likedKeys,
+  ]).catch(() => {});
+}
+
+// Append only: index i brings the database from user_version i to i + 1
+const MIGRATIONS = [
+  (db) => db.execAsync(`
+    CREATE TABLE tracks (track_key TEXT PRIMARY KEY NOT NULL, data TEXT NOT NULL, updated_at INTEGER NOT NULL);
+    CREATE TABLE liked_songs (owner TEXT NOT NULL, track_key TEXT NOT NULL, position INTEGER NOT NULL, PRIMARY KEY (owner, track_key));
+    CREATE INDEX liked_songs_order ON liked_songs (owner, position);
+    CREATE TABLE likes (track_key TEXT PRIMARY KEY NOT NULL, liked_at INTEGER NOT NULL);
+    CREATE INDEX likes_liked_at ON likes (liked_at);
+    CREATE TABLE plays (track_key TEXT PRIMARY KEY NOT NULL, played_at INTEGER NOT NULL);
+    CREATE INDEX plays_played_at ON plays (played_at);
+    CREATE TABLE dislikes (track_key TEXT PRIMARY KEY NOT NULL, disliked_at INTEGER NOT NULL);
+    CREATE TABLE profiles (owner TEXT PRIMARY KEY NOT NULL, data TEXT NOT NULL);
+  `),
+  importV1Storage,
+];
+
+async function migrate(db) {
+  const { user_version: version = 0 } = (await db.getFirstAsync("PRAGMA user_version")) || {};
+  for (let v = version; v < MIGRATIONS.length; v++) {
+    let cleanup;
+    await db.withTransactionAsync(async () => {
+      cleanup = await MIGRATIONS[v](db);
+      await db.execAsync(`PRAGMA user_version = ${v + 1}`);
+    });
+    if (typeof cleanup === "function") await cleanup();
+  }
+}
+
+let dbPromise = null;
+// Opened + migrated once; a failed open is retried by the next caller
+export function getDb() {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      const db = await SQLite.openDatabaseAsync(DB_NAME);
+      await db.execAsync("PRAGMA journal_mode = WAL;");
+      await migrate(db);
+      return db;
+    })().catch((e) => { dbPromise = null; throw e; });
+  }
+  return dbPromise;
+}
+
+let writeQueue = Promise.resolve();
+// Queue a write; task(db) runs inside its own transaction once the ones before it are done
+function write(task) {
+  const run = writeQueue.then(async () => {
+    const db = await getDb();
+    let result;
+    await db.withTransactionAsync(async () => { result = await task(db); });
+    return result;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// ===== Liked Songs (per owner, ordered by position: newest first) =====
+async function writeLikedSongs(db, owner, list) {
+  await db.runAsync("DELETE FROM liked_songs WHERE owner = ?", owner);
+  const now = Date.now();
+  for (let i = 0; i < list.length; i++) {
+    if (!list[i]) continue;
+    const k = String(trackKey(list[i]));
+    await putTrack(db, k, list[i], now);
+    await db.runAsync("INSERT OR REPLACE INTO liked_songs (owner, track_key, position) VALUES (?, ?, ?)", owner, k, i);
+  }
+}
+
+export async function loadLikedSongs(owner) {
+  const db = await getDb();
+  const rows = await db.getAllAsync(
+    "SELECT t.data FROM liked_songs l JOIN tracks t ON t.track_key = l.track_key WHERE l.owner = ? ORDER BY l.position",
+    owner,
+  );
+  return rows.map((r) => JSON.parse(r.data));
+}
+// Whole list (imports, undo putting a song back at its old place)
+export const saveLikedSongs = (owner, list) => write((db) => writeLikedSongs(db, owner, list || []));
+
+// A new (or repeated) like goes to the top
+export const addLikedSong = (owner, track) => write(async (db) => {
+  const k = String(trackKey(track));
+  const row = await db.getFirstAsync("SELECT MIN(position) AS top FROM liked_songs WHERE owner = ?", owner);
+  await putTrack(db, k, track);
+  await db.runAsync("INSERT OR REPLACE INTO liked_songs (owner, track_key, position) VALUES (?, ?, ?)", owner, k, (row?.top ?? 0) - 1);
+});
+export const removeLikedSong = (owner, key) =>
+  write((db) => db.runAsync("DELETE FROM liked_songs WHERE owner = ? AND track_key = ?", owner, String(key)));
+// New metadata for tracks already stored (a field older rows lack); lists and order stay as they are
+export const updateTracks = (tracks) => write(async (db) => {
+  const now = Date.now();
+  for (const t of tracks) {
+    await db.runAsync("UPDATE tracks SET data = ?, updated_at = ? WHERE track_key = ?", JSON.stringify(t), now, String(trackKey(t)));
+  }
+});
+
+// ===== Cooldown dates: { [trackKey]: ms } =====
+const loadDates = async (table, col) => {
+  const db = await getDb();
+  const rows = await db.getAllAsync(`SELECT track_key, ${col} AS at FROM ${table}`);
+  return Object.fromEntries(rows.map((r) => [r.track_key, r.at]));
+};
+// Upserts only the given keys; a null / missing date removes the row
+const putDates = (table, col, entries) => write(async (db) => {
+  for (const [k, at] of Object.entries(entries)) {
+    if (Number.isFinite(at)) await db.runAsync(`INSERT OR REPLACE INTO ${table} (track_key, ${col}) VALUES (?, ?)`, String(k), at);
+    else await db.runAsync(`DELETE FROM ${table} WHERE track_key = ?`, String(k));
+  }
+});
+
+export const loadLikedDates = () => loadDates("likes", "liked_at");
+export const putLikedDates = (entries) => putDates("likes", "liked_at", entries);
+export const loadPlayedDates = () => loadDates("plays", "played_at");
+export const putPlayedDates = (entries) => putDates("plays", "played_at", entries);
+
+// Drop likes / plays older than `maxDays` (the longest cooldown on offer); returns rows removed
+export function pruneCooldowns(maxDays, now = Date.now()) {
+  const cutoff = now - maxDays * DAY_MS;
+  return write(async (db) => {
+    let removed = (await db.runAsync("DELETE FROM plays WHERE played_at < ?", cutoff)).changes;
+    removed += (await db.runAsync(
+      "DELETE FROM likes WHERE liked_at < ? AND track_key NOT IN (SELECT track_key FROM liked_songs)", cutoff,
+    )).changes;
+    await db.runAsync(
+      "DELETE FROM tracks WHERE track_key NOT IN (SELECT track_key FROM liked_songs) AND track_key NOT IN (SELECT track_key FROM dislikes)",
+    );
+    return removed;
+  });
+}
+
+// ===== Dislikes: { [trackKey]: { track, dislikedAt } } (lib/dislikes) =====
+const insertDislike = async (db, key, d) => {
+  await db.runAsync("INSERT OR REPLACE INTO dislikes (track_key, disliked_at) VALUES (?, ?)", String(key), d?.dislikedAt || Date.now());
+  if (d?.track) await putTrack(db, key, d.track);
+};
+// Import only; the app writes single rows
+async function writeDislikes(db, map) {
+  await db.runAsync("DELETE FROM dislikes");
+  for (const [k, d] of Object.entries(map || {})) await insertDislike(db, k, d);
+}
+
+export async function loadDislikeRows() {
+  const db = await getDb();
+  const rows = await db.getAllAsync(
+    "SELECT d.track_key, d.disliked_at, t.data FROM dislikes d LEFT JOIN tracks t ON t.track_key = d.track_key",
+  );
+  return Object.fromEntries(rows.map((r) => [r.track_key, { track: r.data ? JSON.parse(r.data) : null, dislikedAt: r.disliked_at }]));
+}
+// Upserts / deletes only the given keys, in one transaction
+export const putDislikes = (entries) => write(async (db) => {
+  for (const [k, d] of Object.entries(entries)) await insertDislike(db, k, d);
+});
+export const deleteDislikes = (keys) => write(async (db) => {
+  for (const k of keys) await db.runAsync("DELETE FROM dislikes WHERE track_key = ?", String(k));
+});
+
+// ===== Profiles (per owner; "" = logged out) =====
+export async function loadProfileRow(owner = LOGGED_OUT) {
+  const db = await getDb();
+  const row = await db.getFirstAsync("SELECT data FROM profiles WHERE owner = ?", owner);
+  return row ? JSON.parse(row.data) : null;
+}
+export const saveProfileRow = (owner = LOGGED_OUT, profile) =>
+  write((db) => db.runAsync("INSERT OR REPLACE INTO profiles (owner, data) VALUES (?, ?)", owner, JSON.stringify(profile)));
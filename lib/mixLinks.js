@@ -0,0 +1,54 @@
+// lib/mixLinks.js — "Share this mix" links
+// - A mix is { genreIds, seed, params: { page, perArtistCap, artistCooldown }, provider, trackIds? }
+// - Links: https://tuneflip.app/feed?g=14,21&s=3f9a2c&n=20&cap=2&cd=3&p=itunes (or tuneflip://feed?…)
+// - The seeded genre mix is deterministic, so the same link rebuilds the same songs anywhere.
+//   Feeds that aren't (the personalized /api/feed ranking, offline pages) carry their songs
+//   instead: &t=<id>,<id>,… in feed order
+
+import * as Linking from "expo-linking";
+
+export const MIX_LINK_BASE = "https://tuneflip.app/feed"; // placeholder
+const MIX_LINK_VERSION = "1";
+const MAX_GENRES = 8;
+export const MAX_MIX_TRACKS = 50;
+const TRACK_ID = /^(?:\d{1,20}|dz:\d{1,20}|fx:[\w-]{1,40})$/;
+
+const clampInt = (v, min, max) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+};
+
+export function buildMixLink({ genreIds, seed, params, provider, trackIds }) {
+  const q = new URLSearchParams({
+    v: MIX_LINK_VERSION,
+    g: (genreIds || []).join(","),
+    s: (seed >>> 0).toString(36),
+    n: String(params.page),
+    cap: String(params.perArtistCap),
+    cd: String(params.artistCooldown),
+    p: provider,
+  });
+  if (trackIds?.length) q.set("t", trackIds.slice(0, MAX_MIX_TRACKS).join(","));
+  return `${MIX_LINK_BASE}?${q.toString()}`;
+}
+
+// → mix or null when the url is not a (valid) mix link
+export function parseMixLink(url) {
+  const parsed = Linking.parse(url);
+  // https links route by path; tuneflip://feed puts "feed" in the host
+  const route = (/^https?$/.test(parsed?.scheme || "") ? parsed.path : parsed?.path || parsed?.hostname) || "";
+  if (route.replace(/^\/+|\/+$/g, "") !== "feed") return null;
+
+  const q = parsed.queryParams || {};
+  const genreIds = String(q.g || "").split(",").map(Number).filter((n) => Number.isInteger(n) && n >= 0).slice(0, MAX_GENRES);
+  const seed = parseInt(String(q.s || ""), 36) >>> 0;
+  const page = clampInt(q.n, 5, 50);
+  const perArtistCap = clampInt(q.cap, 1, 10);
+  const artistCooldown = clampInt(q.cd, 0, 10);
+  if (!genreIds.length || !seed || page == null || perArtistCap == null || artistCooldown == null) return null;
+  const trackIds = String(q.t || "").split(",").filter((id) => TRACK_ID.test(id)).slice(0, MAX_MIX_TRACKS);
+  return {
+    genreIds, seed, params: { page, perArtistCap, artistCooldown }, provider: String(q.p || "itunes"),
+    ...(trackIds.length ? { trackIds } : {}),
+  };
+}
@@ -0,0 +1,135 @@
+// lib/offlineCache.js — offline listening: last feed pages + their preview files on disk
+// - Keeps the newest N feed pages (track metadata) in INDEX_KEY
+// - Preview audio is downloaded next to it, bounded by a byte budget; LRU eviction
+// - localPreviewUri() lets playback prefer the local file over previewUrl
+// - Disliked / cooldown tracks are neither cached nor served (caller passes isExcluded)
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as FileSystem from "expo-file-system";
+import { trackKey, dedupeById } from "./tracks";
+import { OFFLINE_CACHE_MB, OFFLINE_CACHE_PAGES } from "./config";
+
+const INDEX_KEY = "tuneflip_offline_index_v1";
+const CACHE_DIR = FileSystem.documentDirectory ? `${FileSystem.documentDirectory}offline-previews/` : null;
+
+let limits = { maxBytes: OFFLINE_CACHE_MB * 1024 * 1024, maxPages: OFFLINE_CACHE_PAGES };
+// pages: [{ id, savedAt, feedVersion, keys[] }] newest first
+// files: { [trackKey]: { track, uri, bytes, lastUsed } }
+let index = { pages: [], files: {} };
+let readyPromise = null;
+let downloading = null; // serializes cacheFeedPage runs
+
+async function hydrate() {
+  try {
+    const raw = JSON.parse((await AsyncStorage.getItem(INDEX_KEY)) || "null");
+    if (raw && Array.isArray(raw.pages) && raw.files) index = raw;
+  } catch {}
+  if (CACHE_DIR) await FileSystem.makeDirectoryAsync(CACHE_DIR, { intermediates: true }).catch(() => {});
+}
+const ensureReady = () => readyPromise || (readyPromise = hydrate());
+const persist = () => AsyncStorage.setItem(INDEX_KEY, JSON.stringify(index)).catch(() => {});
+
+const fileName = (key) => `${String(key).replace(/[^\w-]+/g, "_").slice(0, 80)}.m4a`;
+const usedBytes = () => Object.values(index.files).reduce((s, f) => s + (f.bytes || 0), 0);
+
+async function dropFile(key) {
+  const f = index.files[key];
+  delete index.files[key];
+  if (f?.uri) await FileSystem.deleteAsync(f.uri, { idempotent: true }).catch(() => {});
+}
+
+// Oldest pages past maxPages go first, then least-recently-used files until under budget.
+// `pending` are the keys of a page still downloading (not in index.pages yet); they count as referenced
+async function evict(pending = []) {
+  index.pages = index.pages.slice(0, limits.maxPages);
+  const referenced = new Set([...index.pages.flatMap((p) => p.keys), ...pending]);
+  for (const key of Object.keys(index.files)) if (!referenced.has(key)) await dropFile(key);
+
+  let used = usedBytes();
+  const lru = Object.entries(index.files).sort((a, b) => (a[1].lastUsed || 0) - (b[1].lastUsed || 0));
+  for (const [key, f] of lru) {
+    if (used <= limits.maxBytes) break;
+    used -= f.bytes || 0;
+    await dropFile(key);
+  }
+  const kept = new Set(Object.keys(index.files));
+  index.pages = index.pages.map((p) => ({ ...p, keys: p.keys.filter((k) => kept.has(k)) })).filter((p) => p.keys.length);
+}
+
+// { maxBytes?, maxPages? } — applied on the next write; shrinking evicts right away
+export async function configureOfflineCache(patch) {
+  limits = { ...limits, ...Object.fromEntries(Object.entries(patch || {}).filter(([, v]) => Number.isFinite(v) && v >= 0)) };
+  await ensureReady();
+  await evict();
+  await persist();
+}
+
+export async function getOfflineCacheUsage() {
+  await ensureReady();
+  return { bytes: usedBytes(), tracks: Object.keys(index.files).length, pages: index.pages.length };
+}
+
+// Remember a feed page and download its previews in the background (one page at a time)
+export function cacheFeedPage(tracks, feedVersion, { isExcluded } = {}) {
+  if (!CACHE_DIR || !Array.isArray(tracks) || !tracks.length) return Promise.resolve();
+  const run = async () => {
+    await ensureReady();
+    const keep = dedupeById(tracks).filter((t) => t.previewUrl && !isExcluded?.(t));
+    const keys = [];
+    for (const t of keep) {
+      const key = String(trackKey(t));
+      const have = index.files[key];
+      if (have) {
+        have.lastUsed = Date.now();
+        keys.push(key);
+        continue;
+      }
+      try {
+        const uri = CACHE_DIR + fileName(key);
+        const dl = await FileSystem.downloadAsync(t.previewUrl, uri);
+        if (dl.status !== 200) { await FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {}); continue; }
+        const info = await FileSystem.getInfoAsync(uri);
+        index.files[key] = { track: t, uri, bytes: info.exists ? info.size || 0 : 0, lastUsed: Date.now() };
+        keys.push(key);
+      } catch {
+        break; // network went away mid-page: keep what we have
+      }
+      if (usedBytes() > limits.maxBytes * 1.25) await evict(keys); // don't overshoot the budget while downloading
+    }
+    if (keys.length) index.pages.unshift({ id: `${Date.now().toString(36)}`, savedAt: Date.now(), feedVersion: feedVersion || null, keys });
+    await evict();
+    await persist();
+  };
+  downloading = (downloading || Promise.resolve()).then(run, run).catch(() => {});
+  return downloading;
+}
+
+// Cached tracks, newest page first (play them through localPreviewUri)
+export async function loadCachedFeed({ isExcluded } = {}) {
+  await ensureReady();
+  const out = [];
+  for (const p of index.pages) {
+    for (const key of p.keys) {
+      const f = index.files[key];
+      if (f && !isExcluded?.(f.track)) out.push(f.track);
+    }
+  }
+  return dedupeById(out);
+}
+
+// Local file for a track if we have one (sync; falls back to undefined before hydration)
+export function localPreviewUri(track) {
+  const f = track && index.files[String(trackKey(track))];
+  if (!f) return undefined;
+  f.lastUsed = Date.now(); // persisted with the next cache write
+  return f.uri;
+}
+
+export async function clearOfflineCache() {
+  await ensureReady();
+  for (const key of Object.keys(index.files)) await dropFile(key);
+  index = { pages: [], files: {} };
+  await persist();
+}
+
+ensureReady();
@@ -0,0 +1,92 @@
+// lib/playlists.js — named playlists built from liked songs
+// - Stored per user next to the liked list: `tuneflip_playlists_v1:<user>`
+// - Pure list operations return a new array; callers persist with savePlaylists()
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { trackKey } from "./tracks";
+
+const PLAYLISTS_KEY = "tuneflip_playlists_v1";
+export const PLAYLIST_NAME_MAX = 60;
+
+export const loadPlaylists = async (user) => {
+  if (!user) return [];
+  try {
+    const arr = JSON.parse((await AsyncStorage.getItem(`${PLAYLISTS_KEY}:${user}`)) || "[]");
+    return Array.isArray(arr) ? arr : [];
+  } catch { return []; }
+};
+export const savePlaylists = (user, lists) => {
+  if (!user) return Promise.resolve(); // no-op when logged out (same rule as liked songs)
+  return AsyncStorage.setItem(`${PLAYLISTS_KEY}:${user}`, JSON.stringify(lists));
+};
+
+const makeId = () => `pl_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Throws with a user-facing message when the name is unusable
+function checkName(lists, name, exceptId = null) {
+  const clean = String(name || "").trim();
+  if (!clean) throw new Error("Please enter a playlist name.");
+  if (clean.length > PLAYLIST_NAME_MAX) throw new Error(`Playlist names can be at most ${PLAYLIST_NAME_MAX} characters.`);
+  if (lists.some((p) => p.id !== exceptId && p.name.toLowerCase() === clean.toLowerCase())) {
+    throw new Error(`You already have a playlist called “${clean}”.`);
+  }
+  return clean;
+}
+
+const touch = (p, patch) => ({ ...p, ...patch, updatedAt: Date.now() });
+const mapOne = (lists, id, fn) => lists.map((p) => (p.id === id ? fn(p) : p));
+
+const moveItem = (arr, from, delta) => {
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= arr.length) return arr;
+  const out = arr.slice();
+  const [item] = out.splice(from, 1);
+  out.splice(to, 0, item);
+  return out;
+};
+
+export function createPlaylist(lists, name) {
+  const now = Date.now();
+  const playlist = { id: makeId(), name: checkName(lists, name), tracks: [], createdAt: now, updatedAt: now };
+  return { lists: [...lists, playlist], playlist };
+}
+
+export const renamePlaylist = (lists, id, name) => {
+  const clean = checkName(lists, name, id);
+  return mapOne(lists, id, (p) => touch(p, { name: clean }));
+};
+
+export const deletePlaylist = (lists, id) => lists.filter((p) => p.id !== id);
+
+export const movePlaylist = (lists, id, delta) => moveItem(lists, lists.findIndex((p) => p.id === id), delta);
+
+// Adding a track that is already in the playlist is a no-op
+export const addTrackToPlaylist = (lists, id, track) =>
+  mapOne(lists, id, (p) => (p.tracks.some((t) => trackKey(t) === trackKey(track)) ? p : touch(p, { tracks: [...p.tracks, track] })));
+
+export const removeTrackFromPlaylist = (lists, id, key) =>
+  mapOne(lists, id, (p) => touch(p, { tracks: p.tracks.filter((t) => trackKey(t) !== key) }));
+
+export const moveTrackInPlaylist = (lists, id, key, delta) =>
+  mapOne(lists, id, (p) => touch(p, { tracks: moveItem(p.tracks, p.tracks.findIndex((t) => trackKey(t) === key), delta) }));
+
+export const playlistHasTrack = (p, track) => !!p?.tracks?.some((t) => trackKey(t) === trackKey(track));
+
+// Fold imported playlists in: same name (case-insensitive) → append missing tracks, else add with a fresh id
+export function mergePlaylists(lists, incoming) {
+  let out = lists.slice();
+  for (const p of incoming || []) {
+    const name = String(p?.name || "").trim().slice(0, PLAYLIST_NAME_MAX);
+    if (!name) continue;
+    const tracks = Array.isArray(p.tracks) ? p.tracks : [];
+    const existing = out.find((x) => x.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      out = tracks.reduce((ls, t) => addTrackToPlaylist(ls, existing.id, t), out);
+    } else {
+      const now = Date.now();
+      const fresh = { id: makeId(), name, tracks: [], createdAt: p.createdAt || now, updatedAt: now };
+      out = tracks.reduce((ls, t) => addTrackToPlaylist(ls, fresh.id, t), [...out, fresh]);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,68 @@
+// lib/preloadPool.js — preview audio loaded ahead of the feed
+// - setWindow(uris) keeps a window of upcoming cards loaded (caller orders them by priority)
+// - Entries are keyed by audio uri, not feed position: a "Go" jump or a rebuilt feed still
+//   finds a preview that is already loaded
+// - Budget: at most maxLoaded sounds held or loading at once, maxConcurrent loads in flight.
+//   Loads that fall out of the window are dropped from the queue, or unloaded as soon as they
+//   land (expo-av can't abort createAsync)
+// - Hits / misses for tuning the window are reported by telemetry, not kept here: the
+//   player tags each play_start with preload: "hit" | "miss" (App beginPlaybackTracking)
+
+import { Audio } from "expo-av";
+
+export function createPreloadPool({ maxLoaded = 5, maxConcurrent = 2 } = {}) {
+  const entries = new Map(); // uri → { sound, promise, cancelled }
+  let queue = [];            // uris waiting for a load slot, highest priority first
+  let inFlight = 0;
+
+  const drop = (uri) => {
+    const e = entries.get(uri);
+    if (!e) return;
+    entries.delete(uri);
+    if (e.sound) e.sound.unloadAsync().catch(() => {});
+    else e.cancelled = true;
+  };
+
+  const pump = () => {
+    while (inFlight < maxConcurrent && queue.length) {
+      const uri = queue.shift();
+      const e = { sound: null, cancelled: false, promise: null };
+      entries.set(uri, e);
+      inFlight += 1;
+      e.promise = Audio.Sound.createAsync({ uri }, { shouldPlay: false, volume: 1.0, isLooping: false })
+        .then(({ sound }) => {
+          if (e.cancelled) { sound.unloadAsync().catch(() => {}); return null; }
+          e.sound = sound;
+          return sound;
+        })
+        .catch(() => { if (entries.get(uri) === e) entries.delete(uri); return null; })
+        .finally(() => { inFlight -= 1; pump(); });
+    }
+  };
+
+  // Wanted uris, most important first; anything past the budget or outside the list goes
+  function setWindow(uris) {
+    const wanted = [...new Set(uris.filter(Boolean))].slice(0, maxLoaded);
+    const keep = new Set(wanted);
+    for (const uri of [...entries.keys()]) if (!keep.has(uri)) drop(uri);
+    queue = wanted.filter((uri) => !entries.has(uri));
+    pump();
+  }
+
+  // Hand a preloaded (or still loading) sound over to the player; null = cold load needed.
+  // The sound leaves the pool: the caller owns and unloads it.
+  async function take(uri) {
+    queue = queue.filter((u) => u !== uri);
+    const e = entries.get(uri);
+    if (!e) return null;
+    entries.delete(uri);
+    return e.sound || (await e.promise);
+  }
+
+  function clear() {
+    queue = [];
+    for (const uri of [...entries.keys()]) drop(uri);
+  }
+
+  return { setWindow, take, clear };
+}
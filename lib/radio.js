@@ -0,0 +1,118 @@
+// lib/radio.js — "Start radio" from a track
+// - Each page mixes the seed artist's top songs, related artists' songs and the seed's genre
+// - Related artists come from the catalog when it has them (Deezer); otherwise they are the
+//   artists that show up next to the seed artist in search (features, splits, compilations)
+// - A radio is a plain session object; nextRadioPage() never repeats a track within it
+
+import { providerForTrackId } from "./catalog";
+import { normalizeTrack, trackKey } from "./tracks";
+
+const SEED_ARTIST_PER_PAGE = 3;
+const RELATED_PER_PAGE = 3;     // related artists visited per page
+const TRACKS_PER_RELATED = 4;
+const MAX_RELATED = 12;
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+const clean = (raw) => (raw || []).map(normalizeTrack).filter((t) => t.title && t.artist);
+
+function shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// genres: [{ id, name }] of the seed's catalog, to map a genre name back to an id.
+// playSeed: false = the seed only picks the songs (family mode, an explicit seed)
+export function createRadio(seed, { genres, playSeed = true } = {}) {
+  const provider = providerForTrackId(seed.id);
+  const byName = (genres || provider.defaultGenres).find((g) => norm(g.name) === norm(seed.genreName));
+  return {
+    seed,
+    playSeed,
+    provider,
+    genreId: seed.genreId ?? byName?.id ?? provider.fallbackGenreId,
+    round: 0,
+    seen: new Set([String(trackKey(seed))]),
+    seedArtistTracks: null,
+    related: null,
+    relatedCursor: 0,
+    exhausted: false,
+  };
+}
+
+async function loadSeedArtist(radio) {
+  const { provider, seed } = radio;
+  if (provider.artistPage) {
+    try {
+      const page = await provider.artistPage(seed);
+      return { tracks: clean(page.topTracks), artistId: page.artist?.id };
+    } catch {}
+  }
+  const hits = clean(await provider.search(seed.artist, { limit: 50 }).catch(() => []));
+  return { tracks: hits.filter((t) => norm(t.artist) === norm(seed.artist)), artistId: seed.artistId };
+}
+
+async function loadRelated(radio, artistId) {
+  const { provider, seed } = radio;
+  if (provider.relatedArtists && artistId) {
+    try {
+      const list = await provider.relatedArtists({ artistId, artist: seed.artist });
+      if (list.length) return list.slice(0, MAX_RELATED);
+    } catch {}
+  }
+  const hits = clean(await provider.search(seed.artist, { limit: 50 }).catch(() => []));
+  const out = new Map();
+  for (const t of hits) {
+    const k = norm(t.artist);
+    if (k && k !== norm(seed.artist) && !out.has(k)) out.set(k, { artistId: t.artistId, artist: t.artist, tracks: [t] });
+    else if (out.has(k)) out.get(k).tracks.push(t);
+  }
+  return shuffle([...out.values()]).slice(0, MAX_RELATED);
+}
+
+async function relatedTracks(radio, artist) {
+  const { provider } = radio;
+  if (provider.artistPage && artist.artistId) {
+    try { return clean((await provider.artistPage(artist)).topTracks); } catch {}
+  }
+  return artist.tracks || [];
+}
+
+// Next page of candidates. `select` narrows them the way the feed does (diversify, filters);
+// what it returns is marked as played-in-this-radio. The first page starts with the seed
+// (unless created with playSeed: false).
+export async function nextRadioPage(radio, { page, select = (list) => list }) {
+  const { provider } = radio;
+  if (!radio.seedArtistTracks) {
+    const { tracks, artistId } = await loadSeedArtist(radio);
+    radio.seedArtistTracks = shuffle(tracks);
+    radio.related = await loadRelated(radio, artistId);
+  }
+
+  const visiting = [];
+  for (let i = 0; i < RELATED_PER_PAGE && radio.related.length; i++) {
+    visiting.push(radio.related[(radio.relatedCursor + i) % radio.related.length]);
+  }
+  radio.relatedCursor += RELATED_PER_PAGE;
+
+  const [genrePool, ...relatedPools] = await Promise.all([
+    provider.fetchGenreTracks(radio.genreId, { limit: page * 2, seed: (Date.now() ^ radio.round) >>> 0 })
+      .then(clean).catch(() => []),
+    ...visiting.map((a) => relatedTracks(radio, a).then((ts) => shuffle(ts).slice(0, TRACKS_PER_RELATED))),
+  ]);
+
+  const fresh = (t) => !radio.seen.has(String(trackKey(t)));
+  const fromSeedArtist = radio.seedArtistTracks.filter(fresh).slice(0, SEED_ARTIST_PER_PAGE);
+  const candidates = shuffle([...fromSeedArtist, ...relatedPools.flat(), ...genrePool]).filter(fresh);
+  const unique = [...new Map(candidates.map((t) => [String(trackKey(t)), t])).values()];
+
+  let shown = select(unique).slice(0, page);
+  if (radio.round === 0 && radio.playSeed) shown = [radio.seed, ...shown.filter((t) => trackKey(t) !== trackKey(radio.seed))];
+  for (const t of shown) radio.seen.add(String(trackKey(t)));
+
+  radio.round += 1;
+  if (!unique.length) radio.exhausted = true;
+  return shown;
+}
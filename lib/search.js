@@ -0,0 +1,81 @@
+// lib/search.js — search plumbing shared by the catalog providers and the search panel
+// - fanOut(): fire query variants in parallel with a timeout, stop early once results are enough
+// - LRU of recent queries, so retyping / going back to a query is instant
+// - Every request takes an AbortSignal; a newer keystroke cancels the older search
+
+export const SEARCH_TIMEOUT_MS = 5000;
+export const SEARCH_DEBOUNCE_MS = 350;
+export const SEARCH_MIN_CHARS = 2;
+export const SEARCH_ENOUGH = 40; // relevant raw hits after which the slower variants are dropped
+
+const CACHE_SIZE = 30;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const cache = new Map(); // normalized query → { at, results }; Map order = recency
+
+export const normalizeQuery = (term) => String(term || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+export function getCachedSearch(term) {
+  const key = normalizeQuery(term);
+  const hit = cache.get(key);
+  if (!hit) return null;
+  cache.delete(key);
+  if (Date.now() - hit.at > CACHE_TTL_MS) return null;
+  cache.set(key, hit);
+  return hit.results;
+}
+
+export function rememberSearch(term, results) {
+  const key = normalizeQuery(term);
+  cache.delete(key);
+  cache.set(key, { at: Date.now(), results });
+  while (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+}
+
+export const clearSearchCache = () => cache.clear();
+
+// Raw hit mentions every word of the query (title, artist or album) — whatever shape the catalog uses
+export function isRelevantHit(raw, term) {
+  const tokens = normalizeQuery(term).split(" ").filter(Boolean);
+  const hay = [
+    raw?.trackName ?? raw?.title ?? raw?.name,
+    raw?.artistName ?? raw?.artist?.name ?? raw?.artist,
+    raw?.collectionName ?? raw?.album?.title ?? raw?.album,
+  ].filter((v) => typeof v === "string").join(" ").toLowerCase();
+  return tokens.length > 0 && tokens.every((tok) => hay.includes(tok));
+}
+
+// Run tasks(signal) → raw[] in parallel. Resolves with the chunks concatenated in task order
+// (never rejects) when all are done, the timeout hits, `signal` aborts, or enough(merged) says so.
+// Whatever is still in flight then is aborted.
+export function fanOut(tasks, { signal, timeoutMs = SEARCH_TIMEOUT_MS, enough } = {}) {
+  return new Promise((resolve) => {
+    const ctrl = new AbortController();
+    const chunks = tasks.map(() => null);
+    let pending = tasks.length, done = false;
+    const merged = () => chunks.flatMap((c) => c || []);
+    const stop = () => ctrl.abort();
+    const finish = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      signal?.removeEventListener?.("abort", stop);
+      ctrl.abort();
+      resolve(merged());
+    };
+    const timer = setTimeout(stop, timeoutMs);
+    signal?.addEventListener?.("abort", stop);
+    ctrl.signal.addEventListener?.("abort", () => setTimeout(finish, 0)); // let settled chunks land first
+    if (signal?.aborted || !pending) return finish();
+
+    tasks.forEach((task, i) => {
+      Promise.resolve()
+        .then(() => task(ctrl.signal))
+        .catch(() => [])
+        .then((chunk) => {
+          if (done) return;
+          chunks[i] = Array.isArray(chunk) ? chunk : [];
+          if (--pending === 0 || enough?.(merged())) finish();
+        });
+    });
+  });
+}
@@ -0,0 +1,38 @@
+// lib/settings.js — device-level playback preferences
+// - Stored per device (not per account, not synced), like the offline cache
+// - loadSettings() once at startup; getSettings() is sync afterwards
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { OFFLINE_CACHE_MB } from "./config";
+
+const SETTINGS_KEY = "tuneflip_settings_v1";
+
+export const DEFAULT_SETTINGS = {
+  autoAdvance: true, // scroll to the next card when a preview ends
+  crossfadeMs: 0,    // overlap between previews when advancing or swiping; 0 = hard cut
+  levelVolume: true, // even out loudness between previews (lib/audioMix)
+  dislikeExpiryDays: 0, // disliked songs come back after this many days; 0 = never (lib/dislikes)
+  offlineCacheMb: OFFLINE_CACHE_MB, // disk budget for offline previews (lib/offlineCache)
+};
+
+export const CROSSFADE_CHOICES = [0, 1000, 2000, 4000, 6000];
+export const DISLIKE_EXPIRY_CHOICES = [0, 30, 90, 180, 365];
+export const OFFLINE_CACHE_MB_CHOICES = [50, 150, 300, 600];
+
+let current = { ...DEFAULT_SETTINGS };
+
+export async function loadSettings() {
+  try {
+    const raw = JSON.parse((await AsyncStorage.getItem(SETTINGS_KEY)) || "null");
+    if (raw && typeof raw === "object") current = { ...DEFAULT_SETTINGS, ...raw };
+  } catch {}
+  return current;
+}
+
+export const getSettings = () => current;
+
+export async function updateSettings(patch) {
+  current = { ...current, ...patch };
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(current)).catch(() => {});
+  return current;
+}
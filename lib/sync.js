@@ -0,0 +1,152 @@
+// lib/sync.js — cloud sync of the liked/disliked library + cooldown history
+// - Local changes queue per user (PENDING_KEY) until POST /api/library/sync acks them
+// - Each sync pushes the queue and pulls whatever changed remotely since our cursor
+// - Per-track merge: the newer like/dislike decision (updated_at) wins,
+//   cooldown dates (liked_at / played_at) keep the latest value, except after an undo:
+//   reset_liked_at makes its liked_at (null = none) replace the stored one
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { authFetch, loadAuth } from "./auth";
+
+const PENDING_KEY = "tuneflip_sync_pending_v1";
+const CURSOR_KEY = "tuneflip_sync_cursor_v1";
+const SYNC_DEBOUNCE_MS = 2000;
+const PUSH_BATCH = 500;
+
+let pendingCache = { user: null, map: null };
+let running = null;      // in-flight sync promise
+let rerun = false;       // another sync was requested while one was running
+let debounceTimer = null;
+
+const maxTs = (a, b) => (a == null ? b ?? null : b == null ? a : Math.max(a, b));
+
+// Fold change `b` into `a` (same rules the server applies)
+export function mergeEntry(a, b) {
+  if (!a) return b;
+  const bDecides = b.liked != null && (a.liked == null || (b.updated_at || 0) >= (a.updated_at || 0));
+  const newer = bDecides ? b : a;
+  return {
+    track_key: a.track_key,
+    liked: newer.liked ?? null,
+    disliked: newer.disliked ?? null,
+    track: newer.track || a.track || b.track || null,
+    updated_at: newer.liked == null ? 0 : newer.updated_at,
+    liked_at: b.reset_liked_at ? b.liked_at ?? null : maxTs(a.liked_at, b.liked_at),
+    reset_liked_at: !!(a.reset_liked_at || b.reset_liked_at),
+    played_at: maxTs(a.played_at, b.played_at),
+  };
+}
+
+async function loadPending(user) {
+  if (pendingCache.user !== user || !pendingCache.map) {
+    let obj = {};
+    try { obj = JSON.parse((await AsyncStorage.getItem(`${PENDING_KEY}:${user}`)) || "{}"); } catch {}
+    pendingCache = { user, map: new Map(Object.entries(obj || {})) };
+  }
+  return pendingCache.map;
+}
+const savePending = (user, map) =>
+  AsyncStorage.setItem(`${PENDING_KEY}:${user}`, JSON.stringify(Object.fromEntries(map))).catch(() => {});
+
+const loadCursor = async (user) => {
+  const raw = await AsyncStorage.getItem(`${CURSOR_KEY}:${user}`);
+  return raw == null ? null : Number(raw) || 0;
+};
+const saveCursor = (user, c) => AsyncStorage.setItem(`${CURSOR_KEY}:${user}`, String(c));
+
+// change: { track_key, liked?, disliked?, track?, liked_at?, played_at?, reset_liked_at? }
+// liked/disliked are sent together and stamp updated_at; omit both for cooldown-only changes.
+// reset_liked_at (undo) sets liked_at to the given value, even an older one or null.
+export async function queueLibraryChange(user, change) {
+  if (!user || !change?.track_key) return;
+  const map = await loadPending(user);
+  const decided = change.liked != null;
+  const entry = {
+    track_key: String(change.track_key),
+    liked: decided ? !!change.liked : null,
+    disliked: decided ? !!change.disliked : null,
+    track: change.track || null,
+    updated_at: decided ? change.updated_at || Date.now() : 0,
+    liked_at: change.liked_at ?? null,
+    played_at: change.played_at ?? null,
+    reset_liked_at: !!change.reset_liked_at,
+  };
+  map.set(entry.track_key, mergeEntry(map.get(entry.track_key), entry));
+  await savePending(user, map);
+}
+
+async function pushPull(user, { snapshot, applyRemote }) {
+  const auth = await loadAuth();
+  if (!auth || auth.user?.username !== user) return; // no server session for this account
+
+  const map = await loadPending(user);
+  let cursor = await loadCursor(user);
+
+  // First sync for this account on this device: offer everything we already have locally
+  if (cursor == null && snapshot) {
+    for (const e of (await snapshot()) || []) map.set(e.track_key, mergeEntry(e, map.get(e.track_key) || e));
+    await savePending(user, map);
+    cursor = 0;
+  }
+
+  let outgoing = Array.from(map.values());
+  let more = true;
+  while (outgoing.length || more) {
+    const batch = outgoing.slice(0, PUSH_BATCH);
+    outgoing = outgoing.slice(PUSH_BATCH);
+    const res = await authFetch("/api/library/sync", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ since: cursor, changes: batch }),
+    });
+    if (!res.ok) throw new Error(`Sync failed: HTTP ${res.status}`);
+    const data = await res.json();
+
+    // Acked: drop queued entries that did not change again while the request was in flight
+    for (const sent of batch) {
+      const cur = map.get(sent.track_key);
+      if (cur && JSON.stringify(cur) === JSON.stringify(sent)) map.delete(sent.track_key);
+    }
+    await savePending(user, map);
+
+    // A local decision made after the remote one stays authoritative until it is pushed
+    const entries = (data?.entries || []).map((e) => {
+      const local = map.get(e.track_key);
+      if (local?.liked != null && e.liked != null && local.updated_at > e.updated_at) {
+        return { ...e, liked: null, disliked: null };
+      }
+      return e;
+    });
+    if (entries.length) await applyRemote?.(entries);
+
+    cursor = Number(data?.cursor) || cursor;
+    await saveCursor(user, cursor);
+    more = !!data?.more;
+  }
+}
+
+// Run a sync now (coalesces with one already running)
+export function syncLibrary(user, handlers) {
+  if (!user) return Promise.resolve();
+  if (running) { rerun = true; return running; }
+  running = (async () => {
+    try {
+      do {
+        rerun = false;
+        await pushPull(user, handlers);
+      } while (rerun);
+    } finally {
+      running = null;
+    }
+  })();
+  return running;
+}
+
+// Debounced background sync; failures are silent and retried on the next trigger
+export function scheduleLibrarySync(user, handlers, delay = SYNC_DEBOUNCE_MS) {
+  if (debounceTimer) clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(() => {
+    debounceTimer = null;
+    syncLibrary(user, handlers).catch(() => {});
+  }, delay);
+}
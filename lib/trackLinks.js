@@ -0,0 +1,99 @@
+// lib/trackLinks.js — short "share this song" links
+// - Links carry only the track id (+ optional signature): https://tuneflip.app/track/1440857781?s=Ab3…
+// - Opening one resolves canonical metadata by id (/api/tracks/lookup, then the catalog itself)
+// - Legacy links (?id=…&title=…&previewUrl=…) still open, but only their id is trusted
+
+import * as Linking from "expo-linking";
+import { API_BASE } from "./config";
+import { providerForTrackId } from "./catalog";
+import { normalizeTrack } from "./tracks";
+
+export const TRACK_LINK_BASE = "https://tuneflip.app/track"; // placeholder
+const API_TIMEOUT_MS = 4000;
+const ID_PATTERN = /^(?:\d{1,20}|dz:\d{1,20}|fx:[\w-]{1,40})$/;
+
+export class TrackLinkError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code; // "bad_link" | "bad_signature" | "track_not_found" | "unreachable"
+  }
+}
+
+async function apiFetch(path, init) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), API_TIMEOUT_MS);
+  try {
+    return await fetch(`${API_BASE}${path}`, { ...init, signal: ctrl.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function buildTrackLink(track, sig) {
+  const id = String(track?.id ?? "");
+  return `${TRACK_LINK_BASE}/${encodeURIComponent(id)}${sig ? `?s=${encodeURIComponent(sig)}` : ""}`;
+}
+
+// Signed link from the API when it is reachable; an unsigned one otherwise
+export async function shareableTrackLink(track) {
+  const id = String(track?.id ?? "");
+  if (ID_PATTERN.test(id) && !id.startsWith("fx:")) {
+    try {
+      const res = await apiFetch("/api/tracks/link", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ id }),
+      });
+      if (res.ok) {
+        const { sig } = await res.json();
+        return buildTrackLink(track, sig);
+      }
+    } catch {}
+  }
+  return buildTrackLink(track);
+}
+
+// → { id, sig } or null when the url is not a track link
+export function parseTrackLink(url) {
+  const parsed = Linking.parse(url);
+  // https links route by path; tuneflip://track/<id> puts "track" in the host
+  const https = /^https?$/.test(parsed?.scheme || "");
+  const segments = [...(https ? [] : [parsed?.hostname]), ...String(parsed?.path || "").split("/")].filter(Boolean);
+  if (segments[0] !== "track") return null;
+
+  const q = parsed.queryParams || {};
+  let id = segments[1] ? decodeURIComponent(segments[1]) : String(q.id || "");
+  if (/^\d+\.0$/.test(id)) id = id.slice(0, -2); // ids once serialized as floats
+  if (!id) return null;
+  return { id, sig: q.s ? String(q.s) : null };
+}
+
+// Canonical track for a parsed link; throws TrackLinkError when it cannot be resolved
+export async function resolveTrackLink({ id, sig }) {
+  if (!ID_PATTERN.test(id)) throw new TrackLinkError("bad_link", "This link doesn’t point to a song.");
+
+  if (!id.startsWith("fx:")) {
+    try {
+      const res = await apiFetch(`/api/tracks/lookup?${new URLSearchParams({ id, ...(sig ? { sig } : {}) })}`);
+      if (res.ok) {
+        const { track } = await res.json();
+        if (track?.title) return normalizeTrack(track);
+      }
+      if (res.status === 403) throw new TrackLinkError("bad_signature", "This link has been altered and can’t be trusted.");
+      if (res.status === 404) throw new TrackLinkError("track_not_found", "This song isn’t available in the catalog anymore.");
+    } catch (e) {
+      if (e instanceof TrackLinkError) throw e;
+    }
+  }
+
+  // API unreachable (or fixtures): ask the catalog directly
+  let raw = [];
+  try {
+    raw = await providerForTrackId(id).lookup([id]);
+  } catch {
+    throw new TrackLinkError("unreachable", "Couldn’t reach the catalog. Check your connection and try again.");
+  }
+  const track = raw.map(normalizeTrack).find((t) => String(t.id) === id);
+  if (!track?.title) throw new TrackLinkError("track_not_found", "This song isn’t available in the catalog anymore.");
+  return track;
+}
@@ -0,0 +1,60 @@
+// lib/tracks.js — track identity & normalization shared by App.js and the lib/ modules
+
+export const trackKey = (t) => (t?.id || `${t?.title}|${t?.artist}|${t?.album}`);
+
+export const dedupeById = (list) => { const seen=new Set(), out=[]; for (const t of list) { const k=trackKey(t); if(seen.has(k)) continue; seen.add(k); out.push(t);} return out; };
+
+export function upscaleArtwork(url) {
+  if (!url || typeof url !== "string") return url || "";
+  const replacedApple = url.replace(/\/(\d{2,4})x\1([a-z]*\.(?:jpg|jpeg|png))/i, "/600x600$2");
+  if (replacedApple !== url) return replacedApple;
+  return url.replace(/(\d{2,4})x\1/i, "600x600");
+}
+// iTunes: trackExplicitness "explicit" | "cleaned" | "notExplicit", or an "Explicit" advisory
+// rating; undefined when the catalog doesn't say (family mode lets those through)
+function explicitOf(t) {
+  if (typeof t.explicit === "boolean") return t.explicit;
+  if (t.trackExplicitness) return t.trackExplicitness === "explicit";
+  if (t.contentAdvisoryRating) return /explicit/i.test(t.contentAdvisoryRating);
+  return undefined;
+}
+
+// Maps iTunes, Deezer (nested artist/album objects, "dz:" ids) and already-normalized tracks
+export function normalizeTrack(t) {
+  if (t?.type === "track" && t.artist && typeof t.artist === "object") return normalizeDeezerTrack(t);
+  const title = t.title ?? t.trackName ?? t.name ?? "Unknown title";
+  const artist = t.artist ?? t.artistName ?? "Unknown artist";
+  const album = t.album ?? t.collectionName ?? "Unknown album";
+  const artworkCandidate = t.artworkUrl100 || t.albumArtUrl || t.artwork || "";
+  return {
+    id: t.trackId ?? t.id ?? `${artist}-${title}-${album}`,
+    title, artist, album,
+    artwork: upscaleArtwork(artworkCandidate),
+    previewUrl: t.previewUrl || "",
+    storeUrl: t.storeUrl || t.trackViewUrl || t.collectionViewUrl || t.url || "",
+    genreName: t.primaryGenreName || t.genre || t.primaryGenre || t.genreName || "",
+    artistId: t.artistId,                  // artist / album screens; absent on tracks saved before them
+    albumId: t.albumId ?? t.collectionId,
+    genreId: t.genreId ?? t.primaryGenreId,  // catalog genre id (radio)
+    loudnessDb: t.loudnessDb,                // catalog loudness metadata, when it has any (lib/audioMix)
+    explicit: explicitOf(t),                 // "E" badge, family mode (lib/familyMode)
+  };
+}
+
+function normalizeDeezerTrack(t) {
+  const title = t.title || t.title_short || "Unknown title";
+  const artist = t.artist?.name || "Unknown artist";
+  const album = t.album?.title || "Unknown album";
+  return {
+    id: `dz:${t.id}`,
+    title, artist, album,
+    artwork: t.album?.cover_big || t.album?.cover_medium || t.artist?.picture_big || "",
+    previewUrl: t.preview || "",
+    storeUrl: t.link || "",
+    genreName: t.genre || "",
+    artistId: t.artist?.id ? `dz:${t.artist.id}` : undefined,
+    albumId: t.album?.id ? `dz:${t.album.id}` : undefined,
+    loudnessDb: Number.isFinite(t.gain) ? t.gain : undefined,
+    explicit: typeof t.explicit_lyrics === "boolean" ? t.explicit_lyrics : undefined,
+  };
+}